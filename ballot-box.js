@@ -0,0 +1,569 @@
+/**
+ * Ballot Box
+ * Collects many voters' encrypted multi-contest ballots, verifies each contest's
+ * ZKPs on submission, rejects duplicates and aggregates the ballots per candidate
+ * (Borda scores for ranked contests, plus elimination rounds for IRV contests;
+ * packed contests are split back into candidates after decryption). In weighted
+ * elections each ballot is raised to its credential's weight before aggregation.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sha256'), require('./bigint-utils'), require('./weight-credentials'));
+    } else {
+        // Browser globals, kept for the <script> tags in index.html
+        const exports = factory(root, root, root);
+        root.BallotBox = exports.BallotBox;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (hashDeps, deps, weightDeps) {
+    'use strict';
+
+    const { SHA256 } = hashDeps;
+    const { BigIntUtils } = deps;
+    const { WeightAuthority } = weightDeps;
+
+    // Parties blinding each IRV multiplication unless the caller names them; one alone
+    // could read every opened ranking bit together with the decryptor
+    const DEFAULT_BLINDING_PARTIES = 2;
+
+    /**
+     * Error with a machine-readable code, matching the reference backend's error codes
+     */
+    function ballotBoxError(code, message, details) {
+        const error = new Error(message);
+        error.code = code;
+        if (details) error.details = details;
+        return error;
+    }
+
+    /**
+     * Instant-runoff count, one round at a time
+     * Each round gives every ballot to its highest-ranked remaining candidate; a candidate with
+     * more than half the ballots wins, otherwise the candidate with the fewest is eliminated.
+     * Ties for elimination go to the lower first-round count, then to the later candidate.
+     * @param {Function} countRound - Takes the candidates eliminated so far, in order, and returns
+     *                                {counts, ...} with one count per candidate (0 once eliminated)
+     * @param {number} totalWeight - Sum of the ballot weights
+     * @returns {object} {rounds: [{counts, eliminated, ...}], winner} with candidate indices
+     */
+    function instantRunoff(countRound, candidateCount, totalWeight) {
+        const remaining = new Set(Array.from({ length: candidateCount }, (_, i) => i));
+        const rounds = [];
+
+        for (;;) {
+            const round = countRound(rounds.map(entry => entry.eliminated));
+            const { counts } = round;
+
+            const standing = [...remaining];
+            const leader = standing.reduce((best, i) => counts[i] > counts[best] ? i : best);
+            if (counts[leader] * 2 > totalWeight || remaining.size === 1) {
+                rounds.push({ ...round, eliminated: null });
+                return { rounds, winner: leader };
+            }
+
+            const firstRound = rounds.length > 0 ? rounds[0].counts : counts;
+            const eliminated = standing.reduce((worst, i) => {
+                if (counts[i] !== counts[worst]) return counts[i] < counts[worst] ? i : worst;
+                if (firstRound[i] !== firstRound[worst]) return firstRound[i] < firstRound[worst] ? i : worst;
+                return i > worst ? i : worst;
+            });
+            rounds.push({ ...round, eliminated });
+            remaining.delete(eliminated);
+        }
+    }
+
+    /**
+     * Encrypted top remaining preference of one ranking: entry i encrypts 1 when candidate i
+     * is the highest-ranked candidate not yet eliminated and 0 otherwise (null once eliminated)
+     *
+     * With x[i][r] the ranking bits, e_r = Σ x[j][r] over eliminated j is 1 when rank r went to
+     * an eliminated candidate, and P_r = e_0 · ... · e_(r-1) is 1 when every rank above r did.
+     * Candidate i is on top iff P_r = 1 at its rank r, so its entry is Σ_r x[i][r] · P_r; P_r is
+     * 0 past the number of eliminated candidates, and the last remaining entry is 1 minus the
+     * others. Sums are homomorphic; the products come from `multiply`.
+     * @param {Function} multiply - (left, right) → a ciphertext of the product of their plaintexts
+     */
+    function topPreference(paillier, ranking, candidateCount, eliminated, multiply) {
+        const n = candidateCount;
+        const rankEliminated = r => paillier.sumCiphertexts(eliminated.map(j => ranking[j * n + r]));
+
+        const prefixes = [null, rankEliminated(0)];   // P_1 ... P_m
+        for (let r = 1; r < eliminated.length; r++) {
+            prefixes.push(multiply(prefixes[r], rankEliminated(r)));
+        }
+
+        const top = new Array(n).fill(null);
+        const remaining = top.map((_, i) => i).filter(i => !eliminated.includes(i));
+        const others = remaining.slice(0, -1).map(i => {
+            const terms = [ranking[i * n]];
+            for (let r = 1; r <= eliminated.length; r++) {
+                terms.push(multiply(ranking[i * n + r], prefixes[r]));
+            }
+            top[i] = paillier.sumCiphertexts(terms);
+            return top[i];
+        });
+
+        const one = paillier.powG(1n);
+        top[remaining[remaining.length - 1]] = others.length === 0
+            ? one
+            : paillier.addCiphertexts(one, paillier.scalarMultiply(paillier.sumCiphertexts(others), -1n));
+        return top;
+    }
+
+    class BallotBox {
+        /**
+         * @param {PaillierCryptosystem} paillierSystem - Holds the election public key
+         * @param {ZKProofSystem} zkpSystem - Verifies the ballots' proofs
+         * @param {ElectionManifest} manifest - Contests every ballot must answer, in order
+         * @param {WeightAuthority} weightAuthority - Holds the key weight credentials are checked
+         *                                            against; needed when the manifest sets maxWeight
+         */
+        constructor(paillierSystem, zkpSystem, manifest, weightAuthority = null) {
+            this.paillier = paillierSystem;
+            this.zkp = zkpSystem;
+            this.manifest = manifest;
+            this.weightAuthority = weightAuthority;
+            this.clear();
+        }
+
+        /**
+         * Remove every ballot, e.g. when the election key changes
+         */
+        clear() {
+            this.ballots = [];
+            this.ciphertexts = new Set();  // every accepted ciphertext, as a decimal string
+            this.voterIds = new Set();
+        }
+
+        get size() {
+            return this.ballots.length;
+        }
+
+        /**
+         * Verify and store one ballot
+         * @param {object} ballot - {contests: [{contestId, ciphertexts: bigint[], proof}]}, one entry per
+         *                          manifest contest in manifest order; each proof comes from generateVoteProof
+         * @param {object} metadata - Optional {voterId}, plus {credential} from WeightAuthority#issueCredential
+         *                            in weighted elections; stored with the ballot
+         * @returns {object} Receipt {ballotId, receiptHash, position, submittedAt, weight}
+         */
+        submit(ballot, metadata = {}) {
+            const { contests } = ballot || {};
+            const manifestContests = this.manifest.contests;
+
+            // Packed slots hold at most maxBallots votes each before they carry over
+            if (this.manifest.maxBallots !== null && this.ballots.length >= this.manifest.maxBallots) {
+                throw ballotBoxError('BALLOT_BOX_FULL', `The election accepts at most ${this.manifest.maxBallots} ballots`);
+            }
+
+            if (!Array.isArray(contests) || contests.length !== manifestContests.length) {
+                throw ballotBoxError('MALFORMED_BALLOT', `Ballot must answer all ${manifestContests.length} contests`);
+            }
+
+            manifestContests.forEach((contest, i) => {
+                const entry = contests[i];
+                if (!entry || entry.contestId !== contest.id) {
+                    throw ballotBoxError('MALFORMED_BALLOT', `Ballot entry ${i} must be contest ${contest.id}`);
+                }
+                if (!Array.isArray(entry.ciphertexts) || !entry.proof) {
+                    throw ballotBoxError('MALFORMED_BALLOT', `Contest ${contest.id} needs ciphertexts and a vote proof`);
+                }
+                const expected = this.manifest.ballotEntries(contest).length;
+                if (entry.ciphertexts.length !== expected) {
+                    throw ballotBoxError('MALFORMED_BALLOT',
+                        `Contest ${contest.id} must have ${expected} ciphertexts, got ${entry.ciphertexts.length}`);
+                }
+            });
+
+            for (const { ciphertexts } of contests) {
+                if (!ciphertexts.every(ciphertext => this.paillier.isValidCiphertext(ciphertext))) {
+                    throw ballotBoxError('INVALID_CIPHERTEXT', 'Ciphertext outside (0, n²)');
+                }
+            }
+
+            // The proofs must be about exactly these ciphertexts
+            for (const { contestId, ciphertexts, proof } of contests) {
+                const proven = (proof.bitProofs || []).map(bitProof => bitProof.ciphertext);
+                if (proven.length !== ciphertexts.length || proven.some((ciphertext, i) => ciphertext !== ciphertexts[i])) {
+                    throw ballotBoxError('PROOF_MISMATCH', `Proofs do not cover the ciphertexts of contest ${contestId}`);
+                }
+            }
+
+            const { voterId = null, credential = null } = metadata;
+            if (voterId !== null && this.voterIds.has(voterId)) {
+                throw ballotBoxError('DUPLICATE_VOTER', `Voter ${voterId} has already cast a ballot`);
+            }
+            const weight = this.checkCredential(credential, voterId);
+
+            // Replays are caught by their ciphertexts, whatever the proof encoding, and
+            // per ciphertext, so contests copied from another ballot are caught as well
+            const ciphertextHash = BallotBox.computeCiphertextHash(contests);
+            const cast = contests.flatMap(({ ciphertexts }) => ciphertexts.map(String));
+            if (cast.some(ciphertext => this.ciphertexts.has(ciphertext))) {
+                throw ballotBoxError('DUPLICATE_BALLOT', 'This ballot, or a ciphertext in it, is already in the box');
+            }
+
+            const failed = [];
+            manifestContests.forEach((contest, i) => {
+                const verification = this.zkp.verifyContestProof(contests[i].proof, contests[i].ciphertexts,
+                    this.manifest.proofRules(contest));
+                if (!verification.overallValid) {
+                    failed.push({
+                        contestId: contest.id,
+                        bitProofsValid: verification.bitProofResults.every(result => result.valid),
+                        sumProofValid: verification.sumProofValid
+                    });
+                }
+            });
+            if (failed.length > 0) {
+                throw ballotBoxError('INVALID_PROOF', 'Zero-knowledge proof verification failed', { contests: failed });
+            }
+
+            const record = {
+                ballotId: ciphertextHash.substring(0, 16),
+                receiptHash: ciphertextHash,
+                position: this.ballots.length + 1,
+                submittedAt: new Date().toISOString(),
+                voterId,
+                weight,
+                credential,
+                contests: contests.map(({ contestId, ciphertexts, proof }) => ({ contestId, ciphertexts, proof }))
+            };
+
+            this.ballots.push(record);
+            cast.forEach(ciphertext => this.ciphertexts.add(ciphertext));
+            if (voterId !== null) this.voterIds.add(voterId);
+
+            return BallotBox.toReceipt(record);
+        }
+
+        /**
+         * Weight a ballot counts with: 1 in unweighted elections, otherwise the weight of a
+         * valid credential issued to this voter for this election
+         */
+        checkCredential(credential, voterId) {
+            const { maxWeight, electionId } = this.manifest;
+            if (maxWeight === null) {
+                if (credential !== null) {
+                    throw ballotBoxError('INVALID_CREDENTIAL', `Election ${electionId} is not weighted`);
+                }
+                return 1;
+            }
+
+            if (credential === null) {
+                throw ballotBoxError('INVALID_CREDENTIAL', `Election ${electionId} is weighted; the ballot needs a weight credential`);
+            }
+            if (!this.weightAuthority || !this.weightAuthority.publicKey) {
+                throw new Error('No weight authority key to check credentials against');
+            }
+            if (!WeightAuthority.verifyCredential(credential, this.weightAuthority.publicKey)) {
+                throw ballotBoxError('INVALID_CREDENTIAL', 'Weight credential signature is invalid');
+            }
+            if (credential.electionId !== electionId || credential.voterId !== voterId) {
+                throw ballotBoxError('INVALID_CREDENTIAL', `Weight credential was not issued to voter ${voterId} for election ${electionId}`);
+            }
+            if (credential.weight > maxWeight) {
+                throw ballotBoxError('INVALID_CREDENTIAL', `Weight ${credential.weight} exceeds the election's maximum of ${maxWeight}`);
+            }
+            return credential.weight;
+        }
+
+        /**
+         * Per-ballot ciphertext arrays for one contest, in submission order
+         */
+        getCiphertexts(contestId) {
+            const index = this.manifest.contests.indexOf(this.manifest.getContest(contestId));
+            return this.ballots.map(record => record.contests[index].ciphertexts);
+        }
+
+        /**
+         * Homomorphic per-candidate aggregate of one contest across all ballots
+         */
+        aggregate(contestId) {
+            return this.paillier.aggregateBallots(this.getCiphertexts(contestId));
+        }
+
+        /**
+         * Per-ballot, per-candidate ciphertexts that a contest's tally adds up
+         * Ranked ballots are reduced homomorphically: Borda contests to each candidate's
+         * Borda points (n - rank), IRV contests to the first-preference column. Each ballot
+         * is then raised to its weight (Enc(m)^w = Enc(w·m)). Observers can recompute these
+         * from the cast ciphertexts and the weight log.
+         */
+        tallyInputs(contestId) {
+            return this.unweightedInputs(contestId).map((ciphertexts, b) => {
+                const { weight } = this.ballots[b];
+                return weight === 1
+                    ? ciphertexts
+                    : ciphertexts.map(ciphertext => this.paillier.scalarMultiply(ciphertext, BigInt(weight)));
+            });
+        }
+
+        /**
+         * Tally inputs before weighting (see tallyInputs)
+         */
+        unweightedInputs(contestId) {
+            const contest = this.manifest.getContest(contestId);
+            const ballots = this.getCiphertexts(contestId);
+            if (contest.type !== 'ranked') {
+                return ballots;
+            }
+
+            const n = contest.candidates.length;
+            return ballots.map(ciphertexts => contest.candidates.map((_, i) => {
+                if (contest.method === 'irv') {
+                    return ciphertexts[i * n];
+                }
+                const weighted = [];
+                for (let r = 0; r < n - 1; r++) {
+                    weighted.push(this.paillier.scalarMultiply(ciphertexts[i * n + r], BigInt(n - 1 - r)));
+                }
+                return this.paillier.sumCiphertexts(weighted);
+            }));
+        }
+
+        /**
+         * Run the elimination rounds of an IRV contest without decrypting any ranking
+         * Round 1 is the proven first-preference totals. Each later round rebuilds every ballot's
+         * encrypted top remaining preference (see topPreference) through blinded multiplications,
+         * adds them per candidate with the ballot weights and decrypts only those totals.
+         * @param {object} options - {blindingParties}: how many parties blind each multiplication,
+         *                          DEFAULT_BLINDING_PARTIES by default. The rankings stay secret only
+         *                          if one of them is not colluding with the decryptor, so with a
+         *                          threshold key every decrypting trustee should be one
+         * @returns {object} {rounds: [{counts, eliminated}], winner}; later rounds also carry their
+         *                   aggregates, decryption proofs and multiplication transcripts (products)
+         */
+        instantRunoff(contest, firstPreferences, decryptor, { blindingParties = DEFAULT_BLINDING_PARTIES } = {}) {
+            if (!Number.isInteger(blindingParties) || blindingParties < 1) {
+                throw new Error('blindingParties must be a positive integer');
+            }
+            const n = contest.candidates.length;
+            const rankings = this.getCiphertexts(contest.id);
+            const weights = this.ballots.map(record => record.weight);
+
+            return instantRunoff(eliminated => {
+                if (eliminated.length === 0) {
+                    return { counts: firstPreferences.map(Number) };
+                }
+
+                const products = [];
+                const aggregates = this.runoffAggregates(rankings, weights, n, eliminated, (left, right) => {
+                    const { product, step } = this.blindedProduct(left, right, decryptor, blindingParties);
+                    products.push(step);
+                    return product;
+                });
+                const decryptions = aggregates.map(aggregate => aggregate === null ? null : decryptor(aggregate));
+                return {
+                    counts: decryptions.map(result => result === null ? 0 : Number(result.plaintext)),
+                    aggregates,
+                    proofs: decryptions.map(result => result === null ? null : result.proof),
+                    products
+                };
+            }, n, weights.reduce((sum, weight) => sum + weight, 0));
+        }
+
+        /**
+         * Per-candidate weighted sums of the ballots' top remaining preferences,
+         * null for eliminated candidates
+         */
+        runoffAggregates(rankings, weights, candidateCount, eliminated, multiply) {
+            const tops = rankings.map(ranking => topPreference(this.paillier, ranking, candidateCount, eliminated, multiply));
+            return Array.from({ length: candidateCount }, (_, i) => eliminated.includes(i)
+                ? null
+                : this.paillier.sumCiphertexts(tops.map((top, b) => weights[b] === 1
+                    ? top[i]
+                    : this.paillier.scalarMultiply(top[i], BigInt(weights[b])))));
+        }
+
+        /**
+         * Multiply the plaintexts of two ciphertexts without decrypting either
+         * Each blinding party picks a secret x, publishes Enc(x) and right^x (re-randomized)
+         * with a multiplication proof, and forgets x. The decryptor opens d = a + Σx, which is
+         * uniform and says nothing about a, and right^d / Π right^x encrypts a·b. Learning a
+         * takes every blinding party's x.
+         * @returns {object} {product, step}; step is the public transcript checkProduct verifies
+         */
+        blindedProduct(left, right, decryptor, blindingParties) {
+            const { n, nSquared } = this.paillier.publicKey;
+            const blindings = [];
+            for (let k = 0; k < blindingParties; k++) {
+                const value = BigIntUtils.randomRange(0n, n);
+                const blinding = this.paillier.encrypt(value);
+                const rerandomizer = this.paillier.encrypt(0n);
+                const product = (this.paillier.scalarMultiply(right, value) * rerandomizer.ciphertext) % nSquared;
+                blindings.push({
+                    blinding: blinding.ciphertext,
+                    product,
+                    proof: this.zkp.proveMultiplication(right, blinding.ciphertext, product, value,
+                        blinding.randomness, rerandomizer.randomness)
+                });
+            }
+
+            const { plaintext, proof } = decryptor(this.paillier.sumCiphertexts([left, ...blindings.map(entry => entry.blinding)]));
+            const step = { blindings, opening: plaintext, openingProof: proof };
+            return { product: this.unblindProduct(right, step), step };
+        }
+
+        /**
+         * Check one blinded multiplication from its public transcript
+         * @param {Function} verifyDecryption - (ciphertext, plaintext, proof) → boolean
+         * @returns {bigint|null} The product ciphertext, or null if the transcript is invalid
+         */
+        checkProduct(left, right, step, verifyDecryption) {
+            if (!step || typeof step.opening !== 'bigint' || !Array.isArray(step.blindings) || step.blindings.length === 0) return null;
+            const proven = step.blindings.every(entry => entry &&
+                this.zkp.verifyMultiplicationProof(entry.proof, right, entry.blinding, entry.product));
+            const opened = proven && this.paillier.sumCiphertexts([left, ...step.blindings.map(entry => entry.blinding)]);
+            if (!proven || !verifyDecryption(opened, step.opening, step.openingProof)) return null;
+            return this.unblindProduct(right, step);
+        }
+
+        /**
+         * right^d · (Π right^x)^-1, which encrypts a·b (mod n)
+         */
+        unblindProduct(right, step) {
+            const blinded = this.paillier.sumCiphertexts(step.blindings.map(entry => entry.product));
+            return this.paillier.addCiphertexts(this.paillier.scalarMultiply(right, step.opening),
+                this.paillier.scalarMultiply(blinded, -1n));
+        }
+
+        /**
+         * Check an IRV contest's published rounds with public data only: round 1 must be the
+         * proven first-preference totals, later rounds' aggregates must follow from the cast
+         * rankings through valid multiplication transcripts, their counts must carry valid
+         * decryption proofs, and the eliminations and winner must follow the counting rules
+         * @param {bigint[][]} rankings - Every ballot's cast ranking ciphertexts
+         * @param {number[]} weights - Every ballot's weight
+         * @param {object} tally - The contest's {totals, rounds, winner}
+         * @param {Function} verifyDecryption - (ciphertext, plaintext, proof) → boolean
+         * @returns {boolean}
+         */
+        verifyInstantRunoff(contest, rankings, weights, tally, verifyDecryption) {
+            const n = contest.candidates.length;
+            const { rounds } = tally;
+            if (!Array.isArray(rounds) || rounds.length === 0) return false;
+
+            let next = 0;
+            let recount;
+            try {
+                recount = instantRunoff(eliminated => {
+                    const round = rounds[next++];
+                    if (!round || !Array.isArray(round.counts) || round.counts.length !== n) {
+                        throw new Error('Missing or malformed round');
+                    }
+                    if (eliminated.length === 0) {
+                        if (round.counts.some((count, i) => BigInt(count) !== tally.totals[i])) {
+                            throw new Error('Round 1 is not the first-preference totals');
+                        }
+                        return { counts: round.counts };
+                    }
+
+                    let step = 0;
+                    const products = Array.isArray(round.products) ? round.products : [];
+                    const aggregates = this.runoffAggregates(rankings, weights, n, eliminated, (left, right) => {
+                        const product = this.checkProduct(left, right, products[step++], verifyDecryption);
+                        if (product === null) throw new Error('Invalid multiplication transcript');
+                        return product;
+                    });
+                    const proven = step === products.length && aggregates.every((aggregate, i) => aggregate === null
+                        ? round.counts[i] === 0
+                        : aggregate === round.aggregates[i] && verifyDecryption(aggregate, BigInt(round.counts[i]), round.proofs[i]));
+                    if (!proven) {
+                        throw new Error('Round counts are not proven decryptions of the round aggregates');
+                    }
+                    return { counts: round.counts };
+                }, n, weights.reduce((sum, weight) => sum + weight, 0));
+            } catch (error) {
+                return false;
+            }
+
+            return recount.rounds.length === rounds.length && recount.winner === tally.winner &&
+                recount.rounds.every((round, r) => round.eliminated === rounds[r].eliminated);
+        }
+
+        /**
+         * Tally every contest over all ballots in the box; only aggregates are decrypted
+         * (for IRV contests, also each round's aggregates; see instantRunoff)
+         * @param {Function} decryptor - See PaillierCryptosystem.tallyBallots
+         * @param {object} options - {blindingParties} for IRV rounds (see instantRunoff)
+         * @returns {object} {ballotCount, contests: [{contestId, aggregates, totals, proofs}]},
+         *                   IRV contests also carry {rounds, winner}; packed contests carry the
+         *                   decrypted packed sum as packedTotals and its unpacked slots as totals
+         */
+        tally(decryptor, options = {}) {
+            if (this.ballots.length === 0) {
+                throw new Error('The ballot box is empty');
+            }
+
+            const contests = this.manifest.contests.map(contest => {
+                const ballots = this.tallyInputs(contest.id);
+                const { aggregates, totals, proofs } = decryptor
+                    ? this.paillier.tallyBallots(ballots, decryptor)
+                    : this.paillier.tallyBallots(ballots);
+                const result = { contestId: contest.id, aggregates, totals, proofs };
+
+                if (contest.type === 'ranked' && contest.method === 'irv') {
+                    Object.assign(result, this.instantRunoff(contest, totals,
+                        decryptor || (ciphertext => this.paillier.decryptWithProof(ciphertext)), options));
+                }
+                if (contest.encoding === 'packed') {
+                    const { base, slots } = this.manifest.packing(contest);
+                    result.packedTotals = totals;
+                    result.totals = BigIntUtils.unpackSlots(totals[0], base, slots);
+                }
+                return result;
+            });
+
+            return { ballotCount: this.ballots.length, contests };
+        }
+
+        /**
+         * Public record of the weight applied to each ballot, with the credential that
+         * authorizes it; anyone can check the signatures with the authority's public key
+         */
+        weightLog() {
+            return this.ballots.map(record => ({
+                ballotId: record.ballotId,
+                voterId: record.voterId,
+                weight: record.weight,
+                credential: record.credential
+            }));
+        }
+
+        /**
+         * Receipts and metadata of every ballot, without ciphertexts
+         */
+        listReceipts() {
+            return this.ballots.map(record => ({
+                ...BallotBox.toReceipt(record),
+                voterId: record.voterId
+            }));
+        }
+
+        static toReceipt(record) {
+            return {
+                ballotId: record.ballotId,
+                receiptHash: record.receiptHash,
+                position: record.position,
+                submittedAt: record.submittedAt,
+                weight: record.weight
+            };
+        }
+
+        /**
+         * SHA-256 over each contest id followed by that contest's ciphertexts
+         */
+        static computeCiphertextHash(contests) {
+            const elements = [];
+            for (const { contestId, ciphertexts } of contests) {
+                elements.push(contestId, ...ciphertexts);
+            }
+            return SHA256.hex(SHA256.encodeTranscript(elements));
+        }
+    }
+
+    BallotBox.DEFAULT_BLINDING_PARTIES = DEFAULT_BLINDING_PARTIES;
+
+    return { BallotBox };
+});
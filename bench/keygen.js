@@ -0,0 +1,91 @@
+/**
+ * Key Generation Benchmark
+ * Compares time-to-keygen with the sieved incremental prime search against the
+ * previous search (a fresh random candidate each time, 10 Miller-Rabin rounds with
+ * a randomRange call per witness)
+ *
+ * Usage: node bench/keygen.js [trials]   (default 3 key pairs per size)
+ */
+
+const { BigIntUtils, PaillierCryptosystem } = require('..');
+
+const KEY_SIZES = [1024, 2048, 3072];
+const trials = parseInt(process.argv[2] || '3', 10);
+
+/**
+ * The Miller-Rabin test the sieve replaced: 10 rounds, one randomRange per witness
+ */
+function previousIsProbablePrime(n, k = 10) {
+    if (n === 2n || n === 3n) return true;
+    if (n < 2n || n % 2n === 0n) return false;
+
+    let d = n - 1n;
+    let r = 0n;
+    while (d % 2n === 0n) {
+        d /= 2n;
+        r++;
+    }
+
+    for (let i = 0; i < k; i++) {
+        const a = BigIntUtils.randomRange(2n, n - 1n);
+        let x = BigIntUtils.modPow(a, d, n);
+        if (x === 1n || x === n - 1n) continue;
+
+        let composite = true;
+        for (let j = 0n; j < r - 1n; j++) {
+            x = BigIntUtils.modPow(x, 2n, n);
+            if (x === n - 1n) {
+                composite = false;
+                break;
+            }
+        }
+        if (composite) return false;
+    }
+    return true;
+}
+
+function previousGeneratePrime(bitLength) {
+    let candidate;
+    do {
+        candidate = BigIntUtils.randomBigInt(bitLength) | 1n | (1n << BigInt(bitLength - 1));
+    } while (!previousIsProbablePrime(candidate));
+    return candidate;
+}
+
+/**
+ * Average seconds per key pair
+ */
+function time(keySize, generatePrime) {
+    const paillier = new PaillierCryptosystem();
+    const start = process.hrtime.bigint();
+    for (let i = 0; i < trials; i++) {
+        const p = generatePrime(keySize / 2);
+        let q;
+        do {
+            q = generatePrime(keySize / 2);
+        } while (p === q);
+        // 1024-bit keys are below MIN_KEY_SIZE and only timed here
+        PaillierCryptosystem.withTestKeySizes(() => paillier.keysFromPrimes(p, q));
+    }
+    return Number(process.hrtime.bigint() - start) / 1e9 / trials;
+}
+
+// Key generation logs every key; keep the table readable
+const log = console.log;
+console.log = () => {};
+
+const results = KEY_SIZES.map(keySize => {
+    log(`Generating ${trials} ${keySize}-bit key pairs each way...`);
+    const baseline = time(keySize, bits => previousGeneratePrime(bits));
+    const sieved = time(keySize, bits => BigIntUtils.generatePrime(bits));
+    return {
+        'key size': keySize,
+        'M-R rounds': BigIntUtils.millerRabinRounds(keySize / 2),
+        'previous (s)': baseline.toFixed(2),
+        'sieved (s)': sieved.toFixed(2),
+        speedup: `${(baseline / sieved).toFixed(1)}×`
+    };
+});
+
+console.log = log;
+console.table(results);
@@ -0,0 +1,121 @@
+/**
+ * Modular Exponentiation Benchmark
+ * Compares plain square-and-multiply against the sliding-window, fixed-base and
+ * multi-exponentiation paths, and times a full ballot proof with each
+ *
+ * Usage: node bench/modpow.js [keySize]   (default 2048 bits)
+ */
+
+const { BigIntUtils, PaillierCryptosystem, ZKProofSystem } = require('..');
+
+const keySize = parseInt(process.argv[2] || '2048', 10);
+const ROUNDS = 10;
+
+/**
+ * The square-and-multiply modPow that the windowed version replaced
+ */
+function binaryModPow(base, exp, mod) {
+    if (exp < 0n) {
+        return binaryModPow(BigIntUtils.modInverse(base, mod), -exp, mod);
+    }
+    let result = 1n;
+    base %= mod;
+    while (exp > 0n) {
+        if (exp & 1n) result = (result * base) % mod;
+        exp >>= 1n;
+        base = (base * base) % mod;
+    }
+    return result;
+}
+
+/**
+ * Average milliseconds per call of fn over the given inputs
+ */
+function time(inputs, fn) {
+    const start = process.hrtime.bigint();
+    inputs.forEach(fn);
+    return Number(process.hrtime.bigint() - start) / 1e6 / inputs.length;
+}
+
+function row(operation, baseline, optimized) {
+    return {
+        operation,
+        'baseline (ms)': baseline.toFixed(2),
+        'optimized (ms)': optimized.toFixed(2),
+        speedup: `${(baseline / optimized).toFixed(1)}×`
+    };
+}
+
+console.log(`Generating a ${keySize}-bit key...`);
+const paillier = new PaillierCryptosystem();
+paillier.keySize = keySize;
+paillier.generateKeys();
+const { n, g, nSquared } = paillier.publicKey;
+
+const exponents = Array.from({ length: ROUNDS }, () => BigIntUtils.randomBigInt(2 * keySize) % nSquared);
+const plaintexts = Array.from({ length: ROUNDS }, () => BigIntUtils.randomBigInt(keySize) % n);
+const units = Array.from({ length: ROUNDS }, () => BigIntUtils.randomUnit(n));
+const challenges = Array.from({ length: ROUNDS }, () => BigIntUtils.randomBigInt(256));
+
+// A generator other than n + 1 exercises the fixed-base table
+const otherG = (binaryModPow(g, 3n, nSquared) * binaryModPow(units[0], n, nSquared)) % nSquared;
+const gTable = BigIntUtils.fixedBaseTable(otherG, nSquared, keySize);
+
+const results = [
+    row(`x^e mod n², ${2 * keySize}-bit e`,
+        time(exponents, e => binaryModPow(units[0], e, nSquared)),
+        time(exponents, e => BigIntUtils.modPow(units[0], e, nSquared))),
+    row('g^m, g = n + 1',
+        time(plaintexts, m => binaryModPow(g, m, nSquared)),
+        time(plaintexts, m => paillier.powG(m))),
+    row('g^m, other g (fixed-base table)',
+        time(plaintexts, m => binaryModPow(otherG, m, nSquared)),
+        time(plaintexts, m => BigIntUtils.fixedBasePow(gTable, m))),
+    row('r^n (recoded n)',
+        time(units, r => binaryModPow(r, n, nSquared)),
+        time(units, r => paillier.powN(r))),
+    row('z^n · u^-e (multi-exponentiation)',
+        time(units, (z, i) => (binaryModPow(z, n, nSquared) * binaryModPow(units[0], -challenges[i], nSquared)) % nSquared),
+        time(units, (z, i) => BigIntUtils.multiPow([[z, n], [units[0], -challenges[i]]], nSquared)))
+];
+
+/**
+ * Encrypt, prove and verify a 5-candidate single-choice ballot
+ */
+function proveAndVerifyBallot(zkp) {
+    const votes = [0n, 1n, 0n, 0n, 0n];
+    const encrypted = votes.map(vote => paillier.encrypt(vote));
+    const ciphertexts = encrypted.map(e => e.ciphertext);
+    const proof = zkp.generateVoteProof(ciphertexts, votes, encrypted.map(e => e.randomness));
+    if (!zkp.verifyVoteProof(proof, ciphertexts).overallValid) {
+        throw new Error('Benchmark ballot failed verification');
+    }
+}
+
+const zkp = new ZKProofSystem(paillier);
+const ballots = [1, 2, 3];
+const optimizedBallot = time(ballots, () => proveAndVerifyBallot(zkp));
+
+// Swap in the square-and-multiply versions for the baseline run
+const originals = {
+    modPow: BigIntUtils.modPow,
+    multiPow: BigIntUtils.multiPow,
+    powG: paillier.powG,
+    powN: paillier.powN
+};
+BigIntUtils.modPow = binaryModPow;
+BigIntUtils.multiPow = (terms, mod) => terms.reduce((acc, [base, exp]) => (acc * binaryModPow(base, exp, mod)) % mod, 1n);
+paillier.powG = m => binaryModPow(g, m, nSquared);
+paillier.powN = r => binaryModPow(r, n, nSquared);
+let baselineBallot;
+try {
+    baselineBallot = time(ballots, () => proveAndVerifyBallot(zkp));
+} finally {
+    BigIntUtils.modPow = originals.modPow;
+    BigIntUtils.multiPow = originals.multiPow;
+    paillier.powG = originals.powG;
+    paillier.powN = originals.powN;
+}
+results.push(row('5-candidate ballot: encrypt, prove, verify', baselineBallot, optimizedBallot));
+
+console.table(results);
@@ -3,245 +3,623 @@
  * Implements various mathematical operations needed for cryptography
  */
 
-class BigIntUtils {
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        // Browser globals, kept for the <script> tags in index.html
+        const exports = factory();
+        root.BigIntUtils = exports.BigIntUtils;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // WebCrypto is global in browsers and in Node 19+; older Node exposes it on the crypto module
+    const cryptoApi = globalThis.crypto ||
+        (typeof require === 'function' ? require('crypto').webcrypto : undefined);
+
     /**
-     * Generate a random BigInt with specified bit length
+     * Odd primes below 2^14, for sieving prime candidates
      */
-    static randomBigInt(bitLength) {
-        const bytes = Math.ceil(bitLength / 8);
-        const randomBytes = new Uint8Array(bytes);
-        crypto.getRandomValues(randomBytes);
-
-        let result = 0n;
-        for (let i = 0; i < bytes; i++) {
-            result = (result << 8n) | BigInt(randomBytes[i]);
+    const SIEVE_PRIMES = (() => {
+        const limit = 1 << 14;
+        const composite = new Uint8Array(limit);
+        const primes = [];
+        for (let i = 3; i < limit; i += 2) {
+            if (composite[i]) continue;
+            primes.push(i);
+            for (let j = i * i; j < limit; j += 2 * i) composite[j] = 1;
         }
-
-        // Ensure we have the right bit length
-        const mask = (1n << BigInt(bitLength)) - 1n;
-        return result & mask;
-    }
+        return primes;
+    })();
+    const SIEVE_PRIMES_BIG = SIEVE_PRIMES.map(BigInt);
 
     /**
-     * Generate a random BigInt in range [min, max)
+     * Odd primes below 2048, used to discard candidates cheaply before Miller-Rabin
      */
-    static randomRange(min, max) {
-        const range = max - min;
-        const bitLength = range.toString(2).length;
+    const SMALL_PRIMES = SIEVE_PRIMES_BIG.filter(prime => prime < 2048n);
 
-        let result;
-        do {
-            result = this.randomBigInt(bitLength);
-        } while (result >= range);
+    // Odd numbers one sieve pass covers in the incremental prime search
+    const SIEVE_WINDOW = 4096;
 
-        return result + min;
+    /**
+     * Mark the offsets j in [0, SIEVE_WINDOW) where start + 2j has a factor in SIEVE_PRIMES
+     * (start odd and above 2^14, so no candidate is itself a sieving prime)
+     */
+    function sieveWindow(start) {
+        const composite = new Uint8Array(SIEVE_WINDOW);
+        for (let i = 0; i < SIEVE_PRIMES.length; i++) {
+            const prime = SIEVE_PRIMES[i];
+            const r = Number(start % SIEVE_PRIMES_BIG[i]);
+            // start + 2j ≡ 0 (mod prime) when j ≡ -r · 2^-1, and 2^-1 = (prime + 1) / 2
+            for (let j = ((prime - r) * ((prime + 1) / 2)) % prime; j < SIEVE_WINDOW; j += prime) {
+                composite[j] = 1;
+            }
+        }
+        return composite;
     }
 
     /**
-     * Modular exponentiation: (base^exp) % mod
-     * Uses binary exponentiation for efficiency
+     * count Miller-Rabin witnesses in [2, n - 2] from a single call to the random source;
+     * 64 extra bits per witness make the bias of the reduction negligible
      */
-    static modPow(base, exp, mod) {
-        if (mod === 1n) return 0n;
+    function randomWitnesses(n, count) {
+        const span = n - 3n;
+        const bytes = Math.ceil(span.toString(2).length / 8) + 8;
+        const buffer = new Uint8Array(bytes * count);
+        cryptoApi.getRandomValues(buffer);
+
+        const witnesses = [];
+        for (let w = 0; w < count; w++) {
+            let value = 0n;
+            for (let i = w * bytes; i < (w + 1) * bytes; i++) {
+                value = (value << 8n) | BigInt(buffer[i]);
+            }
+            witnesses.push(value % span + 2n);
+        }
+        return witnesses;
+    }
+
+    // Exponents below this use plain square-and-multiply; windows do not pay off
+    const SHORT_EXPONENT = 1n << 16n;
+
+    class BigIntUtils {
+        /**
+         * Generate a random BigInt with specified bit length
+         */
+        static randomBigInt(bitLength) {
+            const bytes = Math.ceil(bitLength / 8);
+            const randomBytes = new Uint8Array(bytes);
+            cryptoApi.getRandomValues(randomBytes);
+
+            let result = 0n;
+            for (let i = 0; i < bytes; i++) {
+                result = (result << 8n) | BigInt(randomBytes[i]);
+            }
+
+            // Ensure we have the right bit length
+            const mask = (1n << BigInt(bitLength)) - 1n;
+            return result & mask;
+        }
+
+        /**
+         * Generate a random BigInt in range [min, max)
+         */
+        static randomRange(min, max) {
+            const range = max - min;
+            const bitLength = range.toString(2).length;
 
-        let result = 1n;
-        base = base % mod;
+            let result;
+            do {
+                result = this.randomBigInt(bitLength);
+            } while (result >= range);
 
-        while (exp > 0n) {
-            if (exp % 2n === 1n) {
-                result = (result * base) % mod;
+            return result + min;
+        }
+
+        /**
+         * Random element of Z_n* (in [1, n) and coprime to n)
+         */
+        static randomUnit(n) {
+            let value;
+            do {
+                value = this.randomRange(1n, n);
+            } while (!this.areCoprime(value, n));
+            return value;
+        }
+
+        /**
+         * Modular exponentiation: (base^exp) % mod
+         * Uses sliding-window exponentiation; short exponents use plain square-and-multiply
+         * A negative exponent raises the modular inverse of base
+         */
+        static modPow(base, exp, mod) {
+            if (mod === 1n) return 0n;
+            if (exp < 0n) {
+                return this.modPow(this.modInverse(base, mod), -exp, mod);
             }
-            exp = exp >> 1n;
-            base = (base * base) % mod;
+
+            base = base % mod;
+            if (exp < SHORT_EXPONENT) {
+                let result = 1n;
+                while (exp > 0n) {
+                    if (exp & 1n) {
+                        result = (result * base) % mod;
+                    }
+                    exp >>= 1n;
+                    base = (base * base) % mod;
+                }
+                return result;
+            }
+
+            return this.modPowRecoded(base, this.recodeExponent(exp), mod);
         }
 
-        return result;
-    }
+        /**
+         * Sliding-window recoding of a non-negative exponent: digits[i] is the odd window
+         * value whose lowest bit sits at bit i, or 0. Exponents used many times (such as n
+         * in r^n) can be recoded once and passed to modPowRecoded.
+         * @returns {object} {windowBits, digits}
+         */
+        static recodeExponent(exp, windowBits = this.windowBits(this.bitLength(exp))) {
+            const bits = exp.toString(2);   // most significant bit first
+            const length = bits.length;
+            const digits = new Array(length).fill(0);
+
+            let i = length - 1;   // bit index, counted from the least significant bit
+            while (i >= 0) {
+                if (bits[length - 1 - i] === '0') {
+                    i--;
+                    continue;
+                }
+                // Longest window of at most windowBits bits that starts at i and ends on a 1
+                let j = Math.max(i - windowBits + 1, 0);
+                while (bits[length - 1 - j] === '0') j++;
+                digits[j] = parseInt(bits.substring(length - 1 - i, length - j), 2);
+                i = j - 1;
+            }
 
-    /**
-     * Extended Euclidean Algorithm
-     * Returns [gcd, x, y] where gcd = ax + by
-     */
-    static extendedGcd(a, b) {
-        if (a === 0n) {
-            return [b, 0n, 1n];
+            return { windowBits, digits };
         }
 
-        const [gcd, x1, y1] = this.extendedGcd(b % a, a);
-        const x = y1 - (b / a) * x1;
-        const y = x1;
+        /**
+         * Window width that minimizes multiplications for an exponent of the given size
+         */
+        static windowBits(exponentBits) {
+            if (exponentBits > 768) return 6;
+            if (exponentBits > 240) return 5;
+            if (exponentBits > 80) return 4;
+            if (exponentBits > 24) return 3;
+            return 2;
+        }
 
-        return [gcd, x, y];
-    }
+        /**
+         * base^exp mod m for an exponent recoded by recodeExponent
+         */
+        static modPowRecoded(base, recoded, mod) {
+            return this.multiPowRecoded([[base % mod, recoded]], mod);
+        }
 
-    /**
-     * Modular multiplicative inverse
-     * Returns x such that (a * x) ≡ 1 (mod m)
-     */
-    static modInverse(a, m) {
-        const [gcd, x, _] = this.extendedGcd(a, m);
+        /**
+         * Simultaneous multi-exponentiation: Π bases[i]^exps[i] mod m with one shared
+         * chain of squarings (interleaved sliding windows), e.g. g^m · r^n or z^n · u^-e
+         * Negative exponents raise the modular inverse of their base
+         * @param {Array} terms - [[base, exp], ...]
+         */
+        static multiPow(terms, mod) {
+            if (mod === 1n) return 0n;
+            return this.multiPowRecoded(terms.map(([base, exp]) => exp < 0n
+                ? [this.modInverse(base, mod), this.recodeExponent(-exp)]
+                : [base % mod, this.recodeExponent(exp)]), mod);
+        }
 
-        if (gcd !== 1n) {
-            throw new Error('Modular inverse does not exist');
+        /**
+         * multiPow over already recoded exponents: [[base, {windowBits, digits}], ...]
+         */
+        static multiPowRecoded(terms, mod) {
+            // Odd powers base^1, base^3, ..., base^(2^w - 1) of every base
+            const oddPowers = terms.map(([base, { windowBits }]) => {
+                const powers = [base];
+                const square = (base * base) % mod;
+                for (let k = 1; k < 1 << (windowBits - 1); k++) {
+                    powers.push((powers[k - 1] * square) % mod);
+                }
+                return powers;
+            });
+
+            const length = Math.max(...terms.map(([, { digits }]) => digits.length));
+            let result = 1n;
+            for (let i = length - 1; i >= 0; i--) {
+                if (result !== 1n) {
+                    result = (result * result) % mod;
+                }
+                for (let t = 0; t < terms.length; t++) {
+                    const digit = terms[t][1].digits[i];
+                    if (digit) {
+                        result = (result * oddPowers[t][digit >> 1]) % mod;
+                    }
+                }
+            }
+            return result;
         }
 
-        return (x % m + m) % m;
-    }
+        /**
+         * Fixed-base precomputation: rows[i][d] = base^(d · 2^(w·i)) mod m for every
+         * w-bit digit d, so base^exp for exp below 2^maxBits needs one multiplication
+         * per w bits of exp and no squarings (see fixedBasePow)
+         */
+        static fixedBaseTable(base, mod, maxBits, windowBits = 4) {
+            const rows = [];
+            let rowBase = base % mod;
+            for (let i = 0; i * windowBits < maxBits; i++) {
+                const row = [1n];
+                for (let d = 1; d < 1 << windowBits; d++) {
+                    row.push((row[d - 1] * rowBase) % mod);
+                }
+                rows.push(row);
+                rowBase = (row[(1 << windowBits) - 1] * rowBase) % mod;
+            }
+            return { base: base % mod, mod, maxBits, windowBits, rows };
+        }
 
-    /**
-     * Greatest Common Divisor using Euclidean algorithm
-     */
-    static gcd(a, b) {
-        while (b !== 0n) {
-            [a, b] = [b, a % b];
+        /**
+         * base^exp mod m from a fixedBaseTable; exponents beyond the table fall back to modPow
+         */
+        static fixedBasePow(table, exp) {
+            const { base, mod, maxBits, windowBits, rows } = table;
+            if (exp < 0n || this.bitLength(exp) > maxBits) {
+                return this.modPow(base, exp, mod);
+            }
+
+            const mask = BigInt((1 << windowBits) - 1);
+            const shift = BigInt(windowBits);
+            let result = 1n;
+            for (let i = 0; exp > 0n; i++, exp >>= shift) {
+                const digit = Number(exp & mask);
+                if (digit) {
+                    result = (result * rows[i][digit]) % mod;
+                }
+            }
+            return result;
         }
-        return a;
-    }
 
-    /**
-     * Least Common Multiple
-     */
-    static lcm(a, b) {
-        return (a * b) / this.gcd(a, b);
-    }
+        /**
+         * Extended Euclidean Algorithm
+         * Returns [gcd, x, y] where gcd = ax + by
+         */
+        static extendedGcd(a, b) {
+            if (a === 0n) {
+                return [b, 0n, 1n];
+            }
 
-    /**
-     * Miller-Rabin primality test
-     * Returns true if n is probably prime
-     */
-    static isProbablePrime(n, k = 10) {
-        if (n === 2n || n === 3n) return true;
-        if (n < 2n || n % 2n === 0n) return false;
-
-        // Write n-1 as d * 2^r
-        let d = n - 1n;
-        let r = 0n;
-        while (d % 2n === 0n) {
-            d /= 2n;
-            r++;
-        }
-
-        // Perform k rounds of testing
-        for (let i = 0; i < k; i++) {
-            const a = this.randomRange(2n, n - 1n);
-            let x = this.modPow(a, d, n);
-
-            if (x === 1n || x === n - 1n) continue;
-
-            let composite = true;
-            for (let j = 0n; j < r - 1n; j++) {
-                x = this.modPow(x, 2n, n);
-                if (x === n - 1n) {
-                    composite = false;
-                    break;
+            const [gcd, x1, y1] = this.extendedGcd(b % a, a);
+            const x = y1 - (b / a) * x1;
+            const y = x1;
+
+            return [gcd, x, y];
+        }
+
+        /**
+         * Modular multiplicative inverse
+         * Returns x such that (a * x) ≡ 1 (mod m)
+         */
+        static modInverse(a, m) {
+            const [gcd, x, _] = this.extendedGcd(a, m);
+
+            if (gcd !== 1n) {
+                throw new Error('Modular inverse does not exist');
+            }
+
+            return (x % m + m) % m;
+        }
+
+        /**
+         * Greatest Common Divisor using Euclidean algorithm
+         */
+        static gcd(a, b) {
+            while (b !== 0n) {
+                [a, b] = [b, a % b];
+            }
+            return a;
+        }
+
+        /**
+         * Least Common Multiple
+         */
+        static lcm(a, b) {
+            return (a * b) / this.gcd(a, b);
+        }
+
+        /**
+         * Miller-Rabin rounds for a random candidate of this size. FIPS 186-5 table B.1
+         * (M-R tests only) asks for 5 rounds on 1024-bit primes and 4 from 1536 bits;
+         * the shorter primes of test keys get more rounds, from 7 at 512 bits up to 40
+         */
+        static millerRabinRounds(bitLength) {
+            if (bitLength >= 1536) return 4;
+            if (bitLength >= 1024) return 5;
+            if (bitLength >= 512) return 7;
+            if (bitLength >= 256) return 16;
+            return 40;
+        }
+
+        /**
+         * Miller-Rabin primality test
+         * Returns true if n is probably prime
+         * @param {number} k - Rounds; defaults to millerRabinRounds, which assumes n was drawn at random
+         */
+        static isProbablePrime(n, k = this.millerRabinRounds(this.bitLength(n))) {
+            if (n === 2n || n === 3n) return true;
+            if (n < 2n || n % 2n === 0n) return false;
+
+            // Write n-1 as d * 2^r
+            let d = n - 1n;
+            let r = 0n;
+            while (d % 2n === 0n) {
+                d /= 2n;
+                r++;
+            }
+
+            // Perform k rounds of testing
+            for (const a of randomWitnesses(n, k)) {
+                let x = this.modPow(a, d, n);
+
+                if (x === 1n || x === n - 1n) continue;
+
+                let composite = true;
+                for (let j = 0n; j < r - 1n; j++) {
+                    x = (x * x) % n;
+                    if (x === n - 1n) {
+                        composite = false;
+                        break;
+                    }
                 }
+
+                if (composite) return false;
             }
 
-            if (composite) return false;
+            return true;
         }
 
-        return true;
-    }
+        /**
+         * Generate a random prime with specified bit length and its top two bits set,
+         * so the product of two such primes has exactly twice the bits (FIPS 186-5 asks
+         * for p, q ≥ √2 · 2^(bits-1))
+         * Walks up through the odd numbers from a random start, sieving each window of
+         * SIEVE_WINDOW candidates by the primes below 2^14; only survivors get a single
+         * Miller-Rabin round, and only those passing it the full test
+         * @param {function} onCandidate - Optional, called before each Miller-Rabin test with
+         *                                 the number of odd candidates passed so far
+         */
+        static generatePrime(bitLength, onCandidate = null) {
+            const top = 3n << BigInt(bitLength - 2);
+            const limit = 1n << BigInt(bitLength);
+            let attempts = 0;
+
+            // Too short to sieve: candidates could be sieving primes themselves
+            if (bitLength < 16) {
+                let candidate;
+                do {
+                    candidate = this.randomBigInt(bitLength) | top | 1n;
+                    if (onCandidate) onCandidate(++attempts);
+                } while (!this.isProbablePrime(candidate));
+                return candidate;
+            }
 
-    /**
-     * Generate a random prime with specified bit length
-     */
-    static generatePrime(bitLength) {
-        let candidate;
-        do {
-            candidate = this.randomBigInt(bitLength);
-            // Ensure it's odd and has the MSB set
-            candidate |= 1n;
-            candidate |= (1n << BigInt(bitLength - 1));
-        } while (!this.isProbablePrime(candidate));
-
-        return candidate;
-    }
+            for (;;) {
+                // Ensure it's odd and has the two top bits set
+                const start = this.randomBigInt(bitLength) | top | 1n;
+                const composite = sieveWindow(start);
 
-    /**
-     * Generate two distinct primes of specified bit length
-     */
-    static generateTwoPrimes(bitLength) {
-        const p = this.generatePrime(bitLength);
-        let q;
-        do {
-            q = this.generatePrime(bitLength);
-        } while (p === q);
-
-        return [p, q];
-    }
+                for (let j = 0; j < SIEVE_WINDOW; j++) {
+                    attempts++;
+                    if (composite[j]) continue;
 
-    /**
-     * Check if two numbers are coprime (gcd = 1)
-     */
-    static areCoprime(a, b) {
-        return this.gcd(a, b) === 1n;
-    }
+                    // Past 2^bitLength the search starts over from a new random point
+                    const candidate = start + 2n * BigInt(j);
+                    if (candidate >= limit) break;
 
-    /**
-     * Calculate the L function: L(x) = (x - 1) / n
-     * Used in Paillier decryption
-     */
-    static L(x, n) {
-        return (x - 1n) / n;
-    }
+                    if (onCandidate) onCandidate(attempts);
+                    if (this.isProbablePrime(candidate, 1) && this.isProbablePrime(candidate)) {
+                        return candidate;
+                    }
+                }
+            }
+        }
 
-    /**
-     * Convert BigInt to hex string for display
-     */
-    static toHex(n) {
-        return '0x' + n.toString(16);
-    }
+        /**
+         * Whether n is divisible by an odd prime below 2048 (other than n itself)
+         */
+        static hasSmallFactor(n) {
+            return SMALL_PRIMES.some(prime => n !== prime && n % prime === 0n);
+        }
 
-    /**
-     * Convert hex string to BigInt
-     */
-    static fromHex(hex) {
-        return BigInt(hex);
-    }
+        /**
+         * Jacobi symbol (a/n) for odd positive n; returns -1, 0 or 1
+         */
+        static jacobi(a, n) {
+            if (n <= 0n || n % 2n === 0n) {
+                throw new Error('Jacobi symbol needs an odd positive modulus');
+            }
 
-    /**
-     * Get bit length of a BigInt
-     */
-    static bitLength(n) {
-        return n.toString(2).length;
-    }
+            a = ((a % n) + n) % n;
+            let result = 1;
+            while (a !== 0n) {
+                while (a % 2n === 0n) {
+                    a /= 2n;
+                    const r = n % 8n;
+                    if (r === 3n || r === 5n) result = -result;
+                }
+                [a, n] = [n, a];
+                if (a % 4n === 3n && n % 4n === 3n) result = -result;
+                a %= n;
+            }
 
-    /**
-     * Check if a number is a perfect square
-     */
-    static isPerfectSquare(n) {
-        if (n < 0n) return false;
-        if (n === 0n || n === 1n) return true;
+            return n === 1n ? result : 0;
+        }
 
-        let x = n;
-        let y = (x + 1n) / 2n;
+        /**
+         * Generate a safe prime p = 2p' + 1 (p' also prime) with specified bit length and,
+         * as in generatePrime, its top two bits set
+         * Candidates are sieved on both p' and p before any Miller-Rabin test
+         * @param {function} onCandidate - Optional, called before each Miller-Rabin test with
+         *                                 the number of candidates p' drawn so far
+         */
+        static generateSafePrime(bitLength, onCandidate = null) {
+            let attempts = 0;
+            for (;;) {
+                attempts++;
+                let pPrime = this.randomBigInt(bitLength - 1);
+                pPrime |= 1n;
+                pPrime |= (3n << BigInt(bitLength - 3));
+                const p = 2n * pPrime + 1n;
+
+                // p' ≡ r (mod s) makes p ≡ 2r + 1; both must be non-zero
+                const sieved = SMALL_PRIMES.every(prime => {
+                    const r = pPrime % prime;
+                    return r !== 0n && (2n * r + 1n) % prime !== 0n;
+                });
+                if (!sieved) continue;
+
+                if (onCandidate) onCandidate(attempts);
+                // Cheap single-round checks first, full tests only for survivors
+                if (!this.isProbablePrime(pPrime, 1) || !this.isProbablePrime(p, 1)) continue;
+                if (this.isProbablePrime(pPrime) && this.isProbablePrime(p)) {
+                    return p;
+                }
+            }
+        }
 
-        while (y < x) {
-            x = y;
-            y = (x + n / x) / 2n;
+        /**
+         * Generate two primes of specified bit length that are far apart (see primesFarApart)
+         */
+        static generateTwoPrimes(bitLength) {
+            const p = this.generatePrime(bitLength);
+            let q;
+            do {
+                q = this.generatePrime(bitLength);
+            } while (!this.primesFarApart(p, q));
+
+            return [p, q];
         }
 
-        return x * x === n;
-    }
+        /**
+         * Whether |p - q| > 2^(bits - 100), as FIPS 186-5 requires of RSA primes;
+         * closer primes let Fermat's method factor n = pq from √n
+         */
+        static primesFarApart(p, q) {
+            const bits = Math.max(this.bitLength(p), this.bitLength(q));
+            const distance = p > q ? p - q : q - p;
+            return distance > 0n && distance > (bits > 100 ? 1n << BigInt(bits - 100) : 0n);
+        }
 
-    /**
-     * Square root of a BigInt (floor)
-     */
-    static sqrt(n) {
-        if (n === 0n) return 0n;
+        /**
+         * Check if two numbers are coprime (gcd = 1)
+         */
+        static areCoprime(a, b) {
+            return this.gcd(a, b) === 1n;
+        }
+
+        /**
+         * Calculate the L function: L(x) = (x - 1) / n
+         * Used in Paillier decryption
+         */
+        static L(x, n) {
+            return (x - 1n) / n;
+        }
+
+        /**
+         * Convert BigInt to hex string for display
+         */
+        static toHex(n) {
+            return '0x' + n.toString(16);
+        }
+
+        /**
+         * Convert hex string to BigInt
+         */
+        static fromHex(hex) {
+            return BigInt(hex);
+        }
+
+        /**
+         * Parse a non-negative decimal string (as produced by toString()) into a BigInt
+         * Throws if the value is not a plain decimal integer
+         */
+        static fromDecimalString(value, fieldName = 'value') {
+            if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+                throw new Error(`${fieldName} must be a non-negative decimal integer string`);
+            }
+            return BigInt(value);
+        }
+
+        /**
+         * Get bit length of a BigInt
+         */
+        static bitLength(n) {
+            return n.toString(2).length;
+        }
+
+        /**
+         * Pack small non-negative values into one BigInt: value i goes in slot i,
+         * i.e. Σ values[i] · base^i
+         */
+        static packSlots(values, base) {
+            return values.reduceRight((packed, value) => {
+                if (value < 0n || value >= base) {
+                    throw new Error(`Slot value ${value} does not fit base ${base}`);
+                }
+                return packed * base + value;
+            }, 0n);
+        }
+
+        /**
+         * Split a packed BigInt back into `count` slots of the given base
+         */
+        static unpackSlots(packed, base, count) {
+            const values = [];
+            for (let i = 0; i < count; i++) {
+                values.push(packed % base);
+                packed /= base;
+            }
+            return values;
+        }
+
+        /**
+         * Check if a number is a perfect square
+         */
+        static isPerfectSquare(n) {
+            if (n < 0n) return false;
+            if (n === 0n || n === 1n) return true;
 
-        let x = n;
-        let y = (x + 1n) / 2n;
+            let x = n;
+            let y = (x + 1n) / 2n;
 
-        while (y < x) {
-            x = y;
-            y = (x + n / x) / 2n;
+            while (y < x) {
+                x = y;
+                y = (x + n / x) / 2n;
+            }
+
+            return x * x === n;
         }
 
-        return x;
+        /**
+         * Square root of a BigInt (floor)
+         */
+        static sqrt(n) {
+            if (n === 0n) return 0n;
+
+            let x = n;
+            let y = (x + 1n) / 2n;
+
+            while (y < x) {
+                x = y;
+                y = (x + n / x) / 2n;
+            }
+
+            return x;
+        }
     }
-}
 
-// Export for use in other modules
-window.BigIntUtils = BigIntUtils;
+    return { BigIntUtils };
+});
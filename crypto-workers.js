@@ -0,0 +1,574 @@
+/**
+ * Crypto Workers
+ * Runs prime and safe-prime search, the local key ceremony, encryption and vote
+ * proofs in Web Workers so the page stays
+ * responsive, with progress callbacks and cancellation. Where workers are not
+ * available (no Worker, or a page opened from file://) the same jobs run on the
+ * main thread, one per timeout, except the key ceremony, which is refused
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bigint-utils'), require('./paillier'), require('./zkp'),
+            require('./distributed-keygen'));
+    } else if (typeof WorkerGlobalScope !== 'undefined' && root instanceof WorkerGlobalScope) {
+        // Inside a worker: load the crypto core next to this script and answer the page's jobs
+        root.importScripts('bigint-utils.js', 'sha256.js', 'paillier.js', 'zkp.js',
+            'threshold-paillier.js', 'distributed-keygen.js');
+        factory(root, root, root, root).serveWorker(root);
+    } else {
+        // Browser globals, kept for the <script> tags in index.html
+        const exports = factory(root, root, root, root);
+        root.CryptoWorkerPool = exports.CryptoWorkerPool;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (deps, paillierDeps, zkpDeps, dkgDeps) {
+    'use strict';
+
+    const { BigIntUtils } = deps;
+    const { PaillierCryptosystem } = paillierDeps;
+    const { ZKProofSystem } = zkpDeps;
+    const { LocalKeyCeremony } = dkgDeps;
+
+    // Prime search reports progress every this many candidates, safe-prime search every this many p'
+    const PRIME_PROGRESS_INTERVAL = 16;
+    const SAFE_PRIME_PROGRESS_INTERVAL = 1024;
+
+    /**
+     * Odd candidates a prime search of this size tries on average: about ln(2^bits) / 2
+     */
+    function expectedCandidates(bits) {
+        return Math.max(2, Math.round(bits * Math.LN2 / 2));
+    }
+
+    /**
+     * Odd p' a safe-prime search tries on average: Sophie Germain primes have density
+     * about 2C / ln²x with C ≈ 0.66 the twin prime constant
+     */
+    function expectedSafePrimeCandidates(bits) {
+        const logarithm = bits * Math.LN2;
+        return Math.max(2, Math.round(logarithm * logarithm / (4 * 0.66)));
+    }
+
+    /**
+     * Error for a job that was cancelled, with code CANCELLED
+     */
+    function cancelledError() {
+        const error = new Error('Operation cancelled');
+        error.code = 'CANCELLED';
+        return error;
+    }
+
+    // Jobs too long to run on the main thread: a key ceremony blocks the page for minutes
+    const WORKER_ONLY_OPERATIONS = new Set(['runKeyCeremony']);
+
+    /**
+     * Error for a worker-only job when workers are unavailable, with code WORKERS_UNAVAILABLE
+     */
+    function workersUnavailableError(operation) {
+        const error = new Error(`"${operation}" needs Web Workers, which are unavailable here`);
+        error.code = 'WORKERS_UNAVAILABLE';
+        return error;
+    }
+
+    /**
+     * A Paillier and ZKP system for the public key a job names; the last one is
+     * kept so consecutive jobs share its powG/powN precomputation
+     */
+    let context = null;
+
+    function contextFor(publicKey) {
+        if (!context || context.paillier.publicKey.n !== publicKey.n) {
+            const paillier = new PaillierCryptosystem();
+            paillier.publicKey = publicKey;
+            context = { paillier, zkp: new ZKProofSystem(paillier) };
+        }
+        return context;
+    }
+
+    /**
+     * The jobs a worker (or the main-thread fallback) can run, each taking
+     * structured-cloneable arguments and a progress callback
+     */
+    const operations = {
+        generatePrime({ bits }, progress) {
+            let reported = 0;
+            return BigIntUtils.generatePrime(bits, attempts => {
+                if (attempts - reported >= PRIME_PROGRESS_INTERVAL) {
+                    reported = attempts;
+                    progress({ attempts });
+                }
+            });
+        },
+
+        generateSafePrime({ bits }, progress) {
+            let reported = 0;
+            return BigIntUtils.generateSafePrime(bits, attempts => {
+                if (attempts - reported >= SAFE_PRIME_PROGRESS_INTERVAL) {
+                    reported = attempts;
+                    progress({ attempts });
+                }
+            });
+        },
+
+        runKeyCeremony({ partyCount, threshold, keySize }, progress) {
+            const ceremony = new LocalKeyCeremony({ partyCount, threshold, keySize });
+            const results = ceremony.run(attempt => progress({ attempts: attempt }));
+            return { results, stats: ceremony.stats };
+        },
+
+        encrypt({ publicKey, plaintext }) {
+            return contextFor(publicKey).paillier.encrypt(plaintext);
+        },
+
+        randomnessPair({ publicKey }) {
+            const r = BigIntUtils.randomUnit(publicKey.n);
+            return { r, rn: contextFor(publicKey).paillier.powN(r) };
+        },
+
+        proveVoteEntry({ publicKey, plaintext, ciphertext, randomness, maxValue }) {
+            return contextFor(publicKey).zkp.proveVoteEntry(plaintext, ciphertext, randomness, maxValue);
+        },
+
+        proveVoteSum({ publicKey, ciphertexts, plaintexts, randomnesses, minSum, maxSum, maxValue }) {
+            return contextFor(publicKey).zkp.proveVoteSum(ciphertexts, plaintexts, randomnesses, minSum, maxSum, maxValue);
+        },
+
+        generateContestProof({ publicKey, ciphertexts, plaintexts, randomnesses, rules }) {
+            return contextFor(publicKey).zkp.generateContestProof(ciphertexts, plaintexts, randomnesses, rules);
+        }
+    };
+
+    function runOperation(operation, args, progress) {
+        if (!Object.prototype.hasOwnProperty.call(operations, operation)) {
+            throw new Error(`Unknown crypto worker operation "${operation}"`);
+        }
+        return operations[operation](args, progress);
+    }
+
+    /**
+     * Worker side: answer {id, operation, args} messages with {id, progress},
+     * then {id, result} or {id, error}
+     */
+    function serveWorker(scope) {
+        scope.onmessage = event => {
+            const { id, operation, args } = event.data;
+            try {
+                const result = runOperation(operation, args, progress => scope.postMessage({ id, progress }));
+                scope.postMessage({ id, result });
+            } catch (error) {
+                scope.postMessage({ id, error: error.message });
+            }
+        };
+    }
+
+    function defaultPoolSize() {
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+        return Math.min(cores || 2, 8);
+    }
+
+    class CryptoWorkerPool {
+        /**
+         * @param {ZKProofSystem} zkpSystem - Its Paillier system supplies the public key and randomness pool
+         * @param {object} options - {workerUrl, size, useWorkers, onFallback(error)}; onFallback
+         *                          is called once if workers fail and jobs move to the main thread
+         */
+        constructor(zkpSystem, options = {}) {
+            this.zkp = zkpSystem;
+            this.paillier = zkpSystem.paillier;
+            this.workerUrl = options.workerUrl || 'crypto-workers.js';
+            this.size = options.size || defaultPoolSize();
+            this.useWorkers = options.useWorkers !== undefined ? options.useWorkers : typeof Worker === 'function';
+            this.onFallback = options.onFallback || null;
+            this.slots = [];   // {worker, job} per running worker
+            this.queue = [];   // jobs waiting for a worker
+            this.groups = new Set();   // operations in progress
+            this.nextJobId = 1;
+            this.mainThreadBusy = false;
+        }
+
+        get usesWorkers() {
+            return this.useWorkers;
+        }
+
+        /**
+         * Find a random prime of the given bit length
+         * @param {object} options - {onProgress({done, total}), signal}; total is the
+         *                           expected number of candidates, so done is an estimate
+         * @returns {Promise<bigint>}
+         */
+        generatePrime(bits, options = {}) {
+            const expected = expectedCandidates(bits);
+            const group = this.startGroup(options);
+            const prime = this.enqueue(group, 'generatePrime', { bits }, ({ attempts }) =>
+                this.report(group, Math.min(attempts, expected - 1), expected));
+            return this.finish(group, prime.then(result => {
+                this.report(group, expected, expected);
+                return result;
+            }));
+        }
+
+        /**
+         * Find two distinct primes in parallel, for a key of twice the bit length
+         * @returns {Promise<bigint[]>} [p, q]
+         */
+        generateTwoPrimes(bits, options = {}) {
+            return this.searchTwoPrimes('generatePrime', bits, expectedCandidates(bits), options);
+        }
+
+        /**
+         * Find two distinct safe primes in parallel, for a threshold dealer's key
+         * @returns {Promise<bigint[]>} [p, q]
+         */
+        generateTwoSafePrimes(bits, options = {}) {
+            return this.searchTwoPrimes('generateSafePrime', bits, expectedSafePrimeCandidates(bits), options);
+        }
+
+        /**
+         * Run a LocalKeyCeremony in one job; progress counts its attempts against the expected number.
+         * Without workers this rejects with code WORKERS_UNAVAILABLE
+         * @param {object} ceremonyOptions - {partyCount, threshold, keySize}
+         * @returns {Promise<object>} {results, stats} as LocalKeyCeremony#run and #stats
+         */
+        runKeyCeremony(ceremonyOptions, options = {}) {
+            const expected = LocalKeyCeremony.expectedAttempts(ceremonyOptions.keySize);
+            const group = this.startGroup(options);
+            const ceremony = this.enqueue(group, 'runKeyCeremony', ceremonyOptions, ({ attempts }) =>
+                this.report(group, Math.min(attempts, expected - 1), expected));
+            return this.finish(group, ceremony.then(result => {
+                this.report(group, expected, expected);
+                return result;
+            }));
+        }
+
+        /**
+         * Two prime searches of one kind sharing a progress bar, retried until the primes are far apart
+         */
+        searchTwoPrimes(operation, bits, expected, options) {
+            const group = this.startGroup(options);
+            const attempts = [0, 0];
+            const search = index => this.enqueue(group, operation, { bits }, progress => {
+                attempts[index] = Math.min(progress.attempts, expected - 1);
+                this.report(group, attempts[index] + attempts[1 - index], 2 * expected);
+            }).then(prime => {
+                attempts[index] = expected;
+                this.report(group, attempts[0] + attempts[1], 2 * expected);
+                return prime;
+            });
+
+            const primes = Promise.all([search(0), search(1)]).then(async ([p, q]) => {
+                while (!BigIntUtils.primesFarApart(p, q)) {
+                    q = await search(1);
+                }
+                return [p, q];
+            });
+            return this.finish(group, primes);
+        }
+
+        /**
+         * Generate the Paillier key pair with the prime search in workers
+         * @returns {Promise<object>} As PaillierCryptosystem#generateKeys
+         */
+        async generateKeys(options = {}) {
+            const [p, q] = await this.generateTwoPrimes(this.paillier.keySize / 2, options);
+            return this.paillier.keysFromPrimes(p, q);
+        }
+
+        /**
+         * Encrypt plaintexts under the current public key, one job per plaintext.
+         * Pairs in the Paillier system's randomness pool are taken first, and those
+         * encryptions happen right away on this thread
+         * @returns {Promise<Array<{ciphertext, randomness}>>}
+         */
+        encrypt(plaintexts, options = {}) {
+            const publicKey = this.requirePublicKey();
+            const pool = this.paillier.randomnessPool;
+            const group = this.startGroup(options);
+            let done = 0;
+            const encryptions = plaintexts.map(plaintext => {
+                const encryption = pool && pool.matches(publicKey) && pool.size > 0
+                    ? Promise.resolve(this.paillier.encrypt(plaintext, publicKey))
+                    : this.enqueue(group, 'encrypt', { publicKey, plaintext });
+                return encryption.then(result => {
+                    this.report(group, ++done, plaintexts.length);
+                    return result;
+                });
+            });
+            return this.finish(group, Promise.all(encryptions));
+        }
+
+        /**
+         * Add count (r, r^n) pairs to the Paillier system's randomness pool, computed in workers
+         * @returns {Promise<number>} The pool size when done
+         */
+        fillRandomnessPool(count, options = {}) {
+            const pool = this.paillier.precomputeRandomness(0);
+            const publicKey = pool.publicKey;
+            const needed = Math.max(0, count - pool.size);
+            const group = this.startGroup(options);
+            let done = 0;
+            const pairs = Array.from({ length: needed }, () =>
+                this.enqueue(group, 'randomnessPair', { publicKey }).then(pair => {
+                    // The keys may have changed while the pair was computed
+                    if (this.paillier.randomnessPool === pool) {
+                        pool.add([pair]);
+                    }
+                    this.report(group, ++done, needed);
+                }));
+            return this.finish(group, Promise.all(pairs)).then(() => pool.size);
+        }
+
+        /**
+         * As ZKProofSystem#generateVoteProof, with every candidate's proof and the
+         * sum proof built in parallel
+         * @returns {Promise<object>}
+         */
+        generateVoteProof(encryptedVotes, plaintextVotes, randomnesses, minSum = 1n, maxSum = minSum, maxValue = 1n, options = {}) {
+            const publicKey = this.requirePublicKey();
+            const group = this.startGroup(options);
+            const total = encryptedVotes.length + 1;
+            let done = 0;
+            const track = job => job.then(result => {
+                this.report(group, ++done, total);
+                return result;
+            });
+
+            const bitProofs = encryptedVotes.map((ciphertext, i) => track(this.enqueue(group, 'proveVoteEntry', {
+                publicKey, plaintext: plaintextVotes[i], ciphertext, randomness: randomnesses[i], maxValue
+            })));
+            const sumProof = track(this.enqueue(group, 'proveVoteSum', {
+                publicKey, ciphertexts: encryptedVotes, plaintexts: plaintextVotes, randomnesses, minSum, maxSum, maxValue
+            }));
+
+            return this.finish(group, Promise.all([Promise.all(bitProofs), sumProof])
+                .then(([proofs, sum]) => this.zkp.completeVoteProof(proofs, sum)));
+        }
+
+        /**
+         * As ZKProofSystem#generateContestProof; ranked and packed contests are proved in a single job
+         * @returns {Promise<object>}
+         */
+        generateContestProof(encryptedVotes, plaintextVotes, randomnesses, rules, options = {}) {
+            if (!rules.ranked && !rules.packing) {
+                return this.generateVoteProof(encryptedVotes, plaintextVotes, randomnesses,
+                    rules.minSum, rules.maxSum, rules.maxValue, options);
+            }
+
+            const publicKey = this.requirePublicKey();
+            const group = this.startGroup(options);
+            const proof = this.enqueue(group, 'generateContestProof', {
+                publicKey, ciphertexts: encryptedVotes, plaintexts: plaintextVotes, randomnesses, rules
+            });
+            return this.finish(group, proof.then(result => {
+                this.report(group, 1, 1);
+                return result;
+            }));
+        }
+
+        /**
+         * Cancel every operation in progress; their Promises reject with code CANCELLED
+         */
+        cancel() {
+            for (const group of this.groups) {
+                this.cancelGroup(group);
+            }
+        }
+
+        /**
+         * Cancel everything and stop the workers
+         */
+        terminate() {
+            this.cancel();
+            this.slots.forEach(slot => slot.worker.terminate());
+            this.slots = [];
+        }
+
+        requirePublicKey() {
+            if (!this.paillier.publicKey) {
+                throw new Error('No public key available for encryption');
+            }
+            return this.paillier.publicKey;
+        }
+
+        /**
+         * An operation: the jobs it queued, its progress callback and its cancel signal
+         */
+        startGroup(options) {
+            const group = { cancelled: false, jobs: new Set(), onProgress: options.onProgress || null };
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    group.cancelled = true;
+                } else {
+                    options.signal.addEventListener('abort', () => this.cancelGroup(group), { once: true });
+                }
+            }
+            this.groups.add(group);
+            return group;
+        }
+
+        /**
+         * Settle an operation's Promise; a failed job cancels the rest of its operation
+         */
+        finish(group, promise) {
+            return promise.then(result => {
+                this.groups.delete(group);
+                return result;
+            }, error => {
+                this.cancelGroup(group);
+                this.groups.delete(group);
+                throw error;
+            });
+        }
+
+        report(group, done, total) {
+            if (group.onProgress && !group.cancelled) {
+                group.onProgress({ done, total });
+            }
+        }
+
+        cancelGroup(group) {
+            if (group.cancelled) return;
+            group.cancelled = true;
+
+            this.queue = this.queue.filter(job => job.group !== group);
+
+            // A synchronous job cannot be interrupted, so its worker is replaced
+            this.slots = this.slots.filter(slot => {
+                if (slot.job && slot.job.group === group) {
+                    slot.worker.terminate();
+                    return false;
+                }
+                return true;
+            });
+
+            for (const job of group.jobs) {
+                job.reject(cancelledError());
+            }
+            group.jobs.clear();
+            this.groups.delete(group);
+            this.dispatch();
+        }
+
+        enqueue(group, operation, args, onProgress = null) {
+            return new Promise((resolve, reject) => {
+                if (group.cancelled) {
+                    reject(cancelledError());
+                    return;
+                }
+                const job = { id: this.nextJobId++, group, operation, args, onProgress, resolve, reject };
+                group.jobs.add(job);
+                this.queue.push(job);
+                this.dispatch();
+            });
+        }
+
+        /**
+         * Hand queued jobs to idle workers, starting workers up to the pool size
+         */
+        dispatch() {
+            if (!this.useWorkers) {
+                this.runOnMainThread();
+                return;
+            }
+
+            while (this.queue.length > 0) {
+                let slot = this.slots.find(candidate => !candidate.job);
+                if (!slot) {
+                    if (this.slots.length >= this.size) return;
+                    slot = this.spawn();
+                    if (!slot) return;
+                }
+                const job = this.queue.shift();
+                slot.job = job;
+                slot.worker.postMessage({ id: job.id, operation: job.operation, args: job.args });
+            }
+        }
+
+        spawn() {
+            let worker;
+            try {
+                worker = new Worker(this.workerUrl);
+            } catch (error) {
+                this.fallBackToMainThread(error);
+                return null;
+            }
+
+            const slot = { worker, job: null };
+            worker.onmessage = event => this.receive(slot, event.data);
+            worker.onerror = event => {
+                // Jobs report their own errors, so this is a worker that failed to load
+                if (event.preventDefault) event.preventDefault();
+                this.slots = this.slots.filter(candidate => candidate !== slot);
+                worker.terminate();
+                if (slot.job) this.queue.unshift(slot.job);
+                this.fallBackToMainThread(new Error(event.message || 'Crypto worker failed to start'));
+            };
+            this.slots.push(slot);
+            return slot;
+        }
+
+        fallBackToMainThread(error) {
+            const wasUsingWorkers = this.useWorkers;
+            this.useWorkers = false;
+            if (wasUsingWorkers && this.onFallback) {
+                this.onFallback(error);
+            }
+            this.dispatch();
+        }
+
+        receive(slot, message) {
+            const job = slot.job;
+            if (!job || message.id !== job.id) return;
+
+            if (message.progress) {
+                if (job.onProgress && !job.group.cancelled) job.onProgress(message.progress);
+                return;
+            }
+
+            slot.job = null;
+            this.settle(job, message.error ? new Error(message.error) : null, message.result);
+            this.dispatch();
+        }
+
+        settle(job, error, result) {
+            job.group.jobs.delete(job);
+            if (error) {
+                job.reject(error);
+            } else {
+                job.resolve(result);
+            }
+        }
+
+        /**
+         * Fallback: run one queued job per timeout, so cancel requests and UI updates
+         * get a turn between jobs; worker-only jobs are refused
+         */
+        runOnMainThread() {
+            for (const job of this.queue.filter(queued => WORKER_ONLY_OPERATIONS.has(queued.operation))) {
+                this.queue.splice(this.queue.indexOf(job), 1);
+                this.settle(job, workersUnavailableError(job.operation));
+            }
+            if (this.mainThreadBusy || this.queue.length === 0) return;
+
+            const job = this.queue.shift();
+            this.mainThreadBusy = true;
+            setTimeout(() => {
+                this.mainThreadBusy = false;
+                if (!job.group.cancelled) {
+                    let result = null;
+                    let error = null;
+                    try {
+                        result = runOperation(job.operation, job.args, progress => {
+                            if (job.onProgress) job.onProgress(progress);
+                        });
+                    } catch (caught) {
+                        error = caught;
+                    }
+                    this.settle(job, error, result);
+                }
+                this.dispatch();
+            }, 0);
+        }
+    }
+
+    return { CryptoWorkerPool, serveWorker };
+});
@@ -0,0 +1,751 @@
+/**
+ * Distributed Key Generation for Threshold Paillier
+ * Several authorities jointly produce the modulus n = pq and k-of-l decryption
+ * shares; p and q only ever exist as additive shares, so no party (and no
+ * dealer) learns the factorization. Parties talk only through messages, which
+ * are plain JSON so they can later be carried between browsers.
+ *
+ * Protocol (honest-but-curious, after Boneh–Franklin and Nishide–Sakurai):
+ * 1. Each party picks shares p_i, q_i; BGW multiplication over a prime field
+ *    reveals only N = (Σp_i)(Σq_i)
+ * 2. N is trial-divided publicly and run through the Boneh–Franklin
+ *    biprimality test; on failure the parties pick new shares
+ * 3. φ(N) is additively shared (φ_1 = N - p_1 - q_1 + 1, φ_i = -(p_i + q_i));
+ *    with a random shared β, BGW over the integers gives additive shares of
+ *    d = Δφβ, and θ = d mod N is revealed behind pairwise zero masks
+ * 4. Each party re-shares its additive share with a degree k-1 integer
+ *    polynomial, giving shares that ThresholdPaillier combines directly
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bigint-utils'), require('./sha256'), require('./threshold-paillier'),
+            require('./paillier'));
+    } else {
+        // Browser globals, kept for the <script> tags in index.html
+        const exports = factory(root, root, root, root);
+        root.DKGParty = exports.DKGParty;
+        root.LocalKeyCeremony = exports.LocalKeyCeremony;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (deps, hashDeps, thresholdDeps, paillierDeps) {
+    'use strict';
+
+    const { BigIntUtils } = deps;
+    const { SHA256 } = hashDeps;
+    const { ThresholdPaillier } = thresholdDeps;
+    const { PaillierCryptosystem } = paillierDeps;
+
+    // Domain-separation tags for the public coins derived from the transcript
+    const DOMAIN_BIPRIMALITY = 'paillier-voting/dkg/v1/biprimality';
+    const DOMAIN_VERIFICATION_BASE = 'paillier-voting/dkg/v1/verification-base';
+
+    // Statistical hiding margin for integer secret sharing
+    const STATISTICAL_BITS = 128;
+
+    // Candidate moduli tried per round trip, and Boneh–Franklin test rounds (error ≤ 2^-rounds)
+    const CANDIDATES_PER_ATTEMPT = 64;
+    const BIPRIMALITY_ROUNDS = 40;
+
+    const fieldPrimes = new Map();
+
+    /**
+     * Smallest prime above 2^bits; every party derives the same BGW field
+     */
+    function fieldPrime(bits) {
+        if (!fieldPrimes.has(bits)) {
+            let candidate = (1n << BigInt(bits)) + 1n;
+            while (!BigIntUtils.isProbablePrime(candidate, 40)) {
+                candidate += 2n;
+            }
+            fieldPrimes.set(bits, candidate);
+        }
+        return fieldPrimes.get(bits);
+    }
+
+    /**
+     * n! as a BigInt
+     */
+    function factorial(n) {
+        let result = 1n;
+        for (let i = 2n; i <= BigInt(n); i++) {
+            result *= i;
+        }
+        return result;
+    }
+
+    function mod(value, modulus) {
+        return ((value % modulus) + modulus) % modulus;
+    }
+
+    /**
+     * Polynomial with constant term `secret` and random coefficients, either in
+     * [0, modulus) for field sharing or in [0, 2^coefficientBits) for integer sharing
+     */
+    function randomPolynomial(secret, degree, { modulus, coefficientBits }) {
+        const coefficients = [secret];
+        for (let i = 0; i < degree; i++) {
+            coefficients.push(modulus
+                ? BigIntUtils.randomRange(0n, modulus)
+                : BigIntUtils.randomBigInt(coefficientBits));
+        }
+        return coefficients;
+    }
+
+    /**
+     * Evaluate a polynomial at x, over the integers unless a modulus is given
+     */
+    function evaluatePolynomial(coefficients, x, modulus = null) {
+        const point = BigInt(x);
+        let value = 0n;
+        for (let j = coefficients.length - 1; j >= 0; j--) {
+            value = value * point + coefficients[j];
+            if (modulus) value %= modulus;
+        }
+        return value;
+    }
+
+    /**
+     * Largest |f(x)| for x ≤ maxPoint when |f(0)| < secretBound and coefficients < coefficientBound
+     */
+    function polynomialBound(secretBound, coefficientBound, degree, maxPoint) {
+        let bound = secretBound;
+        let power = 1n;
+        for (let k = 0; k < degree; k++) {
+            power *= BigInt(maxPoint);
+            bound += coefficientBound * power;
+        }
+        return bound;
+    }
+
+    /**
+     * Lagrange interpolation at 0 over Z_P from points [{x, y}]
+     */
+    function interpolateAtZero(points, modulus) {
+        let result = 0n;
+        for (const { x: xi, y } of points) {
+            let numerator = 1n;
+            let denominator = 1n;
+            for (const { x: xj } of points) {
+                if (xj === xi) continue;
+                numerator = (numerator * BigInt(xj)) % modulus;
+                denominator = mod(denominator * BigInt(xj - xi), modulus);
+            }
+            result = (result + y * numerator * BigIntUtils.modInverse(denominator, modulus)) % modulus;
+        }
+        return result;
+    }
+
+    /**
+     * Integer Lagrange coefficient at 0 scaled by Δ: Δ · ∏_{j ≠ i} j / (j - i)
+     */
+    function integerLagrange(i, indices, delta) {
+        let numerator = delta;
+        let denominator = 1n;
+        for (const j of indices) {
+            if (j === i) continue;
+            numerator *= BigInt(j);
+            denominator *= BigInt(j - i);
+        }
+        return numerator / denominator;
+    }
+
+    /**
+     * Public coin in [0, modulus): SHA-256 of the transcript in counter mode,
+     * 128 bits longer than the modulus to make the reduction bias negligible
+     */
+    function hashToRange(elements, modulus) {
+        const targetBits = BigIntUtils.bitLength(modulus) + STATISTICAL_BITS;
+        let value = 0n;
+        for (let counter = 0n; BigInt(targetBits) > counter * 256n; counter++) {
+            value = (value << 256n) | SHA256.hashTranscript([...elements, counter]);
+        }
+        return value % modulus;
+    }
+
+    /**
+     * Parse a signed decimal integer string from a received message
+     */
+    function parseInteger(value, path) {
+        if (typeof value !== 'string' || !/^-?\d+$/.test(value)) {
+            throw new Error(`${path} must be a decimal integer string`);
+        }
+        return BigInt(value);
+    }
+
+    class DKGParty {
+        /**
+         * @param {number} index - This party's index, 1..partyCount
+         * @param {object} options - {partyCount, threshold, keySize}; every party must use the same
+         */
+        constructor(index, { partyCount, threshold, keySize = 2048 }) {
+            if (!Number.isInteger(partyCount) || partyCount < 3) {
+                throw new Error('Distributed key generation needs at least 3 parties');
+            }
+            // With k = 1 every party's share alone decrypts, which defeats the ceremony
+            if (!Number.isInteger(threshold) || threshold < 2 || threshold > partyCount) {
+                throw new Error('Threshold must satisfy 2 <= k <= number of parties');
+            }
+            if (!Number.isInteger(index) || index < 1 || index > partyCount) {
+                throw new Error(`Party index must be between 1 and ${partyCount}`);
+            }
+            PaillierCryptosystem.checkKeySize(keySize);
+
+            this.index = index;
+            this.partyCount = partyCount;
+            this.threshold = threshold;
+            this.keySize = keySize;
+
+            // BGW tolerates up to t curious parties; degree-2t products need 2t + 1 ≤ l points
+            this.privacyDegree = Math.floor((partyCount - 1) / 2);
+            this.delta = factorial(partyCount);
+            this.fieldModulus = fieldPrime(keySize);
+
+            this.inbox = new Map();
+            this.pending = null;
+            this.attempt = 0;
+            this.keyAttempt = 0;
+            this.candidate = null;
+            this.result = null;
+        }
+
+        /**
+         * Messages to send to open the protocol
+         */
+        start() {
+            return [...this.beginAttempt(), ...this.advance()];
+        }
+
+        /**
+         * Accept one message and return the messages it triggers (often none,
+         * until every party's message for the current round is in)
+         */
+        receive(message) {
+            const { from, to, round, payload } = message;
+
+            if (!Number.isInteger(from) || from < 1 || from > this.partyCount || from === this.index) {
+                throw new Error(`Unexpected sender ${from}`);
+            }
+            if (to !== 'all' && to !== this.index) {
+                throw new Error(`Message for party ${to} delivered to party ${this.index}`);
+            }
+
+            if (!this.inbox.has(round)) {
+                this.inbox.set(round, new Map());
+            }
+            const received = this.inbox.get(round);
+            if (received.has(from)) {
+                throw new Error(`Duplicate ${round} message from party ${from}`);
+            }
+            received.set(from, payload);
+
+            return this.advance();
+        }
+
+        /**
+         * Run every round whose messages have all arrived
+         */
+        advance() {
+            const outgoing = [];
+            while (this.pending) {
+                const { round, handle } = this.pending;
+                const received = this.inbox.get(round);
+                if (!received || received.size < this.partyCount - 1) break;
+
+                this.inbox.delete(round);
+                this.pending = null;
+                outgoing.push(...handle.call(this, received));
+            }
+            return outgoing;
+        }
+
+        /**
+         * Wait for all messages of `round`, then call handle(received: Map<from, payload>)
+         */
+        expect(round, handle) {
+            this.pending = { round, handle };
+        }
+
+        /**
+         * One message per other party; values(j) gives the payload for party j
+         */
+        sendEach(round, values) {
+            const messages = [];
+            for (let j = 1; j <= this.partyCount; j++) {
+                if (j === this.index) continue;
+                messages.push({ from: this.index, to: j, round, payload: values(j) });
+            }
+            return messages;
+        }
+
+        broadcast(round, payload) {
+            return [{ from: this.index, to: 'all', round, payload }];
+        }
+
+        // ---- Step 1: shared modulus -------------------------------------------------
+
+        /**
+         * Pick shares of CANDIDATES_PER_ATTEMPT candidate (p, q) pairs and deal them out
+         * Party 1's shares are ≡ 3 (mod 4) and carry the fixed top bits, the others' ≡ 0,
+         * so p, q ≡ 3 (mod 4) with exactly keySize/2 bits
+         */
+        beginAttempt() {
+            this.attempt++;
+
+            const P = this.fieldModulus;
+            const t = this.privacyDegree;
+            const primeBits = this.keySize / 2;
+            const randomBits = primeBits - 2 - Math.ceil(Math.log2(this.partyCount));
+            const offset = this.index === 1 ? (3n << BigInt(primeBits - 2)) : 0n;
+            const low = this.index === 1 ? 3n : 0n;
+
+            const pick = () => offset + ((BigIntUtils.randomBigInt(randomBits - 2) << 2n) | low);
+
+            this.candidate = { p: [], q: [] };
+            const polynomials = [];
+            for (let c = 0; c < CANDIDATES_PER_ATTEMPT; c++) {
+                const p = pick();
+                const q = pick();
+                this.candidate.p.push(p);
+                this.candidate.q.push(q);
+                polynomials.push({
+                    p: randomPolynomial(p, t, { modulus: P }),
+                    q: randomPolynomial(q, t, { modulus: P }),
+                    // Random sharing of zero re-randomizes the degree-2t product shares
+                    zero: randomPolynomial(0n, 2 * t, { modulus: P })
+                });
+            }
+
+            const sharesFor = (j) => ({
+                p: polynomials.map(poly => evaluatePolynomial(poly.p, j, P)),
+                q: polynomials.map(poly => evaluatePolynomial(poly.q, j, P)),
+                zero: polynomials.map(poly => evaluatePolynomial(poly.zero, j, P))
+            });
+
+            const own = sharesFor(this.index);
+            this.expect(`modulus/${this.attempt}`, received => this.onModulusShares(own, received));
+            return this.sendEach(`modulus/${this.attempt}`, sharesFor);
+        }
+
+        /**
+         * Local BGW step: share of p·q + 0 at this party's point, broadcast
+         */
+        onModulusShares(own, received) {
+            const P = this.fieldModulus;
+            const all = [own, ...received.values()];
+
+            const products = [];
+            for (let c = 0; c < CANDIDATES_PER_ATTEMPT; c++) {
+                let p = 0n;
+                let q = 0n;
+                let zero = 0n;
+                all.forEach((shares, k) => {
+                    const path = `modulus/${this.attempt}[${k}]`;
+                    p += k === 0 ? shares.p[c] : parseInteger(shares.p[c], `${path}.p`);
+                    q += k === 0 ? shares.q[c] : parseInteger(shares.q[c], `${path}.q`);
+                    zero += k === 0 ? shares.zero[c] : parseInteger(shares.zero[c], `${path}.zero`);
+                });
+                products.push(((p % P) * (q % P) + zero) % P);
+            }
+
+            const round = `product/${this.attempt}`;
+            this.expect(round, received => this.onModulusProducts(products, received));
+            return this.broadcast(round, { values: products });
+        }
+
+        /**
+         * Interpolate every candidate N, keep those with no small factor and the right size
+         */
+        onModulusProducts(own, received) {
+            const P = this.fieldModulus;
+            const points = [{ x: this.index, values: own }];
+            for (const [from, payload] of received) {
+                points.push({
+                    x: from,
+                    values: payload.values.map((value, c) =>
+                        parseInteger(value, `product/${this.attempt}[${from}].values[${c}]`))
+                });
+            }
+
+            const survivors = [];
+            for (let c = 0; c < CANDIDATES_PER_ATTEMPT; c++) {
+                const N = interpolateAtZero(points.map(({ x, values }) => ({ x, y: values[c] })), P);
+                if (BigIntUtils.bitLength(N) === this.keySize && !BigIntUtils.hasSmallFactor(N)) {
+                    survivors.push({ candidate: c, N });
+                }
+            }
+
+            if (survivors.length === 0) {
+                return this.beginAttempt();
+            }
+
+            // One screening round for every survivor, then the full test for the first to pass
+            return this.biprimalityRound('screen', survivors, [0]);
+        }
+
+        // ---- Step 2: Boneh–Franklin biprimality test --------------------------------
+
+        /**
+         * Public test base number `k` for N: a SHA-256 coin with Jacobi symbol (g/N) = 1
+         */
+        biprimalityBase(N, k) {
+            for (let counter = 0n; ; counter++) {
+                const g = hashToRange([DOMAIN_BIPRIMALITY, N, BigInt(this.attempt), BigInt(k), counter], N);
+                if (g > 1n && BigIntUtils.jacobi(g, N) === 1) {
+                    return g;
+                }
+            }
+        }
+
+        /**
+         * Broadcast Q_i = g^{(N - p_1 - q_1 + 1)/4} (party 1) or g^{(p_i + q_i)/4} (others)
+         * for each survivor and each test base
+         */
+        biprimalityRound(stage, survivors, tests) {
+            const values = survivors.map(({ candidate, N }) => {
+                const p = this.candidate.p[candidate];
+                const q = this.candidate.q[candidate];
+                const exponent = this.index === 1 ? (N - p - q + 1n) / 4n : (p + q) / 4n;
+                return tests.map(k => BigIntUtils.modPow(this.biprimalityBase(N, k), exponent, N));
+            });
+
+            const round = `biprimality-${stage}/${this.attempt}`;
+            this.expect(round, received => this.onBiprimality(stage, survivors, tests, values, received));
+            return this.broadcast(round, { values: values.flat() });
+        }
+
+        /**
+         * N passes a test if Q_1 ≡ ±∏_{i>1} Q_i (mod N), i.e. g^{φ(N)/4} ≡ ±1
+         */
+        onBiprimality(stage, survivors, tests, own, received) {
+            const byParty = new Map([[this.index, own.flat()]]);
+            for (const [from, payload] of received) {
+                byParty.set(from, payload.values.map((value, k) =>
+                    parseInteger(value, `biprimality-${stage}/${this.attempt}[${from}].values[${k}]`)));
+            }
+
+            const passed = survivors.filter(({ N }, s) => tests.every((_, k) => {
+                const position = s * tests.length + k;
+                let others = 1n;
+                for (let j = 2; j <= this.partyCount; j++) {
+                    others = (others * byParty.get(j)[position]) % N;
+                }
+                const first = byParty.get(1)[position];
+                return first === others || first === N - others;
+            }));
+
+            if (passed.length === 0) {
+                return this.beginAttempt();
+            }
+
+            if (stage === 'screen') {
+                const rest = [];
+                for (let k = 1; k < BIPRIMALITY_ROUNDS; k++) rest.push(k);
+                return this.biprimalityRound('confirm', passed.slice(0, 1), rest);
+            }
+
+            // Only the accepted candidate's shares are kept
+            const { candidate, N } = passed[0];
+            this.modulus = N;
+            this.candidate = { p: this.candidate.p[candidate], q: this.candidate.q[candidate] };
+            return this.beginKeySharing();
+        }
+
+        // ---- Step 3: shares of d = Δφβ and θ = d mod N ------------------------------
+
+        /**
+         * Share this party's φ_i and a random β_i with degree-t integer polynomials
+         */
+        beginKeySharing() {
+            this.keyAttempt++;
+
+            const N = this.modulus;
+            const l = this.partyCount;
+            const t = this.privacyDegree;
+            const { p, q } = this.candidate;
+
+            const phi = this.index === 1 ? N - p - q + 1n : -(p + q);
+            const beta = BigIntUtils.randomRange(0n, N);
+
+            // Public bounds, identical at every party
+            const secretBound = N + 1n;
+            const coefficientBits = BigIntUtils.bitLength(secretBound) +
+                BigIntUtils.bitLength(this.delta) + STATISTICAL_BITS;
+            const sumBound = BigInt(l) * polynomialBound(secretBound, 1n << BigInt(coefficientBits), t, l);
+            const productSet = [];
+            for (let i = 1; i <= 2 * t + 1; i++) productSet.push(i);
+            const lagrangeBound = productSet.reduce((max, i) => {
+                const lambda = integerLagrange(i, productSet, this.delta);
+                return lambda < 0n ? (-lambda > max ? -lambda : max) : (lambda > max ? lambda : max);
+            }, 0n);
+            this.bounds = { coefficientBits, productSet, additiveBound: lagrangeBound * sumBound * sumBound };
+
+            const phiPolynomial = randomPolynomial(phi, t, { coefficientBits });
+            const betaPolynomial = randomPolynomial(beta, t, { coefficientBits });
+            const sharesFor = (j) => ({
+                phi: evaluatePolynomial(phiPolynomial, j),
+                beta: evaluatePolynomial(betaPolynomial, j)
+            });
+
+            const own = sharesFor(this.index);
+            const round = `secret/${this.keyAttempt}`;
+            this.expect(round, received => this.onSecretShares(own, received));
+            return this.sendEach(round, sharesFor);
+        }
+
+        /**
+         * F(i)·G(i) is a degree-2t sharing of φβ; the first 2t + 1 parties turn theirs
+         * into additive shares of Δφβ, which everyone re-shares with degree k - 1
+         */
+        onSecretShares(own, received) {
+            const N = this.modulus;
+            const l = this.partyCount;
+
+            let phiShare = own.phi;
+            let betaShare = own.beta;
+            for (const [from, payload] of received) {
+                phiShare += parseInteger(payload.phi, `secret/${this.keyAttempt}[${from}].phi`);
+                betaShare += parseInteger(payload.beta, `secret/${this.keyAttempt}[${from}].beta`);
+            }
+
+            const { productSet, additiveBound } = this.bounds;
+            const additive = productSet.includes(this.index)
+                ? integerLagrange(this.index, productSet, this.delta) * phiShare * betaShare
+                : 0n;
+
+            const coefficientBits = BigIntUtils.bitLength(additiveBound) +
+                BigIntUtils.bitLength(this.delta) + STATISTICAL_BITS;
+            const shareBound = BigInt(l) *
+                polynomialBound(additiveBound, 1n << BigInt(coefficientBits), this.threshold - 1, l);
+            this.bounds.shareBits = BigIntUtils.bitLength(shareBound);
+
+            const polynomial = randomPolynomial(additive, this.threshold - 1, { coefficientBits });
+
+            // Pairwise masks: party i adds what it sends and subtracts what it receives
+            const masks = new Map();
+            for (let j = 1; j <= l; j++) {
+                if (j !== this.index) masks.set(j, BigIntUtils.randomRange(0n, N));
+            }
+
+            const ownShare = evaluatePolynomial(polynomial, this.index);
+            const round = `reshare/${this.keyAttempt}`;
+            this.expect(round, received => this.onReshares(additive, ownShare, masks, received));
+            return this.sendEach(round, j => ({
+                share: evaluatePolynomial(polynomial, j),
+                mask: masks.get(j)
+            }));
+        }
+
+        /**
+         * Sum the re-shared pieces into the final key share; publish the masked θ share
+         * and the verification key v^{Δ s_i}
+         */
+        onReshares(additive, ownShare, masks, received) {
+            const N = this.modulus;
+            const nSquared = N * N;
+
+            let share = ownShare;
+            let mask = [...masks.values()].reduce((sum, value) => sum + value, 0n);
+            for (const [from, payload] of received) {
+                share += parseInteger(payload.share, `reshare/${this.keyAttempt}[${from}].share`);
+                mask -= parseInteger(payload.mask, `reshare/${this.keyAttempt}[${from}].mask`);
+            }
+
+            const v = this.verificationBase();
+            const thetaShare = mod(additive + mask, N);
+            const verificationKey = BigIntUtils.modPow(v, this.delta * share, nSquared);
+
+            const round = `publish/${this.keyAttempt}`;
+            this.expect(round, received => this.onPublish(share, thetaShare, verificationKey, received));
+            return this.broadcast(round, { theta: thetaShare, verificationKey });
+        }
+
+        /**
+         * Public random square v ∈ Z_{N²}*, derived from N so every party agrees
+         */
+        verificationBase() {
+            const N = this.modulus;
+            const nSquared = N * N;
+            const h = hashToRange([DOMAIN_VERIFICATION_BASE, N], nSquared);
+            return (h * h) % nSquared;
+        }
+
+        /**
+         * θ = Σ published shares mod N; finish, or retry with a fresh β if θ is not invertible
+         */
+        onPublish(share, thetaShare, verificationKey, received) {
+            const N = this.modulus;
+            const verificationKeys = new Array(this.partyCount);
+            verificationKeys[this.index - 1] = verificationKey;
+
+            let theta = thetaShare;
+            for (const [from, payload] of received) {
+                theta += parseInteger(payload.theta, `publish/${this.keyAttempt}[${from}].theta`);
+                verificationKeys[from - 1] =
+                    parseInteger(payload.verificationKey, `publish/${this.keyAttempt}[${from}].verificationKey`);
+            }
+            theta %= N;
+
+            if (!BigIntUtils.areCoprime(theta, N)) {
+                return this.beginKeySharing();
+            }
+
+            // The prime shares are no longer needed; drop them
+            this.candidate = null;
+
+            this.result = {
+                public: { n: N, g: N + 1n, nSquared: N * N },
+                params: {
+                    threshold: this.threshold,
+                    shareCount: this.partyCount,
+                    delta: this.delta,
+                    theta,
+                    v: this.verificationBase(),
+                    verificationKeys,
+                    shareBits: this.bounds.shareBits
+                },
+                share: { index: this.index, share }
+            };
+            return [];
+        }
+
+        /**
+         * Wire format: JSON with every BigInt as a decimal string
+         */
+        static encodeMessage(message) {
+            return JSON.stringify(message, (key, value) =>
+                typeof value === 'bigint' ? value.toString() : value);
+        }
+
+        /**
+         * Parse a wire message; payload integers stay strings until the round handler reads them
+         */
+        static decodeMessage(json) {
+            const message = JSON.parse(json);
+            if (!message || typeof message.round !== 'string' || typeof message.payload !== 'object') {
+                throw new Error('Malformed key generation message');
+            }
+            return message;
+        }
+    }
+
+    class LocalKeyCeremony {
+        /**
+         * All parties simulated in one process, messages passed through their JSON wire format
+         * @param {object} options - {partyCount, threshold, keySize}
+         */
+        constructor({ partyCount = 3, threshold = 2, keySize = 2048 } = {}) {
+            this.options = { partyCount, threshold, keySize };
+            this.parties = [];
+            this.stats = null;
+        }
+
+        /**
+         * Run the protocol to completion
+         * @param {function} onAttempt - Optional, called with the attempt number each time
+         *                               the parties start on a new batch of candidates
+         * @returns {Array} One {public, params, share} result per party
+         */
+        run(onAttempt = null) {
+            const { partyCount } = this.options;
+
+            this.parties = [];
+            for (let i = 1; i <= partyCount; i++) {
+                this.parties.push(new DKGParty(i, this.options));
+            }
+
+            const queue = this.parties.flatMap(party => party.start()).map(DKGParty.encodeMessage);
+            let delivered = 0;
+            let attempt = 0;
+
+            while (queue.length > 0) {
+                if (onAttempt && this.parties[0].attempt > attempt) {
+                    attempt = this.parties[0].attempt;
+                    onAttempt(attempt);
+                }
+                const wire = queue.shift();
+                const message = DKGParty.decodeMessage(wire);
+                const recipients = message.to === 'all'
+                    ? this.parties.filter(party => party.index !== message.from)
+                    : [this.parties[message.to - 1]];
+
+                for (const party of recipients) {
+                    delivered++;
+                    queue.push(...party.receive(DKGParty.decodeMessage(wire)).map(DKGParty.encodeMessage));
+                }
+            }
+
+            const results = this.parties.map(party => party.result);
+            if (results.some(result => !result)) {
+                throw new Error('Key generation stopped before every party finished');
+            }
+
+            // Every party must have derived the same public values
+            const [first] = results;
+            for (const result of results) {
+                if (result.public.n !== first.public.n || result.params.theta !== first.params.theta ||
+                    result.params.verificationKeys.some((key, i) => key !== first.params.verificationKeys[i])) {
+                    throw new Error('Parties disagree on the generated public key');
+                }
+            }
+
+            this.stats = {
+                attempts: this.parties[0].attempt,
+                candidates: this.parties[0].attempt * CANDIDATES_PER_ATTEMPT,
+                messages: delivered
+            };
+
+            return results;
+        }
+
+        /**
+         * Attempts a ceremony of this size needs on average: p, q ≡ 3 (mod 4) are each
+         * prime with probability about 2 / ln 2^(keySize/2)
+         */
+        static expectedAttempts(keySize) {
+            const perPrime = keySize / 2 * Math.LN2 / 2;
+            return Math.max(1, Math.round(perPrime * perPrime / CANDIDATES_PER_ATTEMPT));
+        }
+
+        /**
+         * Quick smoke check of a 2-of-3 ceremony on a test-size key: two shares decrypt,
+         * and no party kept p or q. The full ceremony tests are in
+         * test/distributed-keygen.test.js (npm test)
+         */
+        selfTest() {
+            console.log('Running distributed key generation self-test...');
+
+            const options = this.options;
+            this.options = { partyCount: 3, threshold: 2, keySize: PaillierCryptosystem.TEST_KEY_SIZE };
+            let results;
+            try {
+                results = PaillierCryptosystem.withTestKeySizes(() => this.run());
+            } finally {
+                this.options = options;
+            }
+            const { public: publicKey, params } = results[0];
+            const shares = results.map(result => result.share);
+
+            if (this.parties.some(party => party.candidate !== null)) {
+                throw new Error('Self-test failed: a party kept its prime shares');
+            }
+
+            const threshold = new ThresholdPaillier(null);
+            PaillierCryptosystem.withTestKeySizes(() => threshold.loadKeys(publicKey, params));
+
+            const { n, g, nSquared } = publicKey;
+            const r = BigIntUtils.randomUnit(n);
+            const c = (BigIntUtils.modPow(g, 42n, nSquared) * BigIntUtils.modPow(r, n, nSquared)) % nSquared;
+
+            const decrypted = threshold.decryptWithShares(c, [shares[2], shares[0]]);
+            if (decrypted !== 42n) {
+                throw new Error(`Self-test failed: parties 3 and 1 decrypted ${decrypted}`);
+            }
+            console.log('✓ 2 of 3 generated shares decrypt correctly');
+
+            console.log('All distributed key generation self-tests passed!');
+            return true;
+        }
+    }
+
+    return { DKGParty, LocalKeyCeremony };
+});
@@ -0,0 +1,364 @@
+/**
+ * Election Manifest
+ * Declares the election id, its contests, the candidates' ids and names and the
+ * selection limits; the voting UI, proofs and tally are all driven from it
+ *
+ * Format:
+ *   {
+ *     "electionId": "city-2025",
+ *     "title": "City Election 2025",
+ *     "contests": [{
+ *       "id": "mayor",
+ *       "title": "Mayor",
+ *       "minSelections": 1,
+ *       "maxSelections": 1,
+ *       "candidates": [{ "id": "alice", "name": "Alice Adams" }, ...]
+ *     }]
+ *   }
+ *
+ * Contest types:
+ *   "choice" (default)  each candidate 0 or 1, minSelections..maxSelections of them selected
+ *   "cumulative"        each candidate 0..maxPerCandidate points, exactly `budget` points in total
+ *   "score"             each candidate scored 0..maxScore, no constraint on the total
+ *   "ranked"            every candidate ranked, encrypted as a permutation matrix of bits;
+ *                       counted by "method": "borda" (default) or "irv"
+ *
+ * A non-ranked contest may set "encoding": "packed" to put all its candidates in
+ * one ciphertext, candidate i in radix slot i. The slot base must exceed any
+ * candidate's total, so packed elections cap their ballot count at "maxBallots".
+ *
+ * A top-level "maxWeight" makes the election weighted: every ballot then needs a
+ * weight credential (see WeightAuthority) for a weight from 1 to maxWeight.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        // Browser globals, kept for the <script> tags in index.html
+        const exports = factory();
+        root.ElectionManifest = exports.ElectionManifest;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    /**
+     * Ballot limit of elections with packed contests that do not set maxBallots
+     */
+    const DEFAULT_PACKED_MAX_BALLOTS = 1000000;
+
+    /**
+     * Built-in manifest used until another one is loaded: five candidates, pick exactly one
+     */
+    const DEFAULT_MANIFEST = {
+        electionId: 'demo-election',
+        title: 'Demo Election',
+        contests: [{
+            id: 'main',
+            title: 'Main Contest',
+            minSelections: 1,
+            maxSelections: 1,
+            candidates: [1, 2, 3, 4, 5].map(i => ({ id: `candidate-${i}`, name: `Candidate ${i}` }))
+        }]
+    };
+
+    function requireString(value, path) {
+        if (typeof value !== 'string' || value.trim().length === 0) {
+            throw new Error(`${path} must be a non-empty string`);
+        }
+        return value;
+    }
+
+    function requireCount(value, path) {
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`${path} must be a non-negative integer`);
+        }
+        return value;
+    }
+
+    function requirePositive(value, path) {
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`${path} must be a positive integer`);
+        }
+        return value;
+    }
+
+    /**
+     * Throw if two entries share an id
+     */
+    function requireUniqueIds(entries, path) {
+        const seen = new Set();
+        entries.forEach((entry, i) => {
+            if (seen.has(entry.id)) {
+                throw new Error(`${path}[${i}].id "${entry.id}" is used more than once`);
+            }
+            seen.add(entry.id);
+        });
+    }
+
+    /**
+     * Check the type-specific limits of a contest and return its normalized rule fields
+     */
+    function validateRules(contest, path, candidateCount) {
+        const type = contest.type === undefined ? 'choice' : contest.type;
+
+        switch (type) {
+            case 'choice': {
+                const minSelections = requireCount(contest.minSelections, `${path}.minSelections`);
+                const maxSelections = requireCount(contest.maxSelections, `${path}.maxSelections`);
+                if (maxSelections === 0 || minSelections > maxSelections || maxSelections > candidateCount) {
+                    throw new Error(`${path} needs 0 ≤ minSelections ≤ maxSelections ≤ ${candidateCount} and maxSelections ≥ 1`);
+                }
+                return { type, minSelections, maxSelections };
+            }
+            case 'cumulative': {
+                const budget = requirePositive(contest.budget, `${path}.budget`);
+                const maxPerCandidate = contest.maxPerCandidate === undefined
+                    ? budget
+                    : requirePositive(contest.maxPerCandidate, `${path}.maxPerCandidate`);
+                if (maxPerCandidate > budget || maxPerCandidate * candidateCount < budget) {
+                    throw new Error(`${path} needs maxPerCandidate ≤ budget ≤ maxPerCandidate × ${candidateCount} candidates`);
+                }
+                return { type, budget, maxPerCandidate };
+            }
+            case 'score':
+                return { type, maxScore: requirePositive(contest.maxScore, `${path}.maxScore`) };
+            case 'ranked': {
+                const method = contest.method === undefined ? 'borda' : contest.method;
+                if (method !== 'borda' && method !== 'irv') {
+                    throw new Error(`${path}.method must be "borda" or "irv"`);
+                }
+                if (candidateCount < 2) {
+                    throw new Error(`${path} needs at least 2 candidates to rank`);
+                }
+                return { type, method };
+            }
+            default:
+                throw new Error(`${path}.type must be "choice", "cumulative", "score" or "ranked"`);
+        }
+    }
+
+    /**
+     * Check a contest's encoding; ranked contests cannot be packed
+     */
+    function validateEncoding(contest, path) {
+        if (contest.encoding === 'individual') return;
+        if (contest.encoding !== 'packed') {
+            throw new Error(`${path}.encoding must be "individual" or "packed"`);
+        }
+        if (contest.type === 'ranked') {
+            throw new Error(`${path}: ranked contests cannot use the packed encoding`);
+        }
+    }
+
+    /**
+     * Per-candidate value limit and sum range a non-ranked contest's ballots must meet
+     */
+    function contestLimits(contest) {
+        switch (contest.type) {
+            case 'cumulative':
+                return { maxValue: contest.maxPerCandidate, minSum: contest.budget, maxSum: contest.budget };
+            case 'score':
+                return { maxValue: contest.maxScore, minSum: 0, maxSum: contest.maxScore * contest.candidates.length };
+            default:
+                return { maxValue: 1, minSum: contest.minSelections, maxSum: contest.maxSelections };
+        }
+    }
+
+    /**
+     * Slot layout of a packed contest: the base leaves room for maxBallots ballots of
+     * maxWeight per slot, so no slot total carries into the next
+     */
+    function packingFor(contest, maxBallots, maxWeight) {
+        const slotMax = BigInt(contestLimits(contest).maxValue) * BigInt(maxBallots) * BigInt(maxWeight || 1);
+        return Object.freeze({ base: 1n << BigInt(slotMax.toString(2).length), slots: contest.candidates.length });
+    }
+
+    class ElectionManifest {
+        /**
+         * @param {object} data - Manifest object; validated and copied
+         */
+        constructor(data) {
+            const manifest = ElectionManifest.validate(data);
+            this.electionId = manifest.electionId;
+            this.title = manifest.title;
+            this.maxBallots = manifest.maxBallots;   // null: no limit
+            this.maxWeight = manifest.maxWeight;     // null: unweighted, every ballot counts once
+            this.contests = manifest.contests;
+            this.packings = new Map(manifest.contests.filter(contest => contest.encoding === 'packed')
+                .map(contest => [contest.id, packingFor(contest, manifest.maxBallots, manifest.maxWeight)]));
+            Object.freeze(this);
+        }
+
+        /**
+         * Check a manifest object and return a normalized deep copy
+         * Errors name the offending field, e.g. "contests[0].candidates[2].name"
+         */
+        static validate(data) {
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('Manifest must be a JSON object');
+            }
+
+            const electionId = requireString(data.electionId, 'electionId');
+            const title = data.title === undefined ? electionId : requireString(data.title, 'title');
+            let maxBallots = data.maxBallots === undefined ? null : requirePositive(data.maxBallots, 'maxBallots');
+            const maxWeight = data.maxWeight === undefined ? null : requirePositive(data.maxWeight, 'maxWeight');
+
+            if (!Array.isArray(data.contests) || data.contests.length === 0) {
+                throw new Error('contests must be a non-empty array');
+            }
+
+            const contests = data.contests.map((contest, c) => {
+                const path = `contests[${c}]`;
+                if (!contest || typeof contest !== 'object') {
+                    throw new Error(`${path} must be an object`);
+                }
+
+                const id = requireString(contest.id, `${path}.id`);
+                if (!Array.isArray(contest.candidates) || contest.candidates.length === 0) {
+                    throw new Error(`${path}.candidates must be a non-empty array`);
+                }
+
+                const candidates = contest.candidates.map((candidate, i) => {
+                    if (!candidate || typeof candidate !== 'object') {
+                        throw new Error(`${path}.candidates[${i}] must be an object`);
+                    }
+                    return Object.freeze({
+                        id: requireString(candidate.id, `${path}.candidates[${i}].id`),
+                        name: requireString(candidate.name, `${path}.candidates[${i}].name`)
+                    });
+                });
+                requireUniqueIds(candidates, `${path}.candidates`);
+
+                const normalized = {
+                    id,
+                    title: contest.title === undefined ? id : requireString(contest.title, `${path}.title`),
+                    ...validateRules(contest, path, candidates.length),
+                    encoding: contest.encoding === undefined ? 'individual' : contest.encoding,
+                    candidates: Object.freeze(candidates)
+                };
+                validateEncoding(normalized, path);
+                return Object.freeze(normalized);
+            });
+            requireUniqueIds(contests, 'contests');
+
+            if (maxBallots === null && contests.some(contest => contest.encoding === 'packed')) {
+                maxBallots = DEFAULT_PACKED_MAX_BALLOTS;
+            }
+
+            return { electionId, title, maxBallots, maxWeight, contests: Object.freeze(contests) };
+        }
+
+        /**
+         * Parse a manifest from JSON text or an already-parsed object
+         */
+        static parse(json) {
+            if (typeof json !== 'string') {
+                return new ElectionManifest(json);
+            }
+
+            let data;
+            try {
+                data = JSON.parse(json);
+            } catch (error) {
+                throw new Error('Manifest is not valid JSON: ' + error.message);
+            }
+            return new ElectionManifest(data);
+        }
+
+        /**
+         * The built-in demo manifest
+         */
+        static fromDefault() {
+            return new ElectionManifest(DEFAULT_MANIFEST);
+        }
+
+        /**
+         * Load a manifest from a File or Blob, e.g. from an <input type="file">
+         */
+        static async fromFile(file) {
+            return ElectionManifest.parse(await file.text());
+        }
+
+        /**
+         * Fetch a manifest from a URL
+         */
+        static async fromUrl(url) {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Could not fetch manifest (${response.status} ${response.statusText})`);
+            }
+            return ElectionManifest.parse(await response.text());
+        }
+
+        /**
+         * What a contest's vote proof must show, as BigInts for the ZKP system:
+         * every candidate value is in [0, maxValue] and their sum is in [minSum, maxSum];
+         * ranked contests instead need a permutation matrix over candidateCount candidates
+         */
+        proofRules(contest) {
+            if (contest.type === 'ranked') {
+                return { ranked: true, candidateCount: contest.candidates.length, maxValue: 1n };
+            }
+
+            const limits = contestLimits(contest);
+            const rules = { maxValue: BigInt(limits.maxValue), minSum: BigInt(limits.minSum), maxSum: BigInt(limits.maxSum) };
+            if (contest.encoding === 'packed') {
+                rules.packing = this.packing(contest);
+            }
+            return rules;
+        }
+
+        /**
+         * Slot layout of a packed contest, {base, slots}; computed once per contest when
+         * the manifest is built
+         */
+        packing(contest) {
+            return this.packings.get(contest.id);
+        }
+
+        /**
+         * What each ciphertext of a contest's ballot stands for, in ballot order:
+         * one entry per candidate, or for ranked contests one per (candidate, rank)
+         * pair, candidate by candidate with ranks counted from 1; a packed contest
+         * has a single entry covering all its candidates
+         */
+        ballotEntries(contest) {
+            if (contest.encoding === 'packed') {
+                return [{ candidateIds: contest.candidates.map(candidate => candidate.id) }];
+            }
+            if (contest.type !== 'ranked') {
+                return contest.candidates.map((candidate, candidateIndex) => ({ candidateId: candidate.id, candidateIndex }));
+            }
+
+            return contest.candidates.flatMap((candidate, candidateIndex) =>
+                contest.candidates.map((_, r) => ({ candidateId: candidate.id, candidateIndex, rank: r + 1 })));
+        }
+
+        /**
+         * Look up a contest by id; throws if the manifest has no such contest
+         */
+        getContest(contestId) {
+            const contest = this.contests.find(entry => entry.id === contestId);
+            if (!contest) {
+                throw new Error(`Unknown contest "${contestId}" in election ${this.electionId}`);
+            }
+            return contest;
+        }
+
+        /**
+         * Normalized manifest, parseable again; unset limits are left out
+         */
+        toJSON() {
+            return {
+                electionId: this.electionId,
+                title: this.title,
+                ...(this.maxBallots !== null ? { maxBallots: this.maxBallots } : {}),
+                ...(this.maxWeight !== null ? { maxWeight: this.maxWeight } : {}),
+                contests: this.contests
+            };
+        }
+    }
+
+    return { ElectionManifest };
+});
@@ -0,0 +1,32 @@
+/**
+ * Crypto core entry point (CommonJS)
+ * Re-exports the Paillier (with its randomness pool), threshold Paillier, key generation, ballot box, election manifest, weight credential, ZKP, crypto worker, key serialization and BigInt modules for use from Node or a bundler
+ */
+
+const { BigIntUtils } = require('./bigint-utils');
+const { PaillierCryptosystem, RandomnessPool } = require('./paillier');
+const { ZKProofSystem } = require('./zkp');
+const { SHA256 } = require('./sha256');
+const { ThresholdPaillier } = require('./threshold-paillier');
+const { DKGParty, LocalKeyCeremony } = require('./distributed-keygen');
+const { BallotBox } = require('./ballot-box');
+const { ElectionManifest } = require('./election-manifest');
+const { WeightAuthority } = require('./weight-credentials');
+const { CryptoWorkerPool } = require('./crypto-workers');
+const { KeySerializer } = require('./key-serialization');
+
+module.exports = {
+    BigIntUtils,
+    PaillierCryptosystem,
+    RandomnessPool,
+    ZKProofSystem,
+    SHA256,
+    ThresholdPaillier,
+    DKGParty,
+    LocalKeyCeremony,
+    BallotBox,
+    ElectionManifest,
+    WeightAuthority,
+    CryptoWorkerPool,
+    KeySerializer
+};
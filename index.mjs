@@ -0,0 +1,24 @@
+/**
+ * Crypto core entry point (ES module)
+ * Named exports mirroring index.js
+ */
+
+import cryptoCore from './index.js';
+
+export const {
+    BigIntUtils,
+    PaillierCryptosystem,
+    RandomnessPool,
+    ZKProofSystem,
+    SHA256,
+    ThresholdPaillier,
+    DKGParty,
+    LocalKeyCeremony,
+    BallotBox,
+    ElectionManifest,
+    WeightAuthority,
+    CryptoWorkerPool,
+    KeySerializer
+} = cryptoCore;
+
+export default cryptoCore;
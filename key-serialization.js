@@ -0,0 +1,589 @@
+/**
+ * Key Serialization
+ * Reads and writes Paillier keys as JWK-like JSON and as DER / PEM, so an election
+ * public key can be published once and loaded by every voter
+ *
+ * JSON (integers as unpadded base64url big-endian bytes, as in RFC 7518 RSA keys):
+ *   { "kty": "Paillier", "kid": "…", "n": "…", "g": "…" }
+ *   private keys add "lambda", "mu" and, when retained, "p" and "q"
+ *
+ * DER (PEM labels "PAILLIER PUBLIC KEY" / "PAILLIER PRIVATE KEY"):
+ *   PaillierPublicKey  ::= SEQUENCE { n INTEGER, g INTEGER }
+ *   PaillierPrivateKey ::= SEQUENCE { version INTEGER (0), n INTEGER, g INTEGER,
+ *                                     lambda INTEGER, mu INTEGER, p INTEGER OPTIONAL, q INTEGER OPTIONAL }
+ *
+ * The key id is the RFC 7638 thumbprint of the public key: base64url SHA-256 of
+ * {"g":…,"kty":"Paillier","n":…} with no whitespace. Reading only checks the
+ * encoding; use PaillierCryptosystem#loadKeys to validate and install the keys.
+ *
+ * Encrypted private key files (JSON, byte strings as base64url):
+ *   { "format": "paillier-encrypted-private-key", "version": 1, "kid": "…",
+ *     "kdf": { "name": "PBKDF2", "hash": "SHA-256", "iterations": 600000, "salt": "…" },
+ *     "cipher": { "name": "AES-GCM", "iv": "…" }, "check": "…", "ciphertext": "…" }
+ * PBKDF2 derives 512 bits from the password: the first 256 are the AES-256-GCM key,
+ * the rest is the password check value stored in "check". The ciphertext is the
+ * PaillierPrivateKey DER, with every other field as additional authenticated data.
+ * A wrong password fails the check; a file altered after encryption fails the GCM tag,
+ * except a changed salt or iteration count, which changes the derived check value too.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sha256'));
+    } else {
+        // Browser globals, kept for the <script> tags in index.html
+        const exports = factory(root);
+        root.KeySerializer = exports.KeySerializer;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (hashDeps) {
+    'use strict';
+
+    const { SHA256 } = hashDeps;
+
+    // WebCrypto is global in browsers and in Node 19+; older Node exposes it on the crypto module
+    const cryptoApi = globalThis.crypto ||
+        (typeof require === 'function' ? require('crypto').webcrypto : undefined);
+
+    const KEY_TYPE = 'Paillier';
+    const PEM_PUBLIC_LABEL = 'PAILLIER PUBLIC KEY';
+    const PEM_PRIVATE_LABEL = 'PAILLIER PRIVATE KEY';
+    const PRIVATE_KEY_VERSION = 0n;
+
+    const KEY_FILE_FORMAT = 'paillier-encrypted-private-key';
+    const KEY_FILE_VERSION = 1;
+
+    // OWASP's 2023 recommendation for PBKDF2-HMAC-SHA256; files may ask for at most MAX
+    const PBKDF2_ITERATIONS = 600000;
+    const MAX_PBKDF2_ITERATIONS = 10000000;
+    const SALT_BYTES = 16;
+    const IV_BYTES = 12;
+
+    const DER_INTEGER = 0x02;
+    const DER_SEQUENCE = 0x30;
+
+    /**
+     * Minimal big-endian bytes of a non-negative BigInt (one zero byte for 0)
+     */
+    function toBytes(value) {
+        let hex = value.toString(16);
+        if (hex.length % 2) hex = '0' + hex;
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    function fromBytes(bytes) {
+        let value = 0n;
+        for (const byte of bytes) {
+            value = (value << 8n) | BigInt(byte);
+        }
+        return value;
+    }
+
+    function toBase64(bytes) {
+        let binary = '';
+        for (const byte of bytes) {
+            binary += String.fromCharCode(byte);
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(text, what) {
+        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(text) || text.length % 4 !== 0) {
+            throw new Error(`${what} is not valid base64`);
+        }
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+
+    function toBase64Url(bytes) {
+        return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    function base64UrlToBytes(text, name) {
+        if (typeof text !== 'string' || !/^[A-Za-z0-9_-]+$/.test(text)) {
+            throw new Error(`Key member "${name}" must be a base64url string`);
+        }
+        const padded = text.replace(/-/g, '+').replace(/_/g, '/') + '='.repeat((4 - text.length % 4) % 4);
+        return fromBase64(padded, `Key member "${name}"`);
+    }
+
+    /**
+     * Decode a base64url JWK member into a positive BigInt; leading zero bytes are not allowed
+     */
+    function fromBase64Url(text, name) {
+        const bytes = base64UrlToBytes(text, name);
+        if (bytes[0] === 0) {
+            throw new Error(`Key member "${name}" must not have leading zero bytes`);
+        }
+        return fromBytes(bytes);
+    }
+
+    /**
+     * DER length octets: short form below 128, long form otherwise
+     */
+    function derLength(length) {
+        if (length < 0x80) {
+            return [length];
+        }
+        const bytes = Array.from(toBytes(BigInt(length)));
+        return [0x80 | bytes.length, ...bytes];
+    }
+
+    function derElement(tag, contents) {
+        const header = [tag, ...derLength(contents.length)];
+        const element = new Uint8Array(header.length + contents.length);
+        element.set(header);
+        element.set(contents, header.length);
+        return element;
+    }
+
+    /**
+     * DER INTEGER of a non-negative BigInt, with a zero byte in front when the top bit is set
+     */
+    function derInteger(value) {
+        const bytes = toBytes(value);
+        const contents = bytes[0] & 0x80 ? Uint8Array.of(0, ...bytes) : bytes;
+        return derElement(DER_INTEGER, contents);
+    }
+
+    function derSequence(values) {
+        const parts = values.map(derInteger);
+        const contents = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            contents.set(part, offset);
+            offset += part.length;
+        }
+        return derElement(DER_SEQUENCE, contents);
+    }
+
+    /**
+     * Read one tag-length-value element at offset; lengths must be in their shortest form
+     * @returns {object} {tag, start, end} with start..end the contents
+     */
+    function readDerElement(bytes, offset) {
+        if (offset + 2 > bytes.length) {
+            throw new Error('DER data is truncated');
+        }
+        const tag = bytes[offset];
+        let length = bytes[offset + 1];
+        let start = offset + 2;
+
+        if (length & 0x80) {
+            const lengthBytes = length & 0x7f;
+            if (lengthBytes === 0 || lengthBytes > 4 || start + lengthBytes > bytes.length) {
+                throw new Error('DER length is invalid');
+            }
+            length = Number(fromBytes(bytes.subarray(start, start + lengthBytes)));
+            if (length < 0x80 || bytes[start] === 0) {
+                throw new Error('DER length is not in its shortest form');
+            }
+            start += lengthBytes;
+        }
+
+        if (start + length > bytes.length) {
+            throw new Error('DER data is truncated');
+        }
+        return { tag, start, end: start + length };
+    }
+
+    /**
+     * Decode a SEQUENCE of non-negative INTEGERs that spans all of bytes
+     */
+    function readDerSequence(bytes) {
+        const sequence = readDerElement(bytes, 0);
+        if (sequence.tag !== DER_SEQUENCE || sequence.end !== bytes.length) {
+            throw new Error('DER key must be a single SEQUENCE');
+        }
+
+        const values = [];
+        let offset = sequence.start;
+        while (offset < sequence.end) {
+            const element = readDerElement(bytes, offset);
+            if (element.tag !== DER_INTEGER || element.end > sequence.end || element.start === element.end) {
+                throw new Error('DER key must contain only INTEGERs');
+            }
+            const contents = bytes.subarray(element.start, element.end);
+            if (contents[0] & 0x80) {
+                throw new Error('DER key integers must not be negative');
+            }
+            if (contents.length > 1 && contents[0] === 0 && !(contents[1] & 0x80)) {
+                throw new Error('DER integer is not in its shortest form');
+            }
+            values.push(fromBytes(contents));
+            offset = element.end;
+        }
+        return values;
+    }
+
+    function publicKeyOf({ n, g }) {
+        return { n, g, nSquared: n * n };
+    }
+
+    /**
+     * Create a key file error carrying a machine-readable code:
+     * MALFORMED_KEY_FILE, UNSUPPORTED_KEY_FILE_VERSION, WRONG_PASSWORD or TAMPERED_KEY_FILE
+     */
+    function keyFileError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    function subtleCrypto() {
+        if (!cryptoApi || !cryptoApi.subtle) {
+            throw new Error('WebCrypto is not available; serve the page over https or from localhost');
+        }
+        return cryptoApi.subtle;
+    }
+
+    /**
+     * PBKDF2-SHA-256 from the password: an AES-256-GCM key and the password check value
+     */
+    async function deriveFileKeys(password, salt, iterations) {
+        const subtle = subtleCrypto();
+        const material = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+        const bits = new Uint8Array(await subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512));
+        const key = await subtle.importKey('raw', bits.subarray(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+        return { key, check: toBase64Url(bits.subarray(32)) };
+    }
+
+    /**
+     * The fields of a key file that the GCM tag authenticates besides the ciphertext, in a fixed order
+     */
+    function keyFileAad({ version, kid, kdf, cipher, check }) {
+        return new TextEncoder().encode(JSON.stringify([KEY_FILE_FORMAT, version, kid,
+            kdf.name, kdf.hash, kdf.iterations, kdf.salt, cipher.name, cipher.iv, check]));
+    }
+
+    /**
+     * Check the structure of a parsed key file and decode its byte strings
+     */
+    function readKeyFile(file) {
+        if (typeof file === 'string') {
+            try {
+                file = JSON.parse(file);
+            } catch (error) {
+                throw keyFileError('MALFORMED_KEY_FILE', 'Key file is not valid JSON: ' + error.message);
+            }
+        }
+        if (!file || typeof file !== 'object' || file.format !== KEY_FILE_FORMAT) {
+            throw keyFileError('MALFORMED_KEY_FILE', 'Not an encrypted Paillier private key file');
+        }
+        if (file.version !== KEY_FILE_VERSION) {
+            throw keyFileError('UNSUPPORTED_KEY_FILE_VERSION',
+                `Key file version ${file.version} is not supported (expected ${KEY_FILE_VERSION})`);
+        }
+
+        const { kdf, cipher } = file;
+        try {
+            if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' ||
+                !Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_PBKDF2_ITERATIONS) {
+                throw new Error('Key file kdf must be PBKDF2 with SHA-256 and a valid iteration count');
+            }
+            if (!cipher || cipher.name !== 'AES-GCM') {
+                throw new Error('Key file cipher must be AES-GCM');
+            }
+            if (typeof file.kid !== 'string' || typeof file.check !== 'string') {
+                throw new Error('Key file kid and check must be strings');
+            }
+            const salt = base64UrlToBytes(kdf.salt, 'kdf.salt');
+            const iv = base64UrlToBytes(cipher.iv, 'cipher.iv');
+            if (salt.length !== SALT_BYTES || iv.length !== IV_BYTES) {
+                throw new Error(`Key file salt and IV must be ${SALT_BYTES} and ${IV_BYTES} bytes`);
+            }
+            return { file, salt, iv, ciphertext: base64UrlToBytes(file.ciphertext, 'ciphertext') };
+        } catch (error) {
+            throw keyFileError('MALFORMED_KEY_FILE', error.message);
+        }
+    }
+
+    class KeySerializer {
+        /**
+         * Key id of a public key: its RFC 7638 JWK thumbprint
+         */
+        static keyId(publicKey) {
+            const members = `{"g":"${toBase64Url(toBytes(publicKey.g))}","kty":"${KEY_TYPE}","n":"${toBase64Url(toBytes(publicKey.n))}"}`;
+            return toBase64Url(SHA256.digest(members));
+        }
+
+        /**
+         * Public key as a JWK-like object
+         */
+        static publicKeyToJwk(publicKey) {
+            return {
+                kty: KEY_TYPE,
+                kid: KeySerializer.keyId(publicKey),
+                n: toBase64Url(toBytes(publicKey.n)),
+                g: toBase64Url(toBytes(publicKey.g))
+            };
+        }
+
+        /**
+         * Private key as a JWK-like object, including its public members
+         */
+        static privateKeyToJwk(publicKey, privateKey) {
+            const jwk = {
+                ...KeySerializer.publicKeyToJwk(publicKey),
+                lambda: toBase64Url(toBytes(privateKey.lambda)),
+                mu: toBase64Url(toBytes(privateKey.mu))
+            };
+            if (privateKey.p && privateKey.q) {
+                jwk.p = toBase64Url(toBytes(privateKey.p));
+                jwk.q = toBase64Url(toBytes(privateKey.q));
+            }
+            return jwk;
+        }
+
+        /**
+         * Read a JWK-like object or its JSON text; a kid, when present, must match the key
+         * @returns {object} {publicKey, privateKey} with privateKey null for a public key
+         */
+        static fromJwk(jwk) {
+            if (typeof jwk === 'string') {
+                try {
+                    jwk = JSON.parse(jwk);
+                } catch (error) {
+                    throw new Error('Key file is not valid JSON: ' + error.message);
+                }
+            }
+            if (!jwk || typeof jwk !== 'object' || jwk.kty !== KEY_TYPE) {
+                throw new Error(`Key must be a JSON object with "kty": "${KEY_TYPE}"`);
+            }
+
+            const publicKey = publicKeyOf({ n: fromBase64Url(jwk.n, 'n'), g: fromBase64Url(jwk.g, 'g') });
+            if (jwk.kid !== undefined && jwk.kid !== KeySerializer.keyId(publicKey)) {
+                throw new Error('Key id (kid) does not match the key');
+            }
+
+            if (jwk.lambda === undefined && jwk.mu === undefined) {
+                return { publicKey, privateKey: null };
+            }
+            const privateKey = {
+                lambda: fromBase64Url(jwk.lambda, 'lambda'),
+                mu: fromBase64Url(jwk.mu, 'mu'),
+                n: publicKey.n
+            };
+            if (jwk.p !== undefined || jwk.q !== undefined) {
+                privateKey.p = fromBase64Url(jwk.p, 'p');
+                privateKey.q = fromBase64Url(jwk.q, 'q');
+            }
+            return { publicKey, privateKey };
+        }
+
+        /**
+         * PaillierPublicKey DER bytes
+         */
+        static publicKeyToDer(publicKey) {
+            return derSequence([publicKey.n, publicKey.g]);
+        }
+
+        /**
+         * PaillierPrivateKey DER bytes
+         */
+        static privateKeyToDer(publicKey, privateKey) {
+            const values = [PRIVATE_KEY_VERSION, publicKey.n, publicKey.g, privateKey.lambda, privateKey.mu];
+            if (privateKey.p && privateKey.q) {
+                values.push(privateKey.p, privateKey.q);
+            }
+            return derSequence(values);
+        }
+
+        /**
+         * Read DER bytes of either key type
+         * @param {string} type - 'public' or 'private'
+         * @returns {object} {publicKey, privateKey} with privateKey null for a public key
+         */
+        static fromDer(bytes, type) {
+            const values = readDerSequence(bytes);
+
+            if (type === 'public') {
+                if (values.length !== 2) {
+                    throw new Error('PaillierPublicKey must have 2 integers');
+                }
+                return { publicKey: publicKeyOf({ n: values[0], g: values[1] }), privateKey: null };
+            }
+
+            if (type !== 'private') {
+                throw new Error(`Unknown key type ${type}`);
+            }
+            if (values.length !== 5 && values.length !== 7) {
+                throw new Error('PaillierPrivateKey must have 5 or 7 integers');
+            }
+            const [version, n, g, lambda, mu, p, q] = values;
+            if (version !== PRIVATE_KEY_VERSION) {
+                throw new Error(`Unsupported PaillierPrivateKey version ${version}`);
+            }
+            const privateKey = p === undefined ? { lambda, mu, n } : { lambda, mu, n, p, q };
+            return { publicKey: publicKeyOf({ n, g }), privateKey };
+        }
+
+        /**
+         * Public key as PEM text
+         */
+        static publicKeyToPem(publicKey) {
+            return KeySerializer.toPem(KeySerializer.publicKeyToDer(publicKey), PEM_PUBLIC_LABEL);
+        }
+
+        /**
+         * Private key as PEM text
+         */
+        static privateKeyToPem(publicKey, privateKey) {
+            return KeySerializer.toPem(KeySerializer.privateKeyToDer(publicKey, privateKey), PEM_PRIVATE_LABEL);
+        }
+
+        /**
+         * Wrap DER bytes in PEM armor with 64-character lines
+         */
+        static toPem(der, label) {
+            const lines = toBase64(der).match(/.{1,64}/g);
+            return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+        }
+
+        /**
+         * Read a PEM public or private key
+         * @returns {object} {publicKey, privateKey} with privateKey null for a public key
+         */
+        static fromPem(text) {
+            const match = /-----BEGIN ([A-Z ]+)-----([\s\S]*?)-----END \1-----/.exec(text);
+            if (!match) {
+                throw new Error('No PEM block found');
+            }
+            const types = { [PEM_PUBLIC_LABEL]: 'public', [PEM_PRIVATE_LABEL]: 'private' };
+            if (!types[match[1]]) {
+                throw new Error(`Unsupported PEM block "${match[1]}"`);
+            }
+            return KeySerializer.fromDer(fromBase64(match[2].replace(/\s+/g, ''), 'PEM body'), types[match[1]]);
+        }
+
+        /**
+         * Read a key file in either format, telling them apart by their first character
+         * @returns {object} {publicKey, privateKey, kid} with privateKey null for a public key
+         */
+        static importKey(text) {
+            const trimmed = String(text).trim();
+            const keys = trimmed.startsWith('-----BEGIN')
+                ? KeySerializer.fromPem(trimmed)
+                : KeySerializer.fromJwk(trimmed);
+            return { ...keys, kid: KeySerializer.keyId(keys.publicKey) };
+        }
+
+        /**
+         * Encrypt a private key under a password for backup (see the file format above)
+         * @param {object} options - {iterations}: PBKDF2 iterations, PBKDF2_ITERATIONS by default
+         * @returns {Promise<object>} The key file, ready for JSON.stringify
+         */
+        static async encryptPrivateKey(publicKey, privateKey, password, { iterations = PBKDF2_ITERATIONS } = {}) {
+            if (typeof password !== 'string' || password.length === 0) {
+                throw new Error('A password is required to encrypt the private key');
+            }
+            const salt = cryptoApi.getRandomValues(new Uint8Array(SALT_BYTES));
+            const iv = cryptoApi.getRandomValues(new Uint8Array(IV_BYTES));
+            const { key, check } = await deriveFileKeys(password, salt, iterations);
+
+            const file = {
+                format: KEY_FILE_FORMAT,
+                version: KEY_FILE_VERSION,
+                kid: KeySerializer.keyId(publicKey),
+                kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64Url(salt) },
+                cipher: { name: 'AES-GCM', iv: toBase64Url(iv) },
+                check
+            };
+            const ciphertext = await subtleCrypto().encrypt({ name: 'AES-GCM', iv, additionalData: keyFileAad(file) },
+                key, KeySerializer.privateKeyToDer(publicKey, privateKey));
+            file.ciphertext = toBase64Url(new Uint8Array(ciphertext));
+            return file;
+        }
+
+        /**
+         * Decrypt a key file written by encryptPrivateKey; errors carry a code telling a
+         * wrong password (WRONG_PASSWORD) from an altered file (TAMPERED_KEY_FILE)
+         * @param {object|string} file - The key file or its JSON text
+         * @returns {Promise<object>} {publicKey, privateKey, kid}
+         */
+        static async decryptPrivateKey(file, password) {
+            const { file: keyFile, salt, iv, ciphertext } = readKeyFile(file);
+            const { key, check } = await deriveFileKeys(String(password), salt, keyFile.kdf.iterations);
+            if (check !== keyFile.check) {
+                throw keyFileError('WRONG_PASSWORD', 'Wrong password for this key file (or its salt or iteration count was changed)');
+            }
+
+            let der;
+            try {
+                der = new Uint8Array(await subtleCrypto().decrypt(
+                    { name: 'AES-GCM', iv, additionalData: keyFileAad(keyFile) }, key, ciphertext));
+            } catch (error) {
+                throw keyFileError('TAMPERED_KEY_FILE', 'Key file has been altered or corrupted: its authentication tag does not match');
+            }
+
+            const keys = KeySerializer.fromDer(der, 'private');
+            const kid = KeySerializer.keyId(keys.publicKey);
+            if (kid !== keyFile.kid) {
+                throw keyFileError('TAMPERED_KEY_FILE', 'Key file kid does not match the key inside it');
+            }
+            return { ...keys, kid };
+        }
+
+        /**
+         * Quick smoke check: round-trip the keys of a PaillierCryptosystem through every
+         * format, and check that a wrong password is refused. The malformed and tampered
+         * key file tests are in test/key-serialization.test.js (npm test)
+         * @returns {Promise<boolean>} Resolves once the encrypted key file check has run
+         */
+        static async selfTest(paillier) {
+            console.log('Running key serialization self-test...');
+            const { publicKey, privateKey } = paillier;
+            const sameKeys = keys => keys.publicKey.n === publicKey.n && keys.publicKey.g === publicKey.g &&
+                keys.publicKey.nSquared === publicKey.nSquared &&
+                (keys.privateKey === null || (keys.privateKey.lambda === privateKey.lambda &&
+                    keys.privateKey.mu === privateKey.mu && keys.privateKey.p === privateKey.p));
+
+            const publicJwk = JSON.stringify(KeySerializer.publicKeyToJwk(publicKey));
+            const privateJwk = JSON.stringify(KeySerializer.privateKeyToJwk(publicKey, privateKey));
+            const publicPem = KeySerializer.publicKeyToPem(publicKey);
+            const privatePem = KeySerializer.privateKeyToPem(publicKey, privateKey);
+            for (const [text, hasPrivateKey] of [[publicJwk, false], [privateJwk, true], [publicPem, false], [privatePem, true]]) {
+                const keys = KeySerializer.importKey(text);
+                if (!sameKeys(keys) || (keys.privateKey !== null) !== hasPrivateKey || keys.kid !== KeySerializer.keyId(publicKey)) {
+                    throw new Error('Self-test failed: key did not survive a round trip');
+                }
+            }
+            const reloaded = KeySerializer.importKey(privatePem);
+            // The self-tests run on test-size keys
+            paillier.constructor.withTestKeySizes(() => paillier.loadKeys(reloaded.publicKey, reloaded.privateKey));
+            if (paillier.decrypt(paillier.encrypt(7n).ciphertext) !== 7n) {
+                throw new Error('Self-test failed: reloaded key does not decrypt');
+            }
+            console.log(`✓ Keys round-trip through JSON and PEM (kid ${KeySerializer.keyId(publicKey).substring(0, 12)}...)`);
+
+            // Few PBKDF2 iterations keep the test quick; the format is the same
+            const encrypted = await KeySerializer.encryptPrivateKey(publicKey, privateKey, 'correct horse', { iterations: 1000 });
+            const decrypted = await KeySerializer.decryptPrivateKey(JSON.stringify(encrypted), 'correct horse');
+            if (!sameKeys(decrypted) || decrypted.privateKey === null) {
+                throw new Error('Self-test failed: encrypted key file did not decrypt to the key');
+            }
+            let error = null;
+            try {
+                await KeySerializer.decryptPrivateKey(encrypted, 'wrong horse');
+            } catch (caught) {
+                error = caught;
+            }
+            if (!error || error.code !== 'WRONG_PASSWORD') {
+                throw new Error(`Self-test failed: expected WRONG_PASSWORD, got ${error ? error.code || error.message : 'no error'}`);
+            }
+            console.log('✓ Encrypted key file decrypts, and a wrong password is refused');
+
+            console.log('All key serialization self-tests passed!');
+            return true;
+        }
+    }
+
+    KeySerializer.KEY_TYPE = KEY_TYPE;
+    KeySerializer.KEY_FILE_VERSION = KEY_FILE_VERSION;
+    KeySerializer.PBKDF2_ITERATIONS = PBKDF2_ITERATIONS;
+
+    return { KeySerializer };
+});
@@ -3,266 +3,799 @@
  * Provides homomorphic encryption suitable for voting systems
  */
 
-class PaillierCryptosystem {
-    constructor() {
-        this.publicKey = null;
-        this.privateKey = null;
-        this.keySize = 1024; // bits
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bigint-utils'));
+    } else {
+        // Browser globals, kept for the <script> tags in index.html
+        const exports = factory(root);
+        root.PaillierCryptosystem = exports.PaillierCryptosystem;
+        root.RandomnessPool = exports.RandomnessPool;
     }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (deps) {
+    'use strict';
+
+    const { BigIntUtils } = deps;
+
+    // Key sizes offered for elections
+    const KEY_SIZES = [2048, 3072, 4096];
+
+    // Smallest modulus that may be generated or loaded; inside withTestKeySizes, TEST_KEY_SIZE
+    const MIN_KEY_SIZE = 2048;
+    const TEST_KEY_SIZE = 512;
+
+    let minimumKeySize = MIN_KEY_SIZE;
 
     /**
-     * Generate a new key pair for Paillier encryption
+     * Precomputed values for CRT decryption (Paillier 1999, section 7):
+     * h_p = L_p(g^(p-1) mod p²)^-1 mod p, likewise h_q, and q^-1 mod p for recombining
      */
-    generateKeys() {
-        console.log('Generating Paillier key pair...');
+    function crtParameters(p, q, g) {
+        const pSquared = p * p;
+        const qSquared = q * q;
+        return {
+            pSquared,
+            qSquared,
+            hp: BigIntUtils.modInverse(BigIntUtils.L(BigIntUtils.modPow(g % pSquared, p - 1n, pSquared), p), p),
+            hq: BigIntUtils.modInverse(BigIntUtils.L(BigIntUtils.modPow(g % qSquared, q - 1n, qSquared), q), q),
+            qInverse: BigIntUtils.modInverse(q, p)
+        };
+    }
 
-        // Generate two large primes p and q
-        const [p, q] = BigIntUtils.generateTwoPrimes(this.keySize / 2);
+    /**
+     * Per-public-key precomputation for powG and powN, built on first use
+     */
+    const precomputed = new WeakMap();
+
+    function keyPrecomputation(publicKey) {
+        let entry = precomputed.get(publicKey);
+        if (!entry) {
+            const { n, g, nSquared } = publicKey;
+            entry = {
+                // g = n + 1 needs no table: (1 + n)^m ≡ 1 + m·n (mod n²)
+                gTable: g === n + 1n ? null : BigIntUtils.fixedBaseTable(g, nSquared, BigIntUtils.bitLength(n)),
+                nRecoded: BigIntUtils.recodeExponent(n)
+            };
+            precomputed.set(publicKey, entry);
+        }
+        return entry;
+    }
 
-        // Compute n = p * q
-        const n = p * q;
+    /**
+     * The x mod pq with x ≡ xp (mod p) and x ≡ xq (mod q) (Garner's formula)
+     */
+    function combineCrt(xp, xq, p, q, qInverse) {
+        const h = (((xp - xq) % p + p) * qInverse) % p;
+        return xq + q * h;
+    }
 
-        // Compute λ = lcm(p-1, q-1) (Carmichael's lambda function)
-        const lambda = BigIntUtils.lcm(p - 1n, q - 1n);
+    /**
+     * Precomputed (r, r^n mod n²) pairs for one public key, so encrypt only has to
+     * compute g^m at cast time. Each pair is handed out once: take() removes it, and
+     * every r the pool has ever held is remembered so it cannot be added again
+     */
+    class RandomnessPool {
+        /**
+         * @param {PaillierCryptosystem} paillier - Computes r^n with its cached recoding of n
+         * @param {object} publicKey - The key the pairs belong to (defaults to paillier.publicKey)
+         */
+        constructor(paillier, publicKey = paillier.publicKey) {
+            if (!publicKey) {
+                throw new Error('No public key available for the randomness pool');
+            }
+            this.paillier = paillier;
+            this.publicKey = publicKey;
+            this.pairs = [];
+            this.seen = new Set();
+            this.filling = null;
+        }
 
-        // Choose g = n + 1 (this is a common choice that works well)
-        const g = n + 1n;
+        get size() {
+            return this.pairs.length;
+        }
 
-        // Compute μ = (L(g^λ mod n^2))^-1 mod n
-        const nSquared = n * n;
-        const gLambda = BigIntUtils.modPow(g, lambda, nSquared);
-        const L_g_lambda = BigIntUtils.L(gLambda, n);
-        const mu = BigIntUtils.modInverse(L_g_lambda, n);
+        /**
+         * Whether the pairs were made for this public key
+         */
+        matches(publicKey) {
+            return !!publicKey && publicKey.n === this.publicKey.n && publicKey.nSquared === this.publicKey.nSquared;
+        }
 
-        // Store keys
-        this.publicKey = { n, g, nSquared };
-        this.privateKey = { lambda, mu, n };
+        /**
+         * Compute and add count fresh pairs on the calling thread
+         * @returns {number} The pool size afterwards
+         */
+        fill(count) {
+            for (let i = 0; i < count; i++) {
+                const r = BigIntUtils.randomUnit(this.publicKey.n);
+                this.insert(r, this.paillier.powN(r, this.publicKey));
+            }
+            return this.size;
+        }
 
-        console.log('Key generation complete!');
-        console.log(`Key size: ${BigIntUtils.bitLength(n)} bits`);
-        console.log(`p: ${BigIntUtils.bitLength(p)} bits`);
-        console.log(`q: ${BigIntUtils.bitLength(q)} bits`);
+        /**
+         * Fill up to count pairs, one at a time in idle callbacks (or timeouts where
+         * requestIdleCallback is missing) so the page stays responsive
+         * @param {function} onProgress - Called with (size, count) after each pair
+         * @returns {Promise<number>} Resolves with the pool size when done or stopped
+         */
+        fillInBackground(count, onProgress = null) {
+            this.stop();
+            const schedule = typeof requestIdleCallback === 'function'
+                ? callback => requestIdleCallback(callback)
+                : callback => setTimeout(callback, 0);
+
+            const filling = { stopped: false };
+            this.filling = filling;
+            return new Promise((resolve, reject) => {
+                const step = () => {
+                    if (filling.stopped || this.size >= count) {
+                        if (this.filling === filling) this.filling = null;
+                        resolve(this.size);
+                        return;
+                    }
+                    try {
+                        this.fill(1);
+                    } catch (error) {
+                        this.filling = null;
+                        reject(error);
+                        return;
+                    }
+                    if (onProgress) onProgress(this.size, count);
+                    schedule(step);
+                };
+                schedule(step);
+            });
+        }
 
-        return {
-            public: this.publicKey,
-            private: this.privateKey
-        };
+        /**
+         * Halt a background fill after its current pair
+         */
+        stop() {
+            if (this.filling) {
+                this.filling.stopped = true;
+                this.filling = null;
+            }
+        }
+
+        /**
+         * Add pairs computed elsewhere (e.g. in a worker). r must be a unit below n
+         * that this pool has never held, and rn must equal r^n mod n²: a wrong rn would
+         * silently encrypt with randomness other than the r the vote proofs use
+         * @param {Array<{r: bigint, rn: bigint}>} pairs
+         */
+        add(pairs) {
+            const { n, nSquared } = this.publicKey;
+            for (const { r, rn } of pairs) {
+                if (typeof r !== 'bigint' || typeof rn !== 'bigint' || r <= 0n || r >= n ||
+                    rn <= 0n || rn >= nSquared || !BigIntUtils.areCoprime(r, n)) {
+                    throw new Error('Invalid randomness pair');
+                }
+                if (this.paillier.powN(r, this.publicKey) !== rn) {
+                    throw new Error('Invalid randomness pair: rn is not r^n mod n²');
+                }
+                this.insert(r, rn);
+            }
+            return this.size;
+        }
+
+        /**
+         * Store one checked pair, refusing an r the pool has held before
+         */
+        insert(r, rn) {
+            if (this.seen.has(r)) {
+                throw new Error('Randomness pair was already added to the pool');
+            }
+            this.seen.add(r);
+            this.pairs.push({ r, rn });
+        }
+
+        /**
+         * Remove and return one pair, or null when the pool is empty
+         */
+        take() {
+            return this.pairs.pop() || null;
+        }
+
+        /**
+         * Discard the remaining pairs; the used values stay in seen
+         */
+        clear() {
+            this.stop();
+            this.pairs = [];
+        }
     }
 
-    /**
-     * Encrypt a plaintext message
-     * @param {bigint} plaintext - The message to encrypt (must be < n)
-     * @param {object} publicKey - The public key {n, g, nSquared}
-     * @returns {bigint} The encrypted ciphertext
-     */
-    encrypt(plaintext, publicKey = null) {
-        const pubKey = publicKey || this.publicKey;
-        if (!pubKey) {
-            throw new Error('No public key available for encryption');
+    class PaillierCryptosystem {
+        constructor() {
+            this.publicKey = null;
+            this.privateKey = null;
+            this.keySize = 2048; // bits, one of KEY_SIZES for real elections
+            this.auditMode = false; // allows decrypting a single ballot's ciphertexts
+            this.retainFactors = true; // keep p and q in the private key for CRT decryption
+            this.randomnessPool = null; // precomputed (r, r^n) pairs that encrypt draws from
         }
 
-        const { n, g, nSquared } = pubKey;
+        /**
+         * Generate a new key pair for Paillier encryption
+         */
+        generateKeys() {
+            PaillierCryptosystem.checkKeySize(this.keySize);
 
-        // Ensure plaintext is in valid range
-        if (plaintext < 0n || plaintext >= n) {
-            throw new Error('Plaintext must be in range [0, n)');
+            // Generate two large primes p and q
+            const [p, q] = BigIntUtils.generateTwoPrimes(this.keySize / 2);
+            return this.keysFromPrimes(p, q);
         }
 
-        // Generate random r where 1 < r < n and gcd(r, n) = 1
-        let r;
-        do {
-            r = BigIntUtils.randomRange(1n, n);
-        } while (!BigIntUtils.areCoprime(r, n));
+        /**
+         * Build and store the key pair for primes p and q, e.g. found by a worker
+         */
+        keysFromPrimes(p, q) {
+            if (!BigIntUtils.primesFarApart(p, q)) {
+                throw new Error('p and q must be distinct primes far apart');
+            }
 
-        // Compute ciphertext: c = g^m * r^n mod n^2
-        const gPowM = BigIntUtils.modPow(g, plaintext, nSquared);
-        const rPowN = BigIntUtils.modPow(r, n, nSquared);
-        const ciphertext = (gPowM * rPowN) % nSquared;
+            // Compute n = p * q
+            const n = p * q;
 
-        return {
-            ciphertext,
-            randomness: r // Store for potential ZKP use
-        };
-    }
+            // Paillier needs gcd(n, φ(n)) = 1; it fails when p divides q - 1 or q divides p - 1
+            if (BigIntUtils.gcd(n, (p - 1n) * (q - 1n)) !== 1n) {
+                throw new Error('gcd(n, φ(n)) must be 1');
+            }
+            if (BigIntUtils.bitLength(n) < minimumKeySize) {
+                throw new Error(`n has ${BigIntUtils.bitLength(n)} bits; at least ${minimumKeySize} are required`);
+            }
 
-    /**
-     * Decrypt a ciphertext message
-     * @param {bigint} ciphertext - The encrypted message
-     * @param {object} privateKey - The private key {lambda, mu, n}
-     * @returns {bigint} The decrypted plaintext
-     */
-    decrypt(ciphertext, privateKey = null) {
-        const privKey = privateKey || this.privateKey;
-        if (!privKey) {
-            throw new Error('No private key available for decryption');
+            // Compute λ = lcm(p-1, q-1) (Carmichael's lambda function)
+            const lambda = BigIntUtils.lcm(p - 1n, q - 1n);
+
+            // Choose g = n + 1 (this is a common choice that works well)
+            const g = n + 1n;
+
+            // Compute μ = (L(g^λ mod n^2))^-1 mod n
+            const nSquared = n * n;
+            const gLambda = BigIntUtils.modPow(g, lambda, nSquared);
+            const L_g_lambda = BigIntUtils.L(gLambda, n);
+            const mu = BigIntUtils.modInverse(L_g_lambda, n);
+
+            // Store keys; with p and q, decryption works mod p² and q² instead of n²
+            this.discardRandomnessPool();
+            this.publicKey = { n, g, nSquared };
+            this.privateKey = this.retainFactors
+                ? { lambda, mu, n, p, q, ...crtParameters(p, q, g) }
+                : { lambda, mu, n };
+
+            return {
+                public: this.publicKey,
+                private: this.privateKey
+            };
         }
 
-        const { lambda, mu, n } = privKey;
-        const nSquared = n * n;
+        /**
+         * Use keys produced elsewhere, e.g. read by KeySerializer; without a private key
+         * this system can still encrypt to the election key and verify proofs
+         * @param {object} publicKey - {n, g, nSquared}, checked with validatePublicKey
+         * @param {object} privateKey - {lambda, mu, n} and optionally p and q, or null
+         * @param {number} minBits - Smallest accepted modulus, if above MIN_KEY_SIZE
+         */
+        loadKeys(publicKey, privateKey = null, minBits = 0) {
+            PaillierCryptosystem.validatePublicKey(publicKey, minBits);
+            const { n, g, nSquared } = publicKey;
+
+            let keys = null;
+            if (privateKey) {
+                const { lambda, mu, p, q } = privateKey;
+                if (privateKey.n !== n) {
+                    throw new Error('Private key does not belong to the public key');
+                }
+                // p and q come as a pair: one without the other is as invalid as wrong factors
+                const hasFactors = p !== undefined || q !== undefined;
+                if (hasFactors && (typeof p !== 'bigint' || typeof q !== 'bigint' ||
+                    p * q !== n || lambda !== BigIntUtils.lcm(p - 1n, q - 1n))) {
+                    throw new Error('Private key factors do not match n and λ');
+                }
+                if ((BigIntUtils.L(BigIntUtils.modPow(g, lambda, nSquared), n) * mu) % n !== 1n) {
+                    throw new Error('Private key λ and μ do not match the public key');
+                }
+                keys = hasFactors && this.retainFactors
+                    ? { lambda, mu, n, p, q, ...crtParameters(p, q, g) }
+                    : { lambda, mu, n };
+            }
 
-        // Compute c^λ mod n^2
-        const cLambda = BigIntUtils.modPow(ciphertext, lambda, nSquared);
+            this.discardRandomnessPool();
+            this.publicKey = { n, g, nSquared };
+            this.privateKey = keys;
+            return {
+                public: this.publicKey,
+                private: this.privateKey
+            };
+        }
 
-        // Apply L function: L(c^λ mod n^2)
-        const L_c_lambda = BigIntUtils.L(cLambda, n);
+        /**
+         * Encrypt a plaintext message
+         * @param {bigint} plaintext - The message to encrypt (must be < n)
+         * @param {object} publicKey - The public key {n, g, nSquared}
+         * @returns {bigint} The encrypted ciphertext
+         */
+        encrypt(plaintext, publicKey = null) {
+            const pubKey = publicKey || this.publicKey;
+            if (!pubKey) {
+                throw new Error('No public key available for encryption');
+            }
 
-        // Compute plaintext: m = L(c^λ mod n^2) * μ mod n
-        const plaintext = (L_c_lambda * mu) % n;
+            const { n, nSquared } = pubKey;
 
-        return plaintext;
-    }
+            // Ensure plaintext is in valid range
+            if (plaintext < 0n || plaintext >= n) {
+                throw new Error('Plaintext must be in range [0, n)');
+            }
 
-    /**
-     * Homomorphic addition of two ciphertexts
-     * Enc(m1) * Enc(m2) = Enc(m1 + m2)
-     */
-    addCiphertexts(c1, c2, publicKey = null) {
-        const pubKey = publicKey || this.publicKey;
-        if (!pubKey) {
-            throw new Error('No public key available');
+            // Take a precomputed (r, r^n) pair when one is available for this key
+            const pair = this.randomnessPool && this.randomnessPool.matches(pubKey)
+                ? this.randomnessPool.take()
+                : null;
+
+            // Otherwise generate random r where 1 < r < n and gcd(r, n) = 1
+            let r, rn;
+            if (pair) {
+                ({ r, rn } = pair);
+            } else {
+                do {
+                    r = BigIntUtils.randomRange(1n, n);
+                } while (!BigIntUtils.areCoprime(r, n));
+                rn = this.powN(r, pubKey);
+            }
+
+            // Compute ciphertext: c = g^m * r^n mod n^2
+            const ciphertext = (this.powG(plaintext, pubKey) * rn) % nSquared;
+
+            return {
+                ciphertext,
+                randomness: r // Store for potential ZKP use
+            };
         }
 
-        const { nSquared } = pubKey;
-        return (c1 * c2) % nSquared;
-    }
+        /**
+         * Precompute count (r, r^n) pairs for the current public key, e.g. right after
+         * the keys are loaded; encrypt then draws from them until they run out
+         * @param {boolean} background - Fill in idle time and return a Promise
+         * @returns {RandomnessPool|Promise<number>} The pool, or a Promise of its size
+         */
+        precomputeRandomness(count, background = false, onProgress = null) {
+            if (!this.randomnessPool || !this.randomnessPool.matches(this.publicKey)) {
+                this.discardRandomnessPool();
+                this.randomnessPool = new RandomnessPool(this, this.publicKey);
+            }
+            if (background) {
+                return this.randomnessPool.fillInBackground(count, onProgress);
+            }
+            this.randomnessPool.fill(Math.max(0, count - this.randomnessPool.size));
+            return this.randomnessPool;
+        }
 
-    /**
-     * Homomorphic scalar multiplication
-     * Enc(m)^k = Enc(k * m)
-     */
-    scalarMultiply(ciphertext, scalar, publicKey = null) {
-        const pubKey = publicKey || this.publicKey;
-        if (!pubKey) {
-            throw new Error('No public key available');
+        /**
+         * Drop the randomness pool, stopping any background fill
+         */
+        discardRandomnessPool() {
+            if (this.randomnessPool) {
+                this.randomnessPool.clear();
+                this.randomnessPool = null;
+            }
         }
 
-        const { nSquared } = pubKey;
-        return BigIntUtils.modPow(ciphertext, scalar, nSquared);
-    }
+        /**
+         * g^m mod n², from a fixed-base table of g (or directly as 1 + m·n when g = n + 1)
+         */
+        powG(exponent, publicKey = null) {
+            const pubKey = publicKey || this.publicKey;
+            const { n, g, nSquared } = pubKey;
+            if (exponent < 0n) {
+                return BigIntUtils.modInverse(this.powG(-exponent, pubKey), nSquared);
+            }
+            if (g === n + 1n) {
+                return (1n + (exponent % n) * n) % nSquared;
+            }
+            return BigIntUtils.fixedBasePow(keyPrecomputation(pubKey).gTable, exponent);
+        }
 
-    /**
-     * Compute homomorphic sum of multiple ciphertexts
-     */
-    sumCiphertexts(ciphertexts, publicKey = null) {
-        if (ciphertexts.length === 0) {
-            throw new Error('Cannot sum empty array of ciphertexts');
+        /**
+         * r^n mod n², reusing the window recoding of the fixed exponent n
+         */
+        powN(base, publicKey = null) {
+            const pubKey = publicKey || this.publicKey;
+            return BigIntUtils.modPowRecoded(base % pubKey.nSquared, keyPrecomputation(pubKey).nRecoded, pubKey.nSquared);
         }
 
-        const pubKey = publicKey || this.publicKey;
-        if (!pubKey) {
-            throw new Error('No public key available');
+        /**
+         * Decrypt a ciphertext message
+         * Keys that retain p and q decrypt through the CRT (see decryptCrt)
+         * @param {bigint} ciphertext - The encrypted message
+         * @param {object} privateKey - The private key {lambda, mu, n}, optionally with p, q and CRT values
+         * @returns {bigint} The decrypted plaintext
+         */
+        decrypt(ciphertext, privateKey = null) {
+            const privKey = privateKey || this.privateKey;
+            if (!privKey) {
+                throw new Error('No private key available for decryption');
+            }
+            if (privKey.p) {
+                return this.decryptCrt(ciphertext, privKey);
+            }
+
+            const { lambda, mu, n } = privKey;
+            const nSquared = n * n;
+
+            // Compute c^λ mod n^2
+            const cLambda = BigIntUtils.modPow(ciphertext, lambda, nSquared);
+
+            // Apply L function: L(c^λ mod n^2)
+            const L_c_lambda = BigIntUtils.L(cLambda, n);
+
+            // Compute plaintext: m = L(c^λ mod n^2) * μ mod n
+            const plaintext = (L_c_lambda * mu) % n;
+
+            return plaintext;
         }
 
-        const { nSquared } = pubKey;
+        /**
+         * CRT decryption: m_p = L_p(c^(p-1) mod p²) · h_p mod p, m_q likewise, recombined mod n
+         * Exponents and moduli are half the size of λ and n², so this is several times faster
+         * than decrypt's single modPow mod n², with identical results
+         */
+        decryptCrt(ciphertext, privateKey = null) {
+            const privKey = privateKey || this.privateKey;
+            if (!privKey || !privKey.p) {
+                throw new Error('CRT decryption needs a private key that retains p and q');
+            }
 
-        let result = ciphertexts[0];
-        for (let i = 1; i < ciphertexts.length; i++) {
-            result = (result * ciphertexts[i]) % nSquared;
+            const { p, q, pSquared, qSquared, hp, hq, qInverse } = privKey;
+            const mp = (BigIntUtils.L(BigIntUtils.modPow(ciphertext % pSquared, p - 1n, pSquared), p) * hp) % p;
+            const mq = (BigIntUtils.L(BigIntUtils.modPow(ciphertext % qSquared, q - 1n, qSquared), q) * hq) % q;
+            return combineCrt(mp, mq, p, q, qInverse);
         }
 
-        return result;
-    }
+        /**
+         * Decrypt and prove that the plaintext is the correct decryption
+         * @returns {object} {plaintext, proof}
+         */
+        decryptWithProof(ciphertext, privateKey = null) {
+            const plaintext = this.decrypt(ciphertext, privateKey);
+            return {
+                plaintext,
+                proof: this.proveDecryption(ciphertext, plaintext, privateKey)
+            };
+        }
 
-    /**
-     * Verify that a ciphertext is valid (i.e., in the correct range)
-     */
-    isValidCiphertext(ciphertext, publicKey = null) {
-        const pubKey = publicKey || this.publicKey;
-        if (!pubKey) return false;
+        /**
+         * Proof of correct decryption: reveal the randomness r with c = g^m · r^n mod n²
+         * Since g ≡ 1 (mod n), c ≡ r^n (mod n), so r = (c mod n)^(n^-1 mod λ) mod n
+         */
+        proveDecryption(ciphertext, plaintext, privateKey = null) {
+            const privKey = privateKey || this.privateKey;
+            if (!privKey) {
+                throw new Error('No private key available for decryption proof');
+            }
 
-        const { nSquared } = pubKey;
-        return ciphertext > 0n && ciphertext < nSquared;
-    }
+            const { lambda, n, p, q } = privKey;
+            let randomness;
+            if (p) {
+                // r mod p = (c mod p)^(n^-1 mod p-1), likewise mod q
+                const rp = BigIntUtils.modPow(ciphertext % p, BigIntUtils.modInverse(n % (p - 1n), p - 1n), p);
+                const rq = BigIntUtils.modPow(ciphertext % q, BigIntUtils.modInverse(n % (q - 1n), q - 1n), q);
+                randomness = combineCrt(rp, rq, p, q, privKey.qInverse);
+            } else {
+                const nInverse = BigIntUtils.modInverse(n, lambda);
+                randomness = BigIntUtils.modPow(ciphertext % n, nInverse, n);
+            }
 
-    /**
-     * Get the current public key in a serializable format
-     */
-    getPublicKeyInfo() {
-        if (!this.publicKey) return null;
+            const proof = { type: 'randomness', randomness };
+            const publicKey = this.publicKey && this.publicKey.n === n ? this.publicKey : { n, g: n + 1n, nSquared: n * n };
+            if (!this.verifyDecryptionProof(ciphertext, plaintext, proof, publicKey)) {
+                throw new Error('Ciphertext does not decrypt to the given plaintext');
+            }
+            return proof;
+        }
 
-        return {
-            n: this.publicKey.n.toString(),
-            g: this.publicKey.g.toString(),
-            nSquared: this.publicKey.nSquared.toString(),
-            bitLength: BigIntUtils.bitLength(this.publicKey.n)
-        };
-    }
+        /**
+         * Check a decryption proof with the public key only: g^m · r^n ≡ c (mod n²)
+         */
+        verifyDecryptionProof(ciphertext, plaintext, proof, publicKey = null) {
+            const pubKey = publicKey || this.publicKey;
+            if (!pubKey || !proof || proof.type !== 'randomness') return false;
 
-    /**
-     * Get the current private key in a serializable format
-     */
-    getPrivateKeyInfo() {
-        if (!this.privateKey) return null;
+            const { n, nSquared } = pubKey;
+            const { randomness } = proof;
+            if (typeof plaintext !== 'bigint' || plaintext < 0n || plaintext >= n) return false;
+            if (typeof randomness !== 'bigint' || randomness <= 0n || randomness >= n) return false;
+            if (!BigIntUtils.areCoprime(randomness, n)) return false;
 
-        return {
-            lambda: this.privateKey.lambda.toString(),
-            mu: this.privateKey.mu.toString(),
-            n: this.privateKey.n.toString(),
-            bitLength: BigIntUtils.bitLength(this.privateKey.n)
-        };
-    }
+            return (this.powG(plaintext, pubKey) * this.powN(randomness, pubKey)) % nSquared === ciphertext % nSquared;
+        }
 
-    /**
-     * Clear all keys from memory
-     */
-    clearKeys() {
-        this.publicKey = null;
-        this.privateKey = null;
-        console.log('Keys cleared from memory');
-    }
+        /**
+         * Homomorphic addition of two ciphertexts
+         * Enc(m1) * Enc(m2) = Enc(m1 + m2)
+         */
+        addCiphertexts(c1, c2, publicKey = null) {
+            const pubKey = publicKey || this.publicKey;
+            if (!pubKey) {
+                throw new Error('No public key available');
+            }
 
-    /**
-     * Test the cryptosystem with sample data
-     */
-    selfTest() {
-        console.log('Running Paillier self-test...');
+            const { nSquared } = pubKey;
+            return (c1 * c2) % nSquared;
+        }
+
+        /**
+         * Homomorphic scalar multiplication
+         * Enc(m)^k = Enc(k * m)
+         */
+        scalarMultiply(ciphertext, scalar, publicKey = null) {
+            const pubKey = publicKey || this.publicKey;
+            if (!pubKey) {
+                throw new Error('No public key available');
+            }
+
+            const { nSquared } = pubKey;
+            return BigIntUtils.modPow(ciphertext, scalar, nSquared);
+        }
 
-        // Generate keys
-        this.generateKeys();
+        /**
+         * Compute homomorphic sum of multiple ciphertexts
+         */
+        sumCiphertexts(ciphertexts, publicKey = null) {
+            if (ciphertexts.length === 0) {
+                throw new Error('Cannot sum empty array of ciphertexts');
+            }
 
-        // Test basic encryption/decryption
-        const testValues = [0n, 1n, 42n, 100n];
+            const pubKey = publicKey || this.publicKey;
+            if (!pubKey) {
+                throw new Error('No public key available');
+            }
 
-        for (const value of testValues) {
-            const encrypted = this.encrypt(value);
-            const decrypted = this.decrypt(encrypted.ciphertext);
+            const { nSquared } = pubKey;
 
-            if (decrypted !== value) {
-                throw new Error(`Self-test failed: ${value} != ${decrypted}`);
+            let result = ciphertexts[0];
+            for (let i = 1; i < ciphertexts.length; i++) {
+                result = (result * ciphertexts[i]) % nSquared;
             }
 
-            console.log(`✓ Encrypt/decrypt test passed for value: ${value}`);
+            return result;
         }
 
-        // Test homomorphic addition
-        const a = 5n;
-        const b = 7n;
-        const encA = this.encrypt(a);
-        const encB = this.encrypt(b);
-        const encSum = this.addCiphertexts(encA.ciphertext, encB.ciphertext);
-        const decryptedSum = this.decrypt(encSum);
+        /**
+         * Per-candidate homomorphic aggregate across ballots
+         * @param {bigint[][]} ballots - One array of per-candidate ciphertexts per ballot
+         * @returns {bigint[]} Enc(Σ votes) for each candidate
+         */
+        aggregateBallots(ballots, publicKey = null) {
+            if (ballots.length === 0) {
+                throw new Error('Cannot aggregate an empty set of ballots');
+            }
+
+            const candidateCount = ballots[0].length;
+            if (ballots.some(ballot => ballot.length !== candidateCount)) {
+                throw new Error('All ballots must have the same number of candidates');
+            }
 
-        if (decryptedSum !== (a + b)) {
-            throw new Error(`Homomorphic addition failed: ${decryptedSum} != ${a + b}`);
+            const aggregates = [];
+            for (let i = 0; i < candidateCount; i++) {
+                aggregates.push(this.sumCiphertexts(ballots.map(ballot => ballot[i]), publicKey));
+            }
+            return aggregates;
         }
 
-        console.log(`✓ Homomorphic addition test passed: ${a} + ${b} = ${decryptedSum}`);
+        /**
+         * Tally ballots by decrypting only the per-candidate aggregates
+         * A single ballot's aggregate is that ballot, so it needs audit mode
+         * @param {bigint[][]} ballots - One array of per-candidate ciphertexts per ballot
+         * @param {Function} decryptor - Returns {plaintext, proof} for one ciphertext (defaults to
+         * the private key; threshold keys pass a function that combines trustee partial decryptions)
+         * @returns {object} {ballotCount, aggregates, totals, proofs}
+         */
+        tallyBallots(ballots, decryptor = ciphertext => this.decryptWithProof(ciphertext)) {
+            if (ballots.length === 1 && !this.auditMode) {
+                throw new Error('Tallying a single ballot would reveal it; enable audit mode to decrypt individual ballots');
+            }
 
-        // Test scalar multiplication
-        const scalar = 3n;
-        const encScalar = this.scalarMultiply(encA.ciphertext, scalar);
-        const decryptedScalar = this.decrypt(encScalar);
+            const aggregates = this.aggregateBallots(ballots);
+            const decryptions = aggregates.map(aggregate => decryptor(aggregate));
+
+            return {
+                ballotCount: ballots.length,
+                aggregates,
+                totals: decryptions.map(result => result.plaintext),
+                proofs: decryptions.map(result => result.proof)
+            };
+        }
 
-        if (decryptedScalar !== (a * scalar)) {
-            throw new Error(`Scalar multiplication failed: ${decryptedScalar} != ${a * scalar}`);
+        /**
+         * Decrypt one ballot's ciphertext; refused unless audit mode is enabled
+         */
+        decryptBallotCiphertext(ciphertext, decryptor = value => this.decryptWithProof(value)) {
+            if (!this.auditMode) {
+                throw new Error('Decrypting an individual ballot requires audit mode');
+            }
+            return decryptor(ciphertext).plaintext;
         }
 
-        console.log(`✓ Scalar multiplication test passed: ${a} * ${scalar} = ${decryptedScalar}`);
+        /**
+         * Verify that a ciphertext is valid (i.e., in the correct range)
+         */
+        isValidCiphertext(ciphertext, publicKey = null) {
+            const pubKey = publicKey || this.publicKey;
+            if (!pubKey) return false;
+
+            const { nSquared } = pubKey;
+            return ciphertext > 0n && ciphertext < nSquared;
+        }
 
-        console.log('All Paillier self-tests passed!');
-        return true;
+        /**
+         * Check a public key that comes from outside (a file, a ballot payload) before
+         * encrypting to it or verifying against it; throws on a malformed or weak key
+         * @param {number} minBits - Smallest accepted modulus, if above MIN_KEY_SIZE
+         *                           (TEST_KEY_SIZE inside withTestKeySizes)
+         * @returns {object} The key
+         */
+        static validatePublicKey(publicKey, minBits = 0) {
+            minBits = Math.max(minBits, minimumKeySize);
+            if (!publicKey || typeof publicKey !== 'object') {
+                throw new Error('Public key is missing');
+            }
+            const { n, g, nSquared } = publicKey;
+            if (typeof n !== 'bigint' || typeof g !== 'bigint' || typeof nSquared !== 'bigint') {
+                throw new Error('Public key n, g and nSquared must be integers');
+            }
+
+            if (n <= 1n || n % 2n === 0n) {
+                throw new Error('Public key n must be an odd modulus');
+            }
+            if (BigIntUtils.bitLength(n) < minBits) {
+                throw new Error(`Public key n has ${BigIntUtils.bitLength(n)} bits; at least ${minBits} are required`);
+            }
+            if (BigIntUtils.hasSmallFactor(n) || BigIntUtils.isPerfectSquare(n)) {
+                throw new Error('Public key n has a small or repeated factor');
+            }
+            if (nSquared !== n * n) {
+                throw new Error('Public key nSquared is not n²');
+            }
+
+            // g must be 1 + kn with gcd(k, n) = 1, so it has order n and every plaintext m
+            // gives a distinct g^m; decryption proofs and CRT decryption rely on g ≡ 1 (mod n).
+            // A unit that is merely coprime to n could be an n-th residue such as h^n, which
+            // would encrypt every plaintext as 0.
+            if (g >= nSquared || g % n !== 1n || !BigIntUtils.areCoprime((g - 1n) / n, n)) {
+                throw new Error('Public key g must be 1 + kn with gcd(k, n) = 1, e.g. n + 1');
+            }
+
+            return publicKey;
+        }
+
+        /**
+         * Throw unless keys of this size may be generated: an even number of bits,
+         * at least MIN_KEY_SIZE (TEST_KEY_SIZE inside withTestKeySizes)
+         */
+        static checkKeySize(keySize) {
+            if (!Number.isInteger(keySize) || keySize < minimumKeySize || keySize % 2 !== 0) {
+                throw new Error(`Key size must be an even number of bits, at least ${minimumKeySize}`);
+            }
+        }
+
+        /**
+         * Run a synchronous test with keys down to TEST_KEY_SIZE bits allowed; self-tests
+         * and unit tests only, since such keys can be factored
+         * @returns {*} What test returns
+         */
+        static withTestKeySizes(test) {
+            const minimum = minimumKeySize;
+            minimumKeySize = TEST_KEY_SIZE;
+            try {
+                return test();
+            } finally {
+                minimumKeySize = minimum;
+            }
+        }
+
+        /**
+         * Get the current public key in a serializable format
+         */
+        getPublicKeyInfo() {
+            if (!this.publicKey) return null;
+
+            return {
+                n: this.publicKey.n.toString(),
+                g: this.publicKey.g.toString(),
+                nSquared: this.publicKey.nSquared.toString(),
+                bitLength: BigIntUtils.bitLength(this.publicKey.n)
+            };
+        }
+
+        /**
+         * Get the current private key in a serializable format
+         */
+        getPrivateKeyInfo() {
+            if (!this.privateKey) return null;
+
+            const info = {
+                lambda: this.privateKey.lambda.toString(),
+                mu: this.privateKey.mu.toString(),
+                n: this.privateKey.n.toString(),
+                bitLength: BigIntUtils.bitLength(this.privateKey.n)
+            };
+            if (this.privateKey.p) {
+                info.p = this.privateKey.p.toString();
+                info.q = this.privateKey.q.toString();
+            }
+            return info;
+        }
+
+        /**
+         * Clear all keys from memory
+         */
+        clearKeys() {
+            this.discardRandomnessPool();
+            this.publicKey = null;
+            this.privateKey = null;
+        }
+
+        /**
+         * Quick smoke check of the cryptosystem on a test-size key: values round-trip
+         * and add homomorphically. The full Paillier tests are in test/paillier.test.js
+         * (npm test)
+         */
+        selfTest() {
+            console.log('Running Paillier self-test...');
+
+            // Generate keys; test sizes below MIN_KEY_SIZE are allowed here
+            PaillierCryptosystem.withTestKeySizes(() => this.generateKeys());
+
+            // Test basic encryption/decryption
+            const testValues = [0n, 1n, 42n, 100n];
+
+            for (const value of testValues) {
+                const encrypted = this.encrypt(value);
+                const decrypted = this.decrypt(encrypted.ciphertext);
+
+                if (decrypted !== value) {
+                    throw new Error(`Self-test failed: ${value} != ${decrypted}`);
+                }
+
+                console.log(`✓ Encrypt/decrypt test passed for value: ${value}`);
+            }
+
+            // Test homomorphic addition
+            const a = 5n;
+            const b = 7n;
+            const encA = this.encrypt(a);
+            const encB = this.encrypt(b);
+            const encSum = this.addCiphertexts(encA.ciphertext, encB.ciphertext);
+            const decryptedSum = this.decrypt(encSum);
+
+            if (decryptedSum !== (a + b)) {
+                throw new Error(`Homomorphic addition failed: ${decryptedSum} != ${a + b}`);
+            }
+
+            console.log(`✓ Homomorphic addition test passed: ${a} + ${b} = ${decryptedSum}`);
+
+            // Test scalar multiplication
+            const scalar = 3n;
+            const encScalar = this.scalarMultiply(encA.ciphertext, scalar);
+            const decryptedScalar = this.decrypt(encScalar);
+
+            if (decryptedScalar !== (a * scalar)) {
+                throw new Error(`Scalar multiplication failed: ${decryptedScalar} != ${a * scalar}`);
+            }
+
+            console.log(`✓ Scalar multiplication test passed: ${a} * ${scalar} = ${decryptedScalar}`);
+
+            console.log('All Paillier self-tests passed!');
+            return true;
+        }
     }
-}
 
-// Export for use in other modules
-window.PaillierCryptosystem = PaillierCryptosystem;
+    PaillierCryptosystem.KEY_SIZES = KEY_SIZES;
+    PaillierCryptosystem.MIN_KEY_SIZE = MIN_KEY_SIZE;
+    PaillierCryptosystem.TEST_KEY_SIZE = TEST_KEY_SIZE;
+
+    return { PaillierCryptosystem, RandomnessPool };
+});
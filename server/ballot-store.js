@@ -0,0 +1,158 @@
+/**
+ * File-backed Ballot Store for the Reference Backend
+ * Appends accepted ballots to a JSON Lines file and keeps an in-memory index for duplicate checks
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const { ballotError } = require('./ballot-verifier');
+
+/**
+ * Contest entries of a payload or stored record
+ * Ballots stored before multi-contest payloads hold a single contest's fields at the top level
+ */
+function contestEntries(payload) {
+    return payload.contests || [payload];
+}
+
+/**
+ * Canonical decimal form of a ciphertext: proofs bind the number, not its spelling,
+ * so "012345" must hash like "12345"
+ */
+function canonicalCiphertext(vote) {
+    return BigInt(vote.ciphertext).toString();
+}
+
+class BallotStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.filePath = path.join(dataDir, 'ballots.jsonl');
+        this.records = [];
+        this.voterIds = new Set();
+        this.receiptHashes = new Set();
+        this.ciphertextHashes = new Set();
+        this.queue = Promise.resolve();  // add() calls, run one at a time
+    }
+
+    /**
+     * Create the data directory if needed and load previously accepted ballots
+     */
+    async open() {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+        let contents = '';
+        try {
+            contents = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        for (const line of contents.split('\n')) {
+            if (!line.trim()) continue;
+            this.index(JSON.parse(line));
+        }
+
+        return this;
+    }
+
+    /**
+     * Track a stored record for duplicate detection
+     */
+    index(record) {
+        this.records.push(record);
+        this.voterIds.add(record.voterId);
+        this.receiptHashes.add(record.receiptHash);
+        for (const hash of BallotStore.computeCiphertextHashes(record)) {
+            this.ciphertextHashes.add(hash);
+        }
+    }
+
+    /**
+     * Hash of everything that makes a ballot unique: key, ciphertexts and proofs
+     */
+    static computeReceiptHash(payload) {
+        const canonical = JSON.stringify({
+            publicKey: payload.publicKey,
+            contests: contestEntries(payload).map(entry => ({
+                contestId: entry.contestId,
+                ciphertexts: entry.encryptedVotes.map(canonicalCiphertext),
+                zkpProofs: entry.zkpProofs
+            }))
+        });
+        return crypto.createHash('sha256').update(canonical).digest('hex');
+    }
+
+    /**
+     * One hash per ciphertext, so a replay cannot slip through by re-encoding the proofs
+     * or by copying single contests or ciphertexts into a new ballot
+     */
+    static computeCiphertextHashes(payload) {
+        return contestEntries(payload).flatMap(entry => entry.encryptedVotes.map(vote =>
+            crypto.createHash('sha256').update(canonicalCiphertext(vote)).digest('hex')));
+    }
+
+    /**
+     * Persist a verified ballot and return its receipt
+     * Rejects a second ballot from the same voter, ballots reusing an accepted ciphertext
+     * and ballots beyond maxBallots; calls run one at a time, so concurrent requests
+     * cannot both pass these checks
+     * @param {object} options - {maxBallots}: ballot limit of the election, or null
+     */
+    add(payload, { maxBallots = null } = {}) {
+        const result = this.queue.then(() => this.append(payload, maxBallots));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    async append(payload, maxBallots) {
+        const receiptHash = BallotStore.computeReceiptHash(payload);
+
+        if (this.receiptHashes.has(receiptHash) ||
+            BallotStore.computeCiphertextHashes(payload).some(hash => this.ciphertextHashes.has(hash))) {
+            throw ballotError('DUPLICATE_BALLOT', 'This ballot, or a ciphertext in it, has already been accepted', 409);
+        }
+        if (this.voterIds.has(payload.voterId)) {
+            throw ballotError('DUPLICATE_VOTER', `Voter ${payload.voterId} has already cast a ballot`, 409);
+        }
+        if (maxBallots !== null && this.records.length >= maxBallots) {
+            throw ballotError('BALLOT_BOX_FULL', `The election accepts at most ${maxBallots} ballots`, 409);
+        }
+
+        const record = {
+            ballotId: crypto.randomUUID(),
+            receiptHash,
+            receivedAt: new Date().toISOString(),
+            voterId: payload.voterId,
+            sessionId: payload.sessionId || null,
+            publicKey: payload.publicKey,
+            electionId: payload.electionId,
+            contests: payload.contests
+        };
+
+        await fs.promises.appendFile(this.filePath, JSON.stringify(record) + '\n');
+        this.index(record);
+
+        return {
+            ballotId: record.ballotId,
+            receiptHash: record.receiptHash,
+            receivedAt: record.receivedAt,
+            position: this.records.length
+        };
+    }
+
+    /**
+     * List receipts of all accepted ballots (no ciphertexts)
+     */
+    listReceipts() {
+        return this.records.map((record, index) => ({
+            ballotId: record.ballotId,
+            receiptHash: record.receiptHash,
+            receivedAt: record.receivedAt,
+            position: index + 1
+        }));
+    }
+}
+
+module.exports = { BallotStore };
@@ -0,0 +1,183 @@
+/**
+ * Ballot Verifier for the Reference Backend
+ * Parses multi-contest vote payloads built by prepareVotePayload() and re-checks their Zero-Knowledge Proofs
+ */
+
+const { BigIntUtils, PaillierCryptosystem, ZKProofSystem, ElectionManifest } = require('..');
+
+/**
+ * Create an error carrying a machine-readable code and the HTTP status to answer with
+ */
+function ballotError(code, message, status = 400) {
+    const error = new Error(message);
+    error.code = code;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Parse the public key sent with a ballot and validate it (see PaillierCryptosystem.validatePublicKey)
+ * @param {number} minKeyBits - Smallest accepted modulus; never below MIN_KEY_SIZE
+ */
+function parsePublicKey(publicKey, minKeyBits = PaillierCryptosystem.MIN_KEY_SIZE) {
+    if (!publicKey || typeof publicKey !== 'object') {
+        throw ballotError('MALFORMED_BALLOT', 'publicKey is missing');
+    }
+
+    let n, g, nSquared;
+    try {
+        n = BigIntUtils.fromDecimalString(publicKey.n, 'publicKey.n');
+        g = BigIntUtils.fromDecimalString(publicKey.g, 'publicKey.g');
+        nSquared = BigIntUtils.fromDecimalString(publicKey.nSquared, 'publicKey.nSquared');
+    } catch (error) {
+        throw ballotError('MALFORMED_BALLOT', error.message);
+    }
+
+    try {
+        return PaillierCryptosystem.validatePublicKey({ n, g, nSquared }, minKeyBits);
+    } catch (error) {
+        throw ballotError('INVALID_PUBLIC_KEY', error.message);
+    }
+}
+
+/**
+ * Match the payload's contest entries to the manifest: every contest once, in manifest order,
+ * each listing the contest's candidates (and for ranked contests, ranks) in manifest order;
+ * a packed contest's single entry lists all its candidate ids instead
+ */
+function resolveContests(payload, manifest) {
+    if (payload.electionId !== manifest.electionId) {
+        throw ballotError('ELECTION_MISMATCH', `Ballot is for election ${payload.electionId}, this server runs ${manifest.electionId}`);
+    }
+
+    if (!Array.isArray(payload.contests) || payload.contests.length === 0) {
+        throw ballotError('MALFORMED_BALLOT', 'contests must be a non-empty array');
+    }
+
+    for (const entry of payload.contests) {
+        const contestId = entry && entry.contestId;
+        if (!manifest.contests.some(contest => contest.id === contestId)) {
+            throw ballotError('UNKNOWN_CONTEST', `Election ${manifest.electionId} has no contest ${contestId}`);
+        }
+    }
+
+    if (payload.contests.length !== manifest.contests.length ||
+        manifest.contests.some((contest, i) => payload.contests[i].contestId !== contest.id)) {
+        throw ballotError('MALFORMED_BALLOT', `contests must answer ${manifest.contests.map(contest => contest.id).join(', ')} in manifest order`);
+    }
+
+    return manifest.contests.map((contest, i) => {
+        const { encryptedVotes } = payload.contests[i];
+        if (!Array.isArray(encryptedVotes) || encryptedVotes.length === 0) {
+            throw ballotError('MALFORMED_BALLOT', `contests[${i}].encryptedVotes must be a non-empty array`);
+        }
+
+        const expected = manifest.ballotEntries(contest);
+        const matches = (vote, entry) => (entry.candidateIds
+            ? Array.isArray(vote.candidateIds) && vote.candidateIds.length === entry.candidateIds.length &&
+                entry.candidateIds.every((candidateId, k) => vote.candidateIds[k] === candidateId)
+            : vote.candidateId === entry.candidateId && (entry.rank === undefined || vote.rank === entry.rank));
+        if (encryptedVotes.length !== expected.length ||
+            expected.some((entry, j) => !encryptedVotes[j] || !matches(encryptedVotes[j], entry))) {
+            throw ballotError('MALFORMED_BALLOT', `contests[${i}].encryptedVotes must list the candidates of contest ${contest.id} in manifest order`);
+        }
+
+        return contest;
+    });
+}
+
+/**
+ * Parse one contest entry and check that its proofs cover exactly its ciphertexts
+ */
+function parseContestEntry(entry, path, paillier) {
+    let ciphertexts, voteProof;
+    try {
+        ciphertexts = entry.encryptedVotes.map((vote, index) =>
+            BigIntUtils.fromDecimalString(vote && vote.ciphertext, `${path}.encryptedVotes[${index}].ciphertext`));
+        voteProof = ZKProofSystem.deserializeVoteProof(entry.zkpProofs);
+    } catch (error) {
+        throw ballotError('MALFORMED_BALLOT', `${path}: ${error.message}`);
+    }
+
+    if (voteProof.version !== ZKProofSystem.PROOF_VERSION) {
+        throw ballotError('UNSUPPORTED_PROOF_VERSION',
+            `Proof version ${voteProof.version} is not accepted (expected ${ZKProofSystem.PROOF_VERSION})`);
+    }
+
+    for (let i = 0; i < ciphertexts.length; i++) {
+        if (!paillier.isValidCiphertext(ciphertexts[i])) {
+            throw ballotError('INVALID_CIPHERTEXT', `${path}.encryptedVotes[${i}] is outside the ciphertext space`);
+        }
+    }
+
+    // The proofs must be about exactly the ciphertexts being cast
+    if (voteProof.bitProofs.length !== ciphertexts.length ||
+        voteProof.bitProofs.some((proof, i) => proof.ciphertext !== ciphertexts[i])) {
+        throw ballotError('PROOF_MISMATCH', `${path}: bit proofs do not match the encrypted votes`);
+    }
+
+    return { ciphertexts, voteProof };
+}
+
+/**
+ * Verify a multi-contest vote payload against the election manifest and the election key
+ * Returns the parsed ciphertexts and verification result of every contest, or throws a ballot error
+ * @param {object} options - {electionKey}: the election public key {n, g, nSquared} every ballot
+ *                           must be encrypted under; {minKeyBits}: smallest modulus to accept
+ */
+function verifyBallot(payload, manifest = ElectionManifest.fromDefault(), { electionKey, minKeyBits } = {}) {
+    if (!electionKey) {
+        throw new Error('verifyBallot needs the election public key');
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw ballotError('MALFORMED_BALLOT', 'Ballot payload must be a JSON object');
+    }
+
+    if (typeof payload.voterId !== 'string' || payload.voterId.length === 0) {
+        throw ballotError('MALFORMED_BALLOT', 'voterId must be a non-empty string');
+    }
+
+    const manifestContests = resolveContests(payload, manifest);
+    const publicKey = parsePublicKey(payload.publicKey, minKeyBits);
+
+    // A ballot under any other key could not be tallied with the rest
+    if (publicKey.n !== electionKey.n || publicKey.g !== electionKey.g) {
+        throw ballotError('WRONG_ELECTION_KEY', 'Ballot is not encrypted under the election public key');
+    }
+
+    const paillier = new PaillierCryptosystem();
+    paillier.publicKey = electionKey;
+
+    const entries = payload.contests.map((entry, i) => parseContestEntry(entry, `contests[${i}]`, paillier));
+
+    // Each contest carries its own bit proofs and sum proof(s)
+    const zkp = new ZKProofSystem(paillier);
+    const contests = entries.map(({ ciphertexts, voteProof }, i) => ({
+        contest: manifestContests[i],
+        ciphertexts,
+        result: zkp.verifyContestProof(voteProof, ciphertexts, manifest.proofRules(manifestContests[i]))
+    }));
+
+    const failed = contests.filter(({ result }) => !result.overallValid);
+    if (failed.length > 0) {
+        const error = ballotError('INVALID_PROOF', 'Zero-knowledge proof verification failed', 422);
+        error.details = {
+            contests: failed.map(({ contest, result }) => ({
+                contestId: contest.id,
+                bitProofsValid: result.bitProofsValid,
+                failedBitProofs: result.bitProofResults.filter(r => !r.valid).map(r => r.candidateIndex),
+                sumProofValid: result.sumProofValid
+            }))
+        };
+        throw error;
+    }
+
+    return { publicKey: electionKey, contests };
+}
+
+module.exports = {
+    ballotError,
+    parsePublicKey,
+    verifyBallot
+};
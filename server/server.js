@@ -0,0 +1,188 @@
+/**
+ * Reference Backend for the Paillier Voting System
+ * Answers POST /api/vote from confirmSendPayload(), re-verifies each ballot's ZKPs and stores accepted ballots
+ *
+ * Usage: ELECTION_KEY=election-key.json node server/server.js
+ *   ELECTION_KEY names the election public key file (JSON or PEM, see KeySerializer) and is required;
+ *   PORT, VOTE_DATA_DIR, ELECTION_MANIFEST and MIN_KEY_BITS are optional
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { ElectionManifest, KeySerializer, PaillierCryptosystem } = require('..');
+const { ballotError, verifyBallot } = require('./ballot-verifier');
+const { BallotStore } = require('./ballot-store');
+
+const DEFAULT_PORT = 3000;
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Client-Version, X-Vote-Type'
+};
+
+/**
+ * Write a JSON response with CORS headers
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Read and parse a JSON request body, enforcing the size limit
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(ballotError('PAYLOAD_TOO_LARGE', `Request body exceeds ${MAX_BODY_BYTES} bytes`, 413));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(ballotError('INVALID_JSON', 'Request body is not valid JSON'));
+            }
+        });
+
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Handle POST /api/vote
+ */
+async function handleVote(req, res, store, manifest, options) {
+    const payload = await readJsonBody(req);
+    if (manifest.maxBallots !== null && store.records.length >= manifest.maxBallots) {
+        throw ballotError('BALLOT_BOX_FULL', `The election accepts at most ${manifest.maxBallots} ballots`, 409);
+    }
+    const { contests } = verifyBallot(payload, manifest, options);
+    const receipt = await store.add(payload, { maxBallots: manifest.maxBallots });
+
+    console.log(`[Vote Server] Accepted ballot ${receipt.ballotId} (${contests.length} contest${contests.length !== 1 ? 's' : ''})`);
+
+    sendJson(res, 201, {
+        status: 'accepted',
+        receipt
+    });
+}
+
+/**
+ * Read the election manifest from a JSON file, or use the built-in one
+ */
+async function loadManifest(manifestPath) {
+    return manifestPath
+        ? ElectionManifest.parse(await fs.promises.readFile(manifestPath, 'utf8'))
+        : ElectionManifest.fromDefault();
+}
+
+/**
+ * Read the election public key from a key file and validate it
+ */
+async function loadElectionKey(keyPath, minKeyBits = PaillierCryptosystem.MIN_KEY_SIZE) {
+    if (!keyPath) {
+        throw new Error('Set ELECTION_KEY to the election public key file ("Export Public Key" in the UI)');
+    }
+    const { publicKey } = KeySerializer.importKey(await fs.promises.readFile(keyPath, 'utf8'));
+    return PaillierCryptosystem.validatePublicKey(publicKey, minKeyBits);
+}
+
+/**
+ * Create the HTTP server bound to a ballot store, an election manifest and the election public key
+ * @param {object} options - {electionKey}: the key every ballot must be encrypted under (required);
+ *                           {minKeyBits}: smallest ballot public key to accept, MIN_KEY_SIZE at least
+ */
+function createServer(store, manifest = ElectionManifest.fromDefault(),
+    { electionKey, minKeyBits = PaillierCryptosystem.MIN_KEY_SIZE } = {}) {
+    if (!electionKey) {
+        throw new Error('createServer needs the election public key');
+    }
+
+    return http.createServer(async (req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, CORS_HEADERS);
+                res.end();
+            } else if (pathname === '/api/vote' && req.method === 'POST') {
+                await handleVote(req, res, store, manifest, { electionKey, minKeyBits });
+            } else if (pathname === '/api/ballots' && req.method === 'GET') {
+                sendJson(res, 200, { ballots: store.listReceipts() });
+            } else if (pathname === '/api/health' && req.method === 'GET') {
+                sendJson(res, 200, { status: 'ok', ballotCount: store.records.length });
+            } else if (pathname === '/api/vote' || pathname === '/api/ballots' || pathname === '/api/health') {
+                throw ballotError('METHOD_NOT_ALLOWED', `${req.method} is not supported on ${pathname}`, 405);
+            } else {
+                throw ballotError('NOT_FOUND', `No route for ${pathname}`, 404);
+            }
+        } catch (error) {
+            if (!error.code || !error.status) {
+                console.error('[Vote Server] Unexpected error:', error);
+            } else {
+                console.log(`[Vote Server] Rejected request: ${error.code} - ${error.message}`);
+            }
+
+            sendJson(res, error.status || 500, {
+                status: 'rejected',
+                error: {
+                    code: error.status ? error.code : 'INTERNAL_ERROR',
+                    message: error.status ? error.message : 'Internal server error',
+                    details: error.details
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Open the ballot store and start listening
+ */
+async function startServer({
+    port = Number(process.env.PORT) || DEFAULT_PORT,
+    dataDir = process.env.VOTE_DATA_DIR || path.join(__dirname, '..', 'data'),
+    manifestPath = process.env.ELECTION_MANIFEST,
+    electionKeyPath = process.env.ELECTION_KEY,
+    minKeyBits = Number(process.env.MIN_KEY_BITS) || PaillierCryptosystem.MIN_KEY_SIZE
+} = {}) {
+    const manifest = await loadManifest(manifestPath);
+    const electionKey = await loadElectionKey(electionKeyPath, minKeyBits);
+    const store = await new BallotStore(dataDir).open();
+    const server = createServer(store, manifest, { electionKey, minKeyBits });
+
+    await new Promise(resolve => server.listen(port, resolve));
+    console.log(`[Vote Server] Listening on http://localhost:${server.address().port}/api/vote`);
+    console.log(`[Vote Server] Election ${manifest.electionId} (${manifest.contests.length} contest${manifest.contests.length !== 1 ? 's' : ''})`);
+    console.log(`[Vote Server] Accepting ballots under election key ${KeySerializer.keyId(electionKey)}`);
+    console.log(`[Vote Server] Storing ballots in ${store.filePath} (${store.records.length} loaded)`);
+
+    return { server, store };
+}
+
+if (require.main === module) {
+    startServer().catch(error => {
+        console.error('[Vote Server] Failed to start:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    createServer,
+    loadElectionKey,
+    loadManifest,
+    startServer
+};
@@ -0,0 +1,178 @@
+/**
+ * SHA-256 Implementation
+ * Synchronous pure-JS hash (FIPS 180-4) used for Fiat-Shamir challenges,
+ * since WebCrypto's digest() is asynchronous and the proof API is not
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        // Browser globals, kept for the <script> tags in index.html
+        const exports = factory();
+        root.SHA256 = exports.SHA256;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    'use strict';
+
+    // First 32 bits of the fractional parts of the cube roots of the first 64 primes
+    const K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    // First 32 bits of the fractional parts of the square roots of the first 8 primes
+    const INITIAL_STATE = [
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ];
+
+    class SHA256 {
+        /**
+         * Hash a byte array or string (UTF-8 encoded)
+         * @param {Uint8Array|string} data - The message
+         * @returns {Uint8Array} The 32-byte digest
+         */
+        static digest(data) {
+            const message = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+
+            // Pad: 0x80, zeros, then the 64-bit big-endian bit length
+            const paddedLength = Math.ceil((message.length + 9) / 64) * 64;
+            const padded = new Uint8Array(paddedLength);
+            padded.set(message);
+            padded[message.length] = 0x80;
+
+            const view = new DataView(padded.buffer);
+            const bitLength = message.length * 8;
+            view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+            view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+            const state = INITIAL_STATE.slice();
+            const w = new Uint32Array(64);
+
+            for (let offset = 0; offset < paddedLength; offset += 64) {
+                for (let t = 0; t < 16; t++) {
+                    w[t] = view.getUint32(offset + t * 4);
+                }
+                for (let t = 16; t < 64; t++) {
+                    const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+                    const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+                    w[t] = (w[t - 16] + s0 + w[t - 7] + s1) >>> 0;
+                }
+
+                let [a, b, c, d, e, f, g, h] = state;
+
+                for (let t = 0; t < 64; t++) {
+                    const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                    const ch = (e & f) ^ (~e & g);
+                    const temp1 = (h + S1 + ch + K[t] + w[t]) >>> 0;
+                    const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                    const maj = (a & b) ^ (a & c) ^ (b & c);
+                    const temp2 = (S0 + maj) >>> 0;
+
+                    h = g;
+                    g = f;
+                    f = e;
+                    e = (d + temp1) >>> 0;
+                    d = c;
+                    c = b;
+                    b = a;
+                    a = (temp1 + temp2) >>> 0;
+                }
+
+                state[0] = (state[0] + a) >>> 0;
+                state[1] = (state[1] + b) >>> 0;
+                state[2] = (state[2] + c) >>> 0;
+                state[3] = (state[3] + d) >>> 0;
+                state[4] = (state[4] + e) >>> 0;
+                state[5] = (state[5] + f) >>> 0;
+                state[6] = (state[6] + g) >>> 0;
+                state[7] = (state[7] + h) >>> 0;
+            }
+
+            const result = new Uint8Array(32);
+            const resultView = new DataView(result.buffer);
+            state.forEach((word, i) => resultView.setUint32(i * 4, word));
+            return result;
+        }
+
+        /**
+         * Encode a list of transcript elements unambiguously: each element is
+         * a 4-byte big-endian length followed by its bytes (strings as UTF-8,
+         * BigInts as minimal big-endian magnitude)
+         */
+        static encodeTranscript(elements) {
+            const parts = elements.map(element => {
+                if (typeof element === 'string') {
+                    return new TextEncoder().encode(element);
+                }
+                if (typeof element === 'bigint' && element >= 0n) {
+                    return bigIntToBytes(element);
+                }
+                throw new Error('Transcript elements must be strings or non-negative BigInts');
+            });
+
+            const totalLength = parts.reduce((acc, part) => acc + 4 + part.length, 0);
+            const encoded = new Uint8Array(totalLength);
+            const view = new DataView(encoded.buffer);
+
+            let offset = 0;
+            for (const part of parts) {
+                view.setUint32(offset, part.length);
+                encoded.set(part, offset + 4);
+                offset += 4 + part.length;
+            }
+
+            return encoded;
+        }
+
+        /**
+         * Hash an encoded transcript (see encodeTranscript) to a 256-bit BigInt
+         * Used for Fiat-Shamir challenges
+         */
+        static hashTranscript(elements) {
+            const digest = SHA256.digest(SHA256.encodeTranscript(elements));
+
+            let result = 0n;
+            for (const byte of digest) {
+                result = (result << 8n) | BigInt(byte);
+            }
+            return result;
+        }
+
+        /**
+         * Hash and return the digest as a lowercase hex string
+         */
+        static hex(data) {
+            return Array.from(SHA256.digest(data), byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+    }
+
+    /**
+     * Rotate a 32-bit word right
+     */
+    function rotr(x, n) {
+        return (x >>> n) | (x << (32 - n));
+    }
+
+    /**
+     * Big-endian bytes of a non-negative BigInt (0n encodes as no bytes)
+     */
+    function bigIntToBytes(value) {
+        let hex = value === 0n ? '' : value.toString(16);
+        if (hex.length % 2 === 1) hex = '0' + hex;
+
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    return { SHA256 };
+});
@@ -0,0 +1,140 @@
+/**
+ * Ballot box tests: verified ballots are stored and tallied together, IRV rounds are
+ * blinded and verifiable, and replays, duplicate voters and ballots with bad proofs are refused
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BallotBox, ElectionManifest, PaillierCryptosystem, ZKProofSystem } = require('..');
+
+// A test-size key keeps the suite quick
+const paillier = new PaillierCryptosystem();
+paillier.keySize = 1024;
+PaillierCryptosystem.withTestKeySizes(() => paillier.generateKeys());
+const zkp = new ZKProofSystem(paillier);
+const manifest = ElectionManifest.fromDefault();
+const [contest] = manifest.contests;
+
+/**
+ * A ballot for the built-in manifest (five candidates, pick one)
+ */
+function castBallot(choice) {
+    const votes = contest.candidates.map((candidate, i) => (i === choice ? 1n : 0n));
+    const encrypted = votes.map(vote => paillier.encrypt(vote));
+    const ciphertexts = encrypted.map(e => e.ciphertext);
+    const proof = zkp.generateVoteProof(ciphertexts, votes, encrypted.map(e => e.randomness));
+    return { contests: [{ contestId: contest.id, ciphertexts, proof }] };
+}
+
+function submitError(box, ballot, metadata) {
+    try {
+        box.submit(ballot, metadata);
+    } catch (error) {
+        return error.code;
+    }
+    return null;
+}
+
+test('ballots are stored with receipts and tallied only as aggregates', () => {
+    const box = new BallotBox(paillier, zkp, manifest);
+    const receipts = [castBallot(0), castBallot(2), castBallot(0)].map((ballot, i) =>
+        box.submit(ballot, { voterId: `voter-${i}` }));
+
+    assert.strictEqual(box.size, 3);
+    assert.deepStrictEqual(receipts.map(receipt => receipt.position), [1, 2, 3]);
+    assert.deepStrictEqual(box.listReceipts().map(receipt => receipt.receiptHash), receipts.map(receipt => receipt.receiptHash));
+
+    const { ballotCount, contests } = box.tally(ciphertext => paillier.decryptWithProof(ciphertext));
+    assert.strictEqual(ballotCount, 3);
+    assert.deepStrictEqual(contests[0].totals, [2n, 0n, 1n, 0n, 0n]);
+});
+
+test('a replayed ballot is refused, however its proof is encoded', () => {
+    const box = new BallotBox(paillier, zkp, manifest);
+    const ballot = castBallot(1);
+    box.submit(ballot, { voterId: 'alice' });
+
+    assert.strictEqual(submitError(box, ballot, { voterId: 'bob' }), 'DUPLICATE_BALLOT');
+
+    // The same ciphertexts under a freshly encoded proof are still a replay
+    const reencoded = ZKProofSystem.deserializeVoteProof(JSON.parse(JSON.stringify(
+        ZKProofSystem.serializeVoteProof(ballot.contests[0].proof))));
+    assert.strictEqual(submitError(box, { contests: [{ ...ballot.contests[0], proof: reencoded }] }, { voterId: 'carol' }),
+        'DUPLICATE_BALLOT');
+    assert.strictEqual(box.size, 1);
+});
+
+test('a second ballot from the same voter is refused', () => {
+    const box = new BallotBox(paillier, zkp, manifest);
+    box.submit(castBallot(0), { voterId: 'alice' });
+    assert.strictEqual(submitError(box, castBallot(1), { voterId: 'alice' }), 'DUPLICATE_VOTER');
+    assert.strictEqual(box.size, 1);
+});
+
+test('ballots with bad proofs, mismatched proofs or the wrong shape are refused', () => {
+    const box = new BallotBox(paillier, zkp, manifest);
+
+    // Two selections where the contest allows one
+    const votes = [1n, 1n, 0n, 0n, 0n];
+    const encrypted = votes.map(vote => paillier.encrypt(vote));
+    const ciphertexts = encrypted.map(e => e.ciphertext);
+    const overvote = zkp.generateVoteProof(ciphertexts, votes, encrypted.map(e => e.randomness), 2n);
+    assert.strictEqual(submitError(box, { contests: [{ contestId: contest.id, ciphertexts, proof: overvote }] }), 'INVALID_PROOF');
+
+    const [honest, other] = [castBallot(0), castBallot(1)];
+    const swapped = { contests: [{ ...honest.contests[0], proof: other.contests[0].proof }] };
+    assert.strictEqual(submitError(box, swapped), 'PROOF_MISMATCH');
+
+    assert.strictEqual(submitError(box, { contests: [] }), 'MALFORMED_BALLOT');
+    const short = { contests: [{ ...honest.contests[0], ciphertexts: honest.contests[0].ciphertexts.slice(1) }] };
+    assert.strictEqual(submitError(box, short), 'MALFORMED_BALLOT');
+    const outside = { contests: [{ ...honest.contests[0], ciphertexts: [paillier.publicKey.nSquared, ...ciphertexts.slice(1)] }] };
+    assert.strictEqual(submitError(box, outside), 'INVALID_CIPHERTEXT');
+    assert.strictEqual(box.size, 0);
+});
+
+test('the box refuses ballots beyond the election limit', () => {
+    const limited = ElectionManifest.parse({
+        electionId: manifest.electionId,
+        title: manifest.title,
+        maxBallots: 1,
+        contests: [{ id: contest.id, title: contest.title, minSelections: 1, maxSelections: 1, candidates: contest.candidates }]
+    });
+    const box = new BallotBox(paillier, zkp, limited);
+    box.submit(castBallot(0));
+    assert.strictEqual(submitError(box, castBallot(1)), 'BALLOT_BOX_FULL');
+});
+
+test('IRV rounds are blinded by two parties unless the caller names them', () => {
+    const ranked = ElectionManifest.parse({
+        electionId: 'irv-test',
+        title: 'IRV test',
+        contests: [{ id: 'chair', title: 'Chair', type: 'ranked', method: 'irv', candidates: [
+            { id: 'a', name: 'A' }, { id: 'b', name: 'B' }, { id: 'c', name: 'C' }
+        ] }]
+    });
+    const [chair] = ranked.contests;
+    const rules = ranked.proofRules(chair);
+    const box = new BallotBox(paillier, zkp, ranked);
+
+    // Rankings as candidate-by-rank bits: A > B > C, B > A > C, C > A > B, A > C > B
+    for (const ranks of [[0, 1, 2], [1, 0, 2], [1, 2, 0], [0, 2, 1]]) {
+        const votes = ranks.flatMap(rank => [0, 1, 2].map(r => (r === rank ? 1n : 0n)));
+        const encrypted = votes.map(vote => paillier.encrypt(vote));
+        const ciphertexts = encrypted.map(e => e.ciphertext);
+        const proof = zkp.generateContestProof(ciphertexts, votes, encrypted.map(e => e.randomness), rules);
+        box.submit({ contests: [{ contestId: chair.id, ciphertexts, proof }] });
+    }
+
+    const decryptor = ciphertext => paillier.decryptWithProof(ciphertext);
+    const [result] = box.tally(decryptor).contests;
+    assert.strictEqual(result.winner, 0);
+    const products = result.rounds.slice(1).flatMap(round => round.products);
+    assert.ok(products.length > 0);
+    assert.ok(products.every(step => step.blindings.length === BallotBox.DEFAULT_BLINDING_PARTIES));
+    assert.ok(box.verifyInstantRunoff(chair, box.getCiphertexts(chair.id), [1, 1, 1, 1], result,
+        (ciphertext, plaintext, proof) => paillier.verifyDecryptionProof(ciphertext, plaintext, proof, paillier.publicKey)));
+
+    assert.throws(() => box.tally(decryptor, { blindingParties: 0 }), /blindingParties must be a positive integer/);
+});
@@ -0,0 +1,38 @@
+/**
+ * Crypto worker pool tests: without workers, jobs run on the main thread, the caller
+ * hears about the fallback, and the key ceremony is refused
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BigIntUtils, CryptoWorkerPool, PaillierCryptosystem, ZKProofSystem } = require('..');
+
+const zkp = new ZKProofSystem(new PaillierCryptosystem());
+
+test('jobs run on the main thread when Worker is missing', async () => {
+    const pool = new CryptoWorkerPool(zkp);
+    assert.strictEqual(pool.usesWorkers, false);
+
+    const prime = await pool.generatePrime(64);
+    assert.strictEqual(BigIntUtils.bitLength(prime), 64);
+    assert.ok(BigIntUtils.isProbablePrime(prime));
+});
+
+test('a failed worker start is reported once and its jobs move to the main thread', async () => {
+    const failures = [];
+    const pool = new CryptoWorkerPool(zkp, { useWorkers: true, onFallback: error => failures.push(error) });
+
+    const primes = await Promise.all([pool.generatePrime(64), pool.generatePrime(64)]);
+    assert.strictEqual(primes.length, 2);
+    assert.strictEqual(pool.usesWorkers, false);
+    assert.strictEqual(failures.length, 1);
+    assert.ok(failures[0] instanceof Error);
+});
+
+test('the key ceremony is refused without workers', async () => {
+    const pool = new CryptoWorkerPool(zkp);
+    await assert.rejects(pool.runKeyCeremony({ partyCount: 3, threshold: 2, keySize: 2048 }),
+        error => error.code === 'WORKERS_UNAVAILABLE');
+    assert.strictEqual(pool.groups.size, 0);
+});
@@ -0,0 +1,64 @@
+/**
+ * Distributed key generation tests: a ceremony with no dealer yields shares that any
+ * k parties combine, no party keeps p or q, and unusable settings are refused
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BigIntUtils, DKGParty, LocalKeyCeremony, PaillierCryptosystem, ThresholdPaillier } = require('..');
+
+// A 2-of-3 ceremony on a test-size key; at full size it takes minutes
+const ceremony = new LocalKeyCeremony({ partyCount: 3, threshold: 2, keySize: PaillierCryptosystem.TEST_KEY_SIZE });
+const results = PaillierCryptosystem.withTestKeySizes(() => ceremony.run());
+const { public: publicKey, params } = results[0];
+const shares = results.map(result => result.share);
+
+const threshold = new ThresholdPaillier(null);
+PaillierCryptosystem.withTestKeySizes(() => threshold.loadKeys(publicKey, params));
+
+function encrypt(value) {
+    const { n, g, nSquared } = publicKey;
+    const r = BigIntUtils.randomUnit(n);
+    return (BigIntUtils.modPow(g, value, nSquared) * BigIntUtils.modPow(r, n, nSquared)) % nSquared;
+}
+
+test('the ceremony yields a key of the requested size that every party agrees on', () => {
+    assert.strictEqual(BigIntUtils.bitLength(publicKey.n), PaillierCryptosystem.TEST_KEY_SIZE);
+    assert.strictEqual(params.threshold, 2);
+    assert.strictEqual(params.shareCount, 3);
+    for (const result of results) {
+        assert.strictEqual(result.public.n, publicKey.n);
+    }
+    assert.ok(ceremony.stats.attempts >= 1);
+});
+
+test('no party keeps its shares of p and q', () => {
+    for (const party of ceremony.parties) {
+        assert.strictEqual(party.candidate, null);
+    }
+});
+
+test('any 2 of the 3 generated shares decrypt', () => {
+    const ciphertext = encrypt(42n);
+    for (const subset of [[0, 1], [1, 2], [2, 0]]) {
+        assert.strictEqual(threshold.decryptWithShares(ciphertext, subset.map(i => shares[i])), 42n);
+    }
+});
+
+test('the partial decryptions prove the plaintext, and one share cannot decrypt', () => {
+    const ciphertext = encrypt(7n);
+    const { plaintext, proof } = threshold.decryptWithProof(ciphertext, [shares[2], shares[0]]);
+    assert.strictEqual(plaintext, 7n);
+    assert.ok(threshold.verifyDecryptionProof(ciphertext, plaintext, proof));
+    assert.throws(() => threshold.decryptWithShares(ciphertext, [shares[1]]));
+});
+
+test('parties refuse fewer than 3 parties, a threshold outside 2 to the party count or a key below the floor', () => {
+    assert.throws(() => new DKGParty(1, { partyCount: 2, threshold: 2, keySize: 2048 }), /at least 3 parties/);
+    assert.throws(() => new DKGParty(1, { partyCount: 3, threshold: 4, keySize: 2048 }), /Threshold/);
+    assert.throws(() => new DKGParty(1, { partyCount: 3, threshold: 1, keySize: 2048 }), /2 <= k/);
+    assert.throws(() => new LocalKeyCeremony({ partyCount: 3, threshold: 1, keySize: 2048 }).run(), /2 <= k/);
+    assert.throws(() => new DKGParty(4, { partyCount: 3, threshold: 2, keySize: 2048 }), /between 1 and 3/);
+    assert.throws(() => new DKGParty(1, { partyCount: 3, threshold: 2, keySize: 1024 }), /at least 2048/);
+});
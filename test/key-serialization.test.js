@@ -0,0 +1,117 @@
+/**
+ * Key file tests: keys round-trip through JSON, PEM and password-encrypted files, and
+ * altered or malformed key files and wrong passwords are refused
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { KeySerializer, PaillierCryptosystem } = require('..');
+
+// A test-size key keeps the suite quick
+const paillier = new PaillierCryptosystem();
+paillier.keySize = 1024;
+PaillierCryptosystem.withTestKeySizes(() => paillier.generateKeys());
+const { publicKey, privateKey } = paillier;
+
+function toBase64Url(value) {
+    const hex = value.toString(16);
+    return Buffer.from(hex.length % 2 ? '0' + hex : hex, 'hex').toString('base64url');
+}
+
+function assertSameKeys(keys, withPrivateKey) {
+    assert.strictEqual(keys.publicKey.n, publicKey.n);
+    assert.strictEqual(keys.publicKey.g, publicKey.g);
+    assert.strictEqual(keys.publicKey.nSquared, publicKey.nSquared);
+    assert.strictEqual(keys.kid, KeySerializer.keyId(publicKey));
+    if (!withPrivateKey) {
+        assert.strictEqual(keys.privateKey, null);
+        return;
+    }
+    for (const member of ['lambda', 'mu', 'n', 'p', 'q']) {
+        assert.strictEqual(keys.privateKey[member], privateKey[member]);
+    }
+}
+
+test('public and private keys round-trip through JSON and PEM', () => {
+    assertSameKeys(KeySerializer.importKey(JSON.stringify(KeySerializer.publicKeyToJwk(publicKey))), false);
+    assertSameKeys(KeySerializer.importKey(JSON.stringify(KeySerializer.privateKeyToJwk(publicKey, privateKey))), true);
+    assertSameKeys(KeySerializer.importKey(KeySerializer.publicKeyToPem(publicKey)), false);
+    assertSameKeys(KeySerializer.importKey(KeySerializer.privateKeyToPem(publicKey, privateKey)), true);
+});
+
+test('a private key without p and q round-trips too', () => {
+    const { lambda, mu, n } = privateKey;
+    const keys = KeySerializer.importKey(KeySerializer.privateKeyToPem(publicKey, { lambda, mu, n }));
+    assert.deepStrictEqual(keys.privateKey, { lambda, mu, n });
+});
+
+test('a reloaded private key decrypts what the original key encrypted', () => {
+    const reloaded = KeySerializer.importKey(KeySerializer.privateKeyToPem(publicKey, privateKey));
+    const system = new PaillierCryptosystem();
+    PaillierCryptosystem.withTestKeySizes(() => system.loadKeys(reloaded.publicKey, reloaded.privateKey));
+    assert.strictEqual(system.decrypt(paillier.encrypt(7n).ciphertext), 7n);
+});
+
+test('the key id is the thumbprint of n and g', () => {
+    const kid = KeySerializer.keyId(publicKey);
+    assert.match(kid, /^[A-Za-z0-9_-]{43}$/);
+    assert.strictEqual(KeySerializer.publicKeyToJwk(publicKey).kid, kid);
+    assert.notStrictEqual(KeySerializer.keyId({ n: publicKey.n, g: publicKey.g + 1n }), kid);
+});
+
+test('altered, truncated and mislabeled key files are refused', () => {
+    const jwk = KeySerializer.publicKeyToJwk(publicKey);
+    const der = KeySerializer.publicKeyToDer(publicKey);
+    const pem = KeySerializer.publicKeyToPem(publicKey);
+
+    assert.throws(() => KeySerializer.fromJwk({ ...jwk, g: toBase64Url(publicKey.g + 1n) }), /kid/);
+    assert.throws(() => KeySerializer.fromJwk({ ...jwk, kty: 'RSA' }), /"kty"/);
+    assert.throws(() => KeySerializer.fromJwk({ ...jwk, n: 'AAAA' + jwk.n }), /leading zero bytes/);
+    assert.throws(() => KeySerializer.fromJwk('{"kty":'), /not valid JSON/);
+    assert.throws(() => KeySerializer.fromDer(der.subarray(0, der.length - 1), 'public'), /truncated/);
+    assert.throws(() => KeySerializer.fromDer(Uint8Array.of(...der, 0), 'public'), /single SEQUENCE/);
+    assert.throws(() => KeySerializer.fromDer(der, 'private'), /5 or 7 integers/);
+    assert.throws(() => KeySerializer.fromPem(pem.replace(/PUBLIC/g, 'SECRET')), /Unsupported PEM block/);
+    assert.throws(() => KeySerializer.importKey('not a key'), /not valid JSON/);
+});
+
+// Few PBKDF2 iterations keep the tests quick; the format is the same
+const ITERATIONS = 1000;
+
+async function rejectsWith(file, password, code) {
+    await assert.rejects(KeySerializer.decryptPrivateKey(file, password), error => error.code === code);
+}
+
+test('an encrypted key file decrypts to the key with its password', async () => {
+    const file = await KeySerializer.encryptPrivateKey(publicKey, privateKey, 'correct horse', { iterations: ITERATIONS });
+    assert.strictEqual(file.kid, KeySerializer.keyId(publicKey));
+    assert.strictEqual(file.version, KeySerializer.KEY_FILE_VERSION);
+    assert.strictEqual(file.kdf.iterations, ITERATIONS);
+    assert.ok(!JSON.stringify(file).includes(toBase64Url(privateKey.lambda)));
+
+    assertSameKeys(await KeySerializer.decryptPrivateKey(JSON.stringify(file), 'correct horse'), true);
+});
+
+test('a wrong password is told apart from an altered file', async () => {
+    const file = await KeySerializer.encryptPrivateKey(publicKey, privateKey, 'correct horse', { iterations: ITERATIONS });
+    const flipped = Buffer.from(file.ciphertext, 'base64url');
+    flipped[10] ^= 1;
+
+    await rejectsWith(file, 'wrong horse', 'WRONG_PASSWORD');
+    await rejectsWith({ ...file, kdf: { ...file.kdf, iterations: ITERATIONS + 1 } }, 'correct horse', 'WRONG_PASSWORD');
+    await rejectsWith({ ...file, ciphertext: flipped.toString('base64url') }, 'correct horse', 'TAMPERED_KEY_FILE');
+    await rejectsWith({ ...file, kid: KeySerializer.keyId({ n: publicKey.n, g: publicKey.g + 1n }) }, 'correct horse',
+        'TAMPERED_KEY_FILE');
+});
+
+test('unknown versions and malformed key files are refused with their own codes', async () => {
+    const file = await KeySerializer.encryptPrivateKey(publicKey, privateKey, 'correct horse', { iterations: ITERATIONS });
+
+    await rejectsWith({ ...file, version: 2 }, 'correct horse', 'UNSUPPORTED_KEY_FILE_VERSION');
+    await rejectsWith({ ...file, cipher: { name: 'AES-CBC', iv: file.cipher.iv } }, 'correct horse', 'MALFORMED_KEY_FILE');
+    await rejectsWith({ ...file, kdf: { ...file.kdf, salt: 'AAAA' } }, 'correct horse', 'MALFORMED_KEY_FILE');
+    await rejectsWith({ ...file, format: 'other' }, 'correct horse', 'MALFORMED_KEY_FILE');
+    await rejectsWith('{', 'correct horse', 'MALFORMED_KEY_FILE');
+    await assert.rejects(KeySerializer.encryptPrivateKey(publicKey, privateKey, ''), /password is required/);
+});
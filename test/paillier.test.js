@@ -0,0 +1,244 @@
+/**
+ * Paillier tests: encryption is additively homomorphic, tallies decrypt only aggregates
+ * and prove their totals, CRT decryption agrees with the λ, μ formula, pooled randomness
+ * is used once, and malformed, weak or undersized keys are refused
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BigIntUtils, PaillierCryptosystem } = require('..');
+
+// A test-size key keeps the suite quick; outside withTestKeySizes it is refused (tested below)
+const paillier = new PaillierCryptosystem();
+paillier.keySize = 1024;
+PaillierCryptosystem.withTestKeySizes(() => paillier.generateKeys());
+const { n } = paillier.publicKey;
+
+test('encryption round-trips and adds homomorphically', () => {
+    for (const value of [0n, 1n, 42n, n - 1n]) {
+        assert.strictEqual(paillier.decrypt(paillier.encrypt(value).ciphertext), value);
+    }
+    assert.throws(() => paillier.encrypt(n), /range/);
+
+    const five = paillier.encrypt(5n).ciphertext;
+    const seven = paillier.encrypt(7n).ciphertext;
+    assert.strictEqual(paillier.decrypt(paillier.addCiphertexts(five, seven)), 12n);
+    assert.strictEqual(paillier.decrypt(paillier.scalarMultiply(five, 3n)), 15n);
+    assert.strictEqual(paillier.decrypt(paillier.sumCiphertexts([five, seven, five])), 17n);
+});
+
+function encryptBallots(ballots) {
+    return ballots.map(ballot => ballot.map(vote => paillier.encrypt(vote).ciphertext));
+}
+
+test('a tally decrypts the per-candidate aggregates of all ballots', () => {
+    const ballots = encryptBallots([[1n, 0n, 0n], [0n, 1n, 0n], [1n, 0n, 0n]]);
+    const { ballotCount, aggregates, totals } = paillier.tallyBallots(ballots);
+    assert.strictEqual(ballotCount, 3);
+    assert.deepStrictEqual(totals, [2n, 1n, 0n]);
+    assert.deepStrictEqual(aggregates, paillier.aggregateBallots(ballots));
+    assert.throws(() => paillier.aggregateBallots([[1n, 2n], [3n]]), /same number of candidates/);
+});
+
+test('a single ballot is only decrypted in audit mode', () => {
+    const [ballot] = encryptBallots([[0n, 1n, 0n]]);
+    assert.throws(() => paillier.tallyBallots([ballot]), /audit mode/);
+    assert.throws(() => paillier.decryptBallotCiphertext(ballot[1]), /audit mode/);
+
+    paillier.auditMode = true;
+    try {
+        assert.deepStrictEqual(paillier.tallyBallots([ballot]).totals, [0n, 1n, 0n]);
+        assert.strictEqual(paillier.decryptBallotCiphertext(ballot[1]), 1n);
+    } finally {
+        paillier.auditMode = false;
+    }
+});
+
+test('published totals carry decryption proofs that verify with the public key alone', () => {
+    const ballots = encryptBallots([[1n, 0n], [1n, 0n], [0n, 1n]]);
+    const { aggregates, totals, proofs } = paillier.tallyBallots(ballots);
+
+    const verifier = new PaillierCryptosystem();
+    PaillierCryptosystem.withTestKeySizes(() => verifier.loadKeys(paillier.publicKey));
+    aggregates.forEach((aggregate, i) => assert.ok(verifier.verifyDecryptionProof(aggregate, totals[i], proofs[i])));
+    assert.strictEqual(verifier.verifyDecryptionProof(aggregates[0], totals[0] + 1n, proofs[0]), false);
+    assert.strictEqual(verifier.verifyDecryptionProof(aggregates[1], totals[1], proofs[0]), false);
+    assert.strictEqual(verifier.verifyDecryptionProof(aggregates[0], totals[0], { type: 'randomness', randomness: n }), false);
+});
+
+test('a decryption proof cannot be made for a wrong plaintext, with or without p and q', () => {
+    const { ciphertext } = paillier.encrypt(5n);
+    assert.throws(() => paillier.proveDecryption(ciphertext, 6n), /does not decrypt/);
+
+    const { lambda, mu } = paillier.privateKey;
+    const proof = paillier.proveDecryption(ciphertext, 5n, { lambda, mu, n });
+    assert.ok(paillier.verifyDecryptionProof(ciphertext, 5n, proof));
+    assert.throws(() => paillier.proveDecryption(ciphertext, 6n, { lambda, mu, n }), /does not decrypt/);
+});
+
+test('CRT decryption agrees with λ, μ decryption, including at the ends of [0, n)', () => {
+    const { lambda, mu } = paillier.privateKey;
+    for (const value of [0n, 1n, 2n ** 64n + 3n, n - 1n]) {
+        const { ciphertext } = paillier.encrypt(value);
+        assert.strictEqual(paillier.decryptCrt(ciphertext), value);
+        assert.strictEqual(paillier.decrypt(ciphertext, { lambda, mu, n }), value);
+    }
+});
+
+test('keys without p and q decrypt with λ and μ, and refuse CRT decryption', () => {
+    const plain = new PaillierCryptosystem();
+    plain.retainFactors = false;
+    const { p, q } = paillier.privateKey;
+    PaillierCryptosystem.withTestKeySizes(() => plain.keysFromPrimes(p, q));
+    assert.strictEqual(plain.privateKey.p, undefined);
+
+    const { ciphertext } = plain.encrypt(42n);
+    assert.strictEqual(plain.decrypt(ciphertext), 42n);
+    assert.throws(() => plain.decryptCrt(ciphertext), /retains p and q/);
+});
+
+test('loaded keys with p and q decrypt through the CRT', () => {
+    const loaded = new PaillierCryptosystem();
+    const { lambda, mu, p, q } = paillier.privateKey;
+    PaillierCryptosystem.withTestKeySizes(() => loaded.loadKeys(paillier.publicKey, { lambda, mu, n, p, q }));
+    assert.strictEqual(loaded.privateKey.qInverse, paillier.privateKey.qInverse);
+    assert.strictEqual(loaded.decryptCrt(paillier.encrypt(9n).ciphertext), 9n);
+});
+
+test('encryption draws each pooled pair exactly once, then falls back to fresh randomness', () => {
+    const pool = paillier.precomputeRandomness(3);
+    const pooled = [...pool.pairs];
+    const encryptions = [3n, 4n, 5n].map(value => paillier.encrypt(value));
+
+    assert.strictEqual(pool.size, 0);
+    assert.deepStrictEqual(encryptions.map(e => e.randomness).sort(), pooled.map(pair => pair.r).sort());
+    encryptions.forEach(({ ciphertext }, i) => assert.strictEqual(paillier.decrypt(ciphertext), BigInt(3 + i)));
+
+    const fresh = paillier.encrypt(6n);
+    assert.ok(!pooled.some(pair => pair.r === fresh.randomness));
+    assert.strictEqual(paillier.decrypt(fresh.ciphertext), 6n);
+    paillier.discardRandomnessPool();
+});
+
+test('the pool refuses a spent pair, pairs that are not units below n and a wrong r^n', () => {
+    const pool = paillier.precomputeRandomness(1);
+    const [spent] = pool.pairs;
+    paillier.encrypt(1n);
+    assert.throws(() => pool.add([spent]), /already added/);
+    assert.throws(() => pool.add([{ r: n, rn: spent.rn }]), /Invalid randomness pair/);
+    assert.throws(() => pool.add([{ r: 0n, rn: spent.rn }]), /Invalid randomness pair/);
+
+    const r = BigIntUtils.randomUnit(n);
+    assert.throws(() => pool.add([{ r, rn: spent.rn }]), /rn is not r\^n/);
+    assert.strictEqual(pool.size, 0);
+    assert.strictEqual(pool.add([{ r, rn: paillier.powN(r) }]), 1);
+    paillier.discardRandomnessPool();
+});
+
+test('a pool is only used for its own key and is dropped when the keys change', () => {
+    const other = new PaillierCryptosystem();
+    other.keySize = 1024;
+    PaillierCryptosystem.withTestKeySizes(() => other.generateKeys());
+
+    const pool = paillier.precomputeRandomness(2);
+    const { randomness } = paillier.encrypt(1n, other.publicKey);
+    assert.strictEqual(pool.size, 2);
+    assert.ok(!pool.pairs.some(pair => pair.r === randomness));
+
+    const { p, q } = other.privateKey;
+    const switched = new PaillierCryptosystem();
+    switched.randomnessPool = pool;
+    PaillierCryptosystem.withTestKeySizes(() => switched.keysFromPrimes(p, q));
+    assert.strictEqual(switched.randomnessPool, null);
+    assert.strictEqual(pool.size, 0);
+});
+
+test('a background fill reports progress and stops when the pool is discarded', async () => {
+    const progress = [];
+    const size = await paillier.precomputeRandomness(3, true, (done, count) => progress.push([done, count]));
+    assert.strictEqual(size, 3);
+    assert.deepStrictEqual(progress, [[1, 3], [2, 3], [3, 3]]);
+
+    const filling = paillier.precomputeRandomness(50, true);
+    paillier.discardRandomnessPool();
+    assert.ok(await filling < 50);
+});
+
+test('key validation accepts the generated key and rejects malformed or weak variants', () => {
+    const { g, nSquared } = paillier.publicKey;
+    const weakKeys = [
+        [{ n: n + 1n, g, nSquared: (n + 1n) ** 2n }, /odd modulus/],
+        [{ n, g, nSquared: nSquared + 2n }, /not n²/],
+        [{ n, g: 1n, nSquared }, /1 \+ kn/],                                     // g of order 1
+        [{ n, g: 1n + n * n, nSquared }, /1 \+ kn/],                             // g outside Z_{n²}
+        [{ n, g: BigIntUtils.modPow(2n, n, nSquared), nSquared }, /1 \+ kn/],    // g = 2^n, an n-th residue
+        [{ n: 3n * n, g: 3n * n + 1n, nSquared: 9n * nSquared }, /small or repeated factor/],
+        [{ n: n.toString(), g, nSquared }, /must be integers/]
+    ];
+
+    PaillierCryptosystem.withTestKeySizes(() => {
+        assert.strictEqual(PaillierCryptosystem.validatePublicKey(paillier.publicKey, 1024), paillier.publicKey);
+        for (const [weakKey, message] of weakKeys) {
+            assert.throws(() => PaillierCryptosystem.validatePublicKey(weakKey), message);
+        }
+        assert.throws(() => PaillierCryptosystem.validatePublicKey(paillier.publicKey, 1025), /at least 1025/);
+    });
+});
+
+test('primes close together or with gcd(n, φ(n)) ≠ 1 make no key', () => {
+    const { p } = paillier.privateKey;
+    let nearP = p + 2n;
+    while (!BigIntUtils.isProbablePrime(nearP)) {
+        nearP += 2n;
+    }
+
+    const system = new PaillierCryptosystem();
+    PaillierCryptosystem.withTestKeySizes(() => {
+        assert.throws(() => system.keysFromPrimes(p, nearP), /far apart/);
+        assert.throws(() => system.keysFromPrimes(3n, 7n));
+    });
+    assert.strictEqual(system.publicKey, null);
+});
+
+test('keys below 2048 bits are refused outside withTestKeySizes', () => {
+    assert.strictEqual(PaillierCryptosystem.MIN_KEY_SIZE, 2048);
+    assert.doesNotThrow(() => PaillierCryptosystem.checkKeySize(2048));
+    for (const keySize of [1024, 2047, 2049, '2048']) {
+        assert.throws(() => PaillierCryptosystem.checkKeySize(keySize), /at least 2048/);
+    }
+
+    const system = new PaillierCryptosystem();
+    system.keySize = 1024;
+    assert.throws(() => system.generateKeys(), /at least 2048/);
+    assert.throws(() => system.loadKeys(paillier.publicKey), /at least 2048/);
+    assert.throws(() => PaillierCryptosystem.validatePublicKey(paillier.publicKey), /at least 2048/);
+    const { p, q } = paillier.privateKey;
+    assert.throws(() => system.keysFromPrimes(p, q), /at least 2048/);
+});
+
+test('withTestKeySizes lowers the floor to TEST_KEY_SIZE only while its function runs', () => {
+    assert.strictEqual(PaillierCryptosystem.withTestKeySizes(() => {
+        PaillierCryptosystem.checkKeySize(PaillierCryptosystem.TEST_KEY_SIZE);
+        return 'done';
+    }), 'done');
+    assert.throws(() => PaillierCryptosystem.withTestKeySizes(() => PaillierCryptosystem.checkKeySize(256)), /at least 512/);
+    assert.throws(() => PaillierCryptosystem.withTestKeySizes(() => {
+        throw new Error('test failed');
+    }), /test failed/);
+    assert.throws(() => PaillierCryptosystem.checkKeySize(PaillierCryptosystem.TEST_KEY_SIZE), /at least 2048/);
+});
+
+test('a private key that does not match the public key, or has only one of p and q, is not loaded', () => {
+    const { lambda, mu, p, q } = paillier.privateKey;
+    const system = new PaillierCryptosystem();
+    PaillierCryptosystem.withTestKeySizes(() => {
+        assert.throws(() => system.loadKeys(paillier.publicKey, { lambda, mu, n: n + 2n }), /does not belong/);
+        assert.throws(() => system.loadKeys(paillier.publicKey, { lambda, mu: mu + 1n, n }), /λ and μ/);
+        assert.throws(() => system.loadKeys(paillier.publicKey, { lambda, mu, n, p: q, q: p + 2n }), /factors/);
+        assert.throws(() => system.loadKeys(paillier.publicKey, { lambda, mu, n, p }), /factors do not match/);
+        assert.throws(() => system.loadKeys(paillier.publicKey, { lambda, mu, n, q }), /factors do not match/);
+        assert.throws(() => system.loadKeys(paillier.publicKey, { lambda, mu, n, p: p.toString(), q }), /factors do not match/);
+    });
+    assert.strictEqual(system.publicKey, null);
+});
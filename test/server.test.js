@@ -0,0 +1,144 @@
+/**
+ * Reference backend tests: verified ballots are stored and survive a restart; replays,
+ * duplicate voters, foreign keys and bad proofs are refused
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ElectionManifest, PaillierCryptosystem, ZKProofSystem } = require('..');
+const { createServer } = require('../server/server');
+const { BallotStore } = require('../server/ballot-store');
+
+// The server refuses keys below MIN_KEY_SIZE, so the election key has the full size
+const paillier = new PaillierCryptosystem();
+paillier.generateKeys();
+const manifest = ElectionManifest.fromDefault();
+
+/**
+ * A ballot for the built-in manifest (five candidates, pick one), as prepareVotePayload() builds it
+ */
+function castBallot(voterId, choice, system = paillier) {
+    const [contest] = manifest.contests;
+    return castVotes(voterId, contest.candidates.map((candidate, i) => (i === choice ? 1n : 0n)), system);
+}
+
+/**
+ * A ballot with any votes, its sum proof made for the sum they really have
+ */
+function castVotes(voterId, votes, system = paillier) {
+    const [contest] = manifest.contests;
+    const encrypted = votes.map(vote => system.encrypt(vote));
+    const ciphertexts = encrypted.map(e => e.ciphertext);
+    const sum = votes.reduce((total, vote) => total + vote, 0n);
+    const voteProof = new ZKProofSystem(system).generateVoteProof(ciphertexts, votes, encrypted.map(e => e.randomness), sum);
+
+    return {
+        voterId,
+        publicKey: {
+            n: system.publicKey.n.toString(),
+            g: system.publicKey.g.toString(),
+            nSquared: system.publicKey.nSquared.toString()
+        },
+        electionId: manifest.electionId,
+        contests: [{
+            contestId: contest.id,
+            encryptedVotes: contest.candidates.map((candidate, i) => ({
+                candidateId: candidate.id,
+                ciphertext: ciphertexts[i].toString()
+            })),
+            zkpProofs: JSON.parse(JSON.stringify(ZKProofSystem.serializeVoteProof(voteProof)))
+        }]
+    };
+}
+
+/**
+ * Serve a ballot store in dataDir (a fresh directory by default) on a free port
+ */
+async function startServer(t, dataDir = null) {
+    if (!dataDir) {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ballots-'));
+        t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    }
+    const store = await new BallotStore(dataDir).open();
+    const server = createServer(store, manifest, { electionKey: paillier.publicKey });
+    // Key generation between requests can outlast the idle timeout and race a reused connection
+    server.keepAliveTimeout = 0;
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+    const post = async payload => {
+        const response = await fetch(`${baseUrl}/vote`, {
+            method: 'POST',
+            body: typeof payload === 'string' ? payload : JSON.stringify(payload)
+        });
+        const body = await response.json();
+        return { status: response.status, code: body.error ? body.error.code : null };
+    };
+    const get = async route => (await fetch(`${baseUrl}/${route}`)).json();
+    return { store, dataDir, post, get };
+}
+
+test('a zero-padded replay of an accepted ballot is refused as a duplicate', async t => {
+    const { store, post } = await startServer(t);
+    const ballot = castBallot('voter-1', 2);
+    assert.deepStrictEqual(await post(ballot), { status: 201, code: null });
+
+    // Leading zeros leave every ciphertext's value, and so its proofs, unchanged
+    const padded = JSON.parse(JSON.stringify(ballot));
+    padded.voterId = 'voter-2';
+    for (const vote of padded.contests[0].encryptedVotes) {
+        vote.ciphertext = '0' + vote.ciphertext;
+    }
+    assert.deepStrictEqual(await post(padded), { status: 409, code: 'DUPLICATE_BALLOT' });
+    assert.strictEqual(store.records.length, 1);
+});
+
+test('accepted ballots are listed and still refuse replays after a restart', async t => {
+    const first = await startServer(t);
+    const ballot = castBallot('voter-1', 0);
+    assert.deepStrictEqual(await first.post(ballot), { status: 201, code: null });
+
+    const { ballots } = await first.get('ballots');
+    assert.strictEqual(ballots.length, 1);
+    assert.strictEqual(ballots[0].position, 1);
+
+    const restarted = await startServer(t, first.dataDir);
+    assert.strictEqual(restarted.store.records.length, 1);
+    assert.deepStrictEqual(await restarted.post({ ...ballot, voterId: 'voter-2' }), { status: 409, code: 'DUPLICATE_BALLOT' });
+    assert.deepStrictEqual(await restarted.post(castBallot('voter-1', 1)), { status: 409, code: 'DUPLICATE_VOTER' });
+    assert.deepStrictEqual(await restarted.get('health'), { status: 'ok', ballotCount: 1 });
+});
+
+test('two ballots from the same voter sent at once are stored only once', async t => {
+    const { store, post } = await startServer(t);
+    const results = await Promise.all([post(castBallot('voter-1', 0)), post(castBallot('voter-1', 3))]);
+    assert.deepStrictEqual(results.map(result => result.code).sort(), ['DUPLICATE_VOTER', null]);
+    assert.strictEqual(store.records.length, 1);
+});
+
+test('ballots under another key, with bad proofs, or malformed ones are refused', async t => {
+    const { store, post } = await startServer(t);
+
+    const attacker = new PaillierCryptosystem();
+    attacker.generateKeys();
+    assert.deepStrictEqual(await post(castBallot('voter-1', 0, attacker)), { status: 400, code: 'WRONG_ELECTION_KEY' });
+
+    // Two selections where the contest allows one
+    assert.deepStrictEqual(await post(castVotes('voter-2', [1n, 1n, 0n, 0n, 0n])), { status: 422, code: 'INVALID_PROOF' });
+
+    // A proof for another ballot's ciphertexts does not cover this one
+    const ballot = castBallot('voter-2', 0);
+    const other = castBallot('voter-2', 1);
+    ballot.contests[0].zkpProofs = other.contests[0].zkpProofs;
+    assert.deepStrictEqual(await post(ballot), { status: 400, code: 'PROOF_MISMATCH' });
+
+    assert.deepStrictEqual(await post({ ...castBallot('voter-3', 0), electionId: 'other' }), { status: 400, code: 'ELECTION_MISMATCH' });
+    assert.deepStrictEqual(await post({ ...castBallot('voter-3', 0), voterId: '' }), { status: 400, code: 'MALFORMED_BALLOT' });
+    assert.deepStrictEqual(await post('{"voterId":'), { status: 400, code: 'INVALID_JSON' });
+    assert.strictEqual(store.records.length, 0);
+});
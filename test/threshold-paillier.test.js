@@ -0,0 +1,80 @@
+/**
+ * Threshold decryption tests: any k of n trustees decrypt, their partial decryptions
+ * prove the result, and wrong shares or too few trustees do not decrypt
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BigIntUtils, PaillierCryptosystem, ThresholdPaillier } = require('..');
+
+// A 3-of-5 dealer key of test size; safe primes of full size take minutes to find
+const paillier = new PaillierCryptosystem();
+const threshold = new ThresholdPaillier(paillier);
+threshold.keySize = PaillierCryptosystem.TEST_KEY_SIZE;
+const { shares } = PaillierCryptosystem.withTestKeySizes(() => threshold.generateKeys(3, 5));
+
+function encrypt(value) {
+    return paillier.encrypt(value).ciphertext;
+}
+
+test('any 3 of the 5 trustees decrypt', () => {
+    const ciphertext = encrypt(42n);
+    for (const subset of [[0, 1, 2], [1, 3, 4], [4, 2, 0]]) {
+        assert.strictEqual(threshold.decryptWithShares(ciphertext, subset.map(i => shares[i])), 42n);
+    }
+});
+
+test('homomorphic sums decrypt with trustee shares', () => {
+    const sum = paillier.addCiphertexts(encrypt(5n), encrypt(7n));
+    assert.strictEqual(threshold.decryptWithShares(sum, shares.slice(0, 3)), 12n);
+});
+
+test('the partial decryptions prove the plaintext and reject a wrong one', () => {
+    const ciphertext = encrypt(12n);
+    const { plaintext, proof } = threshold.decryptWithProof(ciphertext, shares.slice(2, 5));
+    assert.strictEqual(plaintext, 12n);
+    assert.ok(threshold.verifyDecryptionProof(ciphertext, plaintext, proof));
+    assert.strictEqual(threshold.verifyDecryptionProof(ciphertext, plaintext + 1n, proof), false);
+});
+
+test('a partial decryption with the wrong share fails its proof', () => {
+    const ciphertext = encrypt(42n);
+    assert.ok(threshold.verifyPartialDecryption(ciphertext, threshold.partialDecrypt(ciphertext, shares[0])));
+
+    const forged = threshold.partialDecrypt(ciphertext, { index: 1, share: shares[1].share });
+    assert.strictEqual(threshold.verifyPartialDecryption(ciphertext, forged), false);
+});
+
+test('fewer than 3 trustees cannot decrypt', () => {
+    assert.throws(() => threshold.decryptWithShares(encrypt(42n), shares.slice(0, 2)), /Need 3 valid partial decryptions/);
+});
+
+test('rejected partial decryptions are skipped and reported to the caller', () => {
+    const ciphertext = encrypt(42n);
+    const partials = shares.map(share => threshold.partialDecrypt(ciphertext, share));
+    partials[1] = threshold.partialDecrypt(ciphertext, { index: 2, share: shares[0].share });
+
+    assert.deepStrictEqual(threshold.checkPartialDecryptions(ciphertext, partials).rejected, [2]);
+    assert.strictEqual(threshold.combinePartialDecryptions(ciphertext, partials), 42n);
+    assert.deepStrictEqual(threshold.decryptWithProof(ciphertext, shares).rejected, []);
+
+    assert.throws(() => threshold.combinePartialDecryptions(ciphertext, partials.slice(0, 3)),
+        error => error.code === 'NOT_ENOUGH_PARTIALS' && error.rejected.length === 1 && error.rejected[0] === 2);
+});
+
+test('keys are refused for a threshold outside 1 to the share count or below the size floor', () => {
+    const dealer = new ThresholdPaillier(null);
+    dealer.keySize = PaillierCryptosystem.TEST_KEY_SIZE;
+    assert.throws(() => PaillierCryptosystem.withTestKeySizes(() => dealer.generateKeys(4, 3)), /1 <= k <= n/);
+    assert.throws(() => dealer.generateKeys(2, 3), /at least 2048/);
+});
+
+test('loaded threshold keys decrypt with the dealt shares', () => {
+    const loaded = new ThresholdPaillier(null);
+    PaillierCryptosystem.withTestKeySizes(() => loaded.loadKeys(threshold.publicKey, threshold.params));
+    const { n, g, nSquared } = threshold.publicKey;
+    const r = BigIntUtils.randomUnit(n);
+    const ciphertext = (BigIntUtils.modPow(g, 9n, nSquared) * BigIntUtils.modPow(r, n, nSquared)) % nSquared;
+    assert.strictEqual(loaded.decryptWithShares(ciphertext, shares.slice(1, 4)), 9n);
+});
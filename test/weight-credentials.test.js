@@ -0,0 +1,61 @@
+/**
+ * Weight credential tests: signed weights verify, altered ones do not, and the
+ * authority's key follows the same size floor as Paillier keys
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { PaillierCryptosystem, WeightAuthority } = require('..');
+
+// A test-size signing key keeps the suite quick
+const authority = new WeightAuthority();
+authority.keySize = PaillierCryptosystem.TEST_KEY_SIZE;
+PaillierCryptosystem.withTestKeySizes(() => authority.generateKeys());
+const credential = authority.issueCredential('agm-2025', 'alice', 250);
+
+test('an issued credential verifies with the public key', () => {
+    const { signature, ...fields } = credential;
+    assert.deepStrictEqual(fields, { electionId: 'agm-2025', voterId: 'alice', weight: 250 });
+    assert.strictEqual(typeof signature, 'bigint');
+    assert.ok(WeightAuthority.verifyCredential(credential, authority.publicKey));
+});
+
+test('altered weights, voters, elections or signatures are rejected', () => {
+    const { n } = authority.publicKey;
+    const forgeries = [
+        { ...credential, weight: 2500 },
+        { ...credential, voterId: 'bob' },
+        { ...credential, electionId: 'other' },
+        { ...credential, signature: credential.signature + 1n },
+        { ...credential, signature: credential.signature + n },
+        { ...credential, signature: credential.signature.toString() },
+        { ...credential, weight: 0 },
+        null
+    ];
+    for (const forged of forgeries) {
+        assert.strictEqual(WeightAuthority.verifyCredential(forged, authority.publicKey), false);
+    }
+});
+
+test('a credential only verifies under the key that signed it', () => {
+    const other = new WeightAuthority();
+    other.keySize = PaillierCryptosystem.TEST_KEY_SIZE;
+    PaillierCryptosystem.withTestKeySizes(() => other.generateKeys());
+    assert.strictEqual(WeightAuthority.verifyCredential(credential, other.publicKey), false);
+});
+
+test('weights must be positive integers, and issuing needs a key', () => {
+    for (const weight of [0, -1, 1.5, '2', Number.MAX_SAFE_INTEGER + 1]) {
+        assert.throws(() => authority.issueCredential('agm-2025', 'alice', weight), /positive integer/);
+    }
+    assert.throws(() => new WeightAuthority().issueCredential('agm-2025', 'alice', 1), /No weight authority key/);
+});
+
+test('the signing key is 2048 bits by default and test sizes are refused outside withTestKeySizes', () => {
+    const fresh = new WeightAuthority();
+    assert.strictEqual(fresh.keySize, 2048);
+    fresh.keySize = 1024;
+    assert.throws(() => fresh.generateKeys(), /at least 2048/);
+    assert.strictEqual(fresh.publicKey, null);
+});
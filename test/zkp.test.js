@@ -0,0 +1,188 @@
+/**
+ * Zero-knowledge proof tests: honest proofs verify, forged and tampered ones do not
+ * Run with `npm test` (node --test); the UI's self-test only runs a quick smoke check
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { BigIntUtils, PaillierCryptosystem, ZKProofSystem } = require('..');
+
+const { DOMAINS, PROOF_VERSION, CHALLENGE_BITS } = ZKProofSystem;
+
+// A test-size key keeps the suite quick; proofs do not depend on the key size
+const paillier = new PaillierCryptosystem();
+paillier.keySize = 1024;
+PaillierCryptosystem.withTestKeySizes(() => paillier.generateKeys());
+const zkp = new ZKProofSystem(paillier);
+const { n, nSquared } = paillier.publicKey;
+
+function encryptAll(values) {
+    const encrypted = values.map(value => paillier.encrypt(value));
+    return {
+        ciphertexts: encrypted.map(e => e.ciphertext),
+        randomnesses: encrypted.map(e => e.randomness)
+    };
+}
+
+function product(values) {
+    return values.reduce((acc, value) => (acc * value) % n, 1n);
+}
+
+function range(min, max) {
+    const values = [];
+    for (let value = min; value <= max; value++) {
+        values.push(value);
+    }
+    return values;
+}
+
+test('bit proofs verify for encryptions of 0 and 1', () => {
+    for (const bit of [0n, 1n]) {
+        const { ciphertext, randomness } = paillier.encrypt(bit);
+        assert.ok(zkp.verifyBitProof(zkp.proveBitValue(bit, ciphertext, randomness)).valid);
+    }
+});
+
+test('forged bit proofs are rejected for encryptions of 2 and 5', () => {
+    for (const badValue of [2n, 5n]) {
+        const { ciphertext, randomness } = paillier.encrypt(badValue);
+        const claimingZero = zkp.buildMembershipProof(DOMAINS.BIT_VALUE, ciphertext, randomness, [0n, 1n], 0);
+        const claimingOne = zkp.buildMembershipProof(DOMAINS.BIT_VALUE, ciphertext, randomness, [0n, 1n], 1);
+
+        // A prover who simulates both branches cannot make the challenges add up
+        const simulated = zkp.buildMembershipProof(DOMAINS.BIT_VALUE, ciphertext, randomness, [0n, 1n], 0);
+        simulated.branches[0].e = BigIntUtils.randomBigInt(CHALLENGE_BITS);
+
+        for (const forgery of [claimingZero, claimingOne, simulated]) {
+            assert.strictEqual(zkp.verifyBitProof(forgery).valid, false);
+        }
+    }
+});
+
+test('a tampered bit proof is rejected', () => {
+    const { ciphertext, randomness } = paillier.encrypt(1n);
+    const tampered = zkp.proveBitValue(1n, ciphertext, randomness);
+    tampered.branches[1].z = (tampered.branches[1].z * 2n) % n;
+    assert.strictEqual(zkp.verifyBitProof(tampered).valid, false);
+});
+
+test('a forged sum proof does not pass a two-vote ballot as summing to one', () => {
+    const stuffed = encryptAll([1n, 1n, 0n]);
+    const forged = zkp.buildMembershipProof(DOMAINS.SUM, paillier.sumCiphertexts(stuffed.ciphertexts),
+        product(stuffed.randomnesses), [1n], 0);
+    const forgedProof = { expectedSum: 1n, branches: forged.branches, type: 'sum', version: PROOF_VERSION };
+    assert.strictEqual(zkp.verifySumProof(forgedProof, stuffed.ciphertexts, 1n).valid, false);
+});
+
+test('a sum proof only verifies against its own ciphertexts', () => {
+    const honest = encryptAll([0n, 1n, 0n]);
+    const other = paillier.encrypt(1n).ciphertext;
+    const sumProof = zkp.proveSumEqualsOne(honest.ciphertexts, [0n, 1n, 0n], honest.randomnesses);
+    assert.ok(zkp.verifySumProof(sumProof, honest.ciphertexts, 1n).valid);
+    assert.strictEqual(zkp.verifySumProof(sumProof, [honest.ciphertexts[0], other, honest.ciphertexts[2]], 1n).valid, false);
+});
+
+test('a vote proof must cover every encrypted vote of the ballot', () => {
+    // Proofs for the first two ciphertexts leave the third, here 5, unproven
+    const ballot = encryptAll([0n, 1n, 5n]);
+    const partial = zkp.generateVoteProof(ballot.ciphertexts.slice(0, 2), [0n, 1n], ballot.randomnesses.slice(0, 2));
+    assert.ok(zkp.verifyVoteProof(partial, ballot.ciphertexts.slice(0, 2)).overallValid);
+    assert.strictEqual(zkp.verifyVoteProof(partial, ballot.ciphertexts).overallValid, false);
+    assert.strictEqual(zkp.verifyContestProof(partial, ballot.ciphertexts, { minSum: 1n, maxSum: 1n, maxValue: 1n }).overallValid, false);
+
+    // Nor may the proofs be about other ciphertexts than the ballot's
+    const reordered = [ballot.ciphertexts[1], ballot.ciphertexts[0]];
+    assert.strictEqual(zkp.verifyVoteProof(partial, reordered).overallValid, false);
+});
+
+test('a vote proof still covers its ballot after a serialization round trip', () => {
+    const votes = [0n, 1n, 0n];
+    const { ciphertexts, randomnesses } = encryptAll(votes);
+    const proof = zkp.generateVoteProof(ciphertexts, votes, randomnesses);
+    const wire = JSON.parse(JSON.stringify(ZKProofSystem.serializeVoteProof(proof)));
+    const rules = { minSum: 1n, maxSum: 1n, maxValue: 1n };
+    assert.ok(zkp.verifyContestProof(ZKProofSystem.deserializeVoteProof(wire), ciphertexts, rules).overallValid);
+});
+
+test('range proofs hold for exactly their own range and reject a ballot over the limit', () => {
+    for (const votes of [[0n, 0n, 0n], [1n, 0n, 1n]]) {
+        const { ciphertexts, randomnesses } = encryptAll(votes);
+        const rangeProof = zkp.proveSumInRange(ciphertexts, votes, randomnesses, 0n, 2n);
+        assert.ok(zkp.verifySumProof(rangeProof, ciphertexts, 0n, 2n).valid);
+        assert.strictEqual(zkp.verifySumProof(rangeProof, ciphertexts, 1n, 2n).valid, false);
+    }
+
+    const overLimit = encryptAll([1n, 1n, 1n]);
+    const forged = zkp.buildMembershipProof(DOMAINS.SUM_RANGE, paillier.sumCiphertexts(overLimit.ciphertexts),
+        product(overLimit.randomnesses), range(0n, 2n), 2);
+    const forgedProof = { minSum: 0n, maxSum: 2n, branches: forged.branches, type: 'sum-range', version: PROOF_VERSION };
+    assert.strictEqual(zkp.verifySumProof(forgedProof, overLimit.ciphertexts, 0n, 2n).valid, false);
+});
+
+test('value proofs accept 0 to 3 points and reject a forged proof for 4', () => {
+    for (const points of [0n, 3n]) {
+        const { ciphertext, randomness } = paillier.encrypt(points);
+        assert.ok(zkp.verifyValueProof(zkp.proveValueInRange(points, ciphertext, randomness, 3n), 3n).valid);
+    }
+
+    const tooMany = paillier.encrypt(4n);
+    const forged = zkp.buildMembershipProof(DOMAINS.VALUE_RANGE, tooMany.ciphertext, tooMany.randomness, range(0n, 3n), 3);
+    assert.strictEqual(zkp.verifyValueProof({ ...forged, maxValue: 3n, type: 'value-range' }, 3n).valid, false);
+});
+
+test('ranking proofs accept a permutation and reject two first choices', () => {
+    const ranking = [0n, 1n, 0n, 1n, 0n, 0n, 0n, 0n, 1n];   // B, A, C
+    const honest = encryptAll(ranking);
+    assert.ok(zkp.verifyRankingProof(zkp.generateRankingProof(honest.ciphertexts, ranking, honest.randomnesses, 3), 3).overallValid);
+
+    // Line proofs built from the real randomness, honest where the line really sums to 1
+    const doubledVotes = [1n, 0n, 0n, 1n, 0n, 0n, 0n, 0n, 1n];   // A and B both first
+    const doubled = encryptAll(doubledVotes);
+    const forgeLine = indices => ({
+        expectedSum: 1n,
+        branches: zkp.buildMembershipProof(DOMAINS.SUM,
+            paillier.sumCiphertexts(indices.map(i => doubled.ciphertexts[i])),
+            product(indices.map(i => doubled.randomnesses[i])), [1n], 0).branches,
+        type: 'sum',
+        version: PROOF_VERSION
+    });
+    const rows = [0, 1, 2].map(i => [0, 1, 2].map(r => i * 3 + r));
+    const columns = [0, 1, 2].map(r => [0, 1, 2].map(i => i * 3 + r));
+    const forged = {
+        bitProofs: doubled.ciphertexts.map((ciphertext, i) => zkp.proveBitValue(doubledVotes[i], ciphertext, doubled.randomnesses[i])),
+        rowProofs: rows.map(forgeLine),
+        columnProofs: columns.map(forgeLine),
+        type: 'ranked-vote-proof',
+        version: PROOF_VERSION
+    };
+    assert.strictEqual(zkp.verifyRankingProof(forged, 3).overallValid, false);
+});
+
+test('packed proofs accept a valid ballot and reject an over-limit or mismatched one', () => {
+    // Approve up to two of three candidates, packed in base 16
+    const rules = { maxValue: 1n, minSum: 0n, maxSum: 2n, packing: { base: 16n, slots: 3 } };
+    const packed = paillier.encrypt(257n);   // candidates 1 and 3
+    const packedProof = zkp.generatePackedProof([packed.ciphertext], [257n], [packed.randomness], rules);
+    assert.ok(zkp.verifyPackedProof(packedProof, rules).overallValid);
+
+    const overfull = paillier.encrypt(273n);
+    const overfullProof = zkp.generatePackedProof([overfull.ciphertext], [273n], [overfull.randomness], { ...rules, maxSum: 3n });
+    assert.strictEqual(zkp.verifyPackedProof(overfullProof, rules).overallValid, false);
+
+    const swapped = { ...packedProof, bitProofs: [{ ...packedProof.bitProofs[0], ciphertext: overfull.ciphertext }] };
+    assert.strictEqual(zkp.verifyPackedProof(swapped, rules).overallValid, false);
+});
+
+test('multiplication proofs accept 3 × 5 and reject 3 × 6', () => {
+    const multiplicand = paillier.encrypt(3n).ciphertext;
+    const blinding = paillier.encrypt(5n);
+    const result = paillier.encrypt(0n);
+    const productCiphertext = (BigIntUtils.modPow(multiplicand, 5n, nSquared) * result.ciphertext) % nSquared;
+    const proof = zkp.proveMultiplication(multiplicand, blinding.ciphertext, productCiphertext,
+        5n, blinding.randomness, result.randomness);
+    assert.ok(zkp.verifyMultiplicationProof(proof, multiplicand, blinding.ciphertext, productCiphertext));
+
+    const wrongProduct = paillier.addCiphertexts(productCiphertext, multiplicand);
+    assert.strictEqual(zkp.verifyMultiplicationProof(proof, multiplicand, blinding.ciphertext, wrongProduct), false);
+});
@@ -0,0 +1,422 @@
+/**
+ * Threshold Paillier Decryption
+ * A dealer splits the decryption key into n shares so that any k trustees can
+ * jointly decrypt (Shoup / Damgård–Jurik style), with a proof of correctness
+ * attached to every partial decryption
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bigint-utils'), require('./sha256'), require('./paillier'));
+    } else {
+        // Browser globals, kept for the <script> tags in index.html
+        const exports = factory(root, root, root);
+        root.ThresholdPaillier = exports.ThresholdPaillier;
+    }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (deps, hashDeps, paillierDeps) {
+    'use strict';
+
+    const { BigIntUtils } = deps;
+    const { SHA256 } = hashDeps;
+    const { PaillierCryptosystem } = paillierDeps;
+
+    // Domain-separation tag for the partial decryption proof transcript
+    const DOMAIN_PARTIAL_DECRYPTION = 'paillier-voting/threshold/v1/partial-decryption';
+
+    const CHALLENGE_BITS = 256;
+
+    /**
+     * n! as a BigInt
+     */
+    function factorial(n) {
+        let result = 1n;
+        for (let i = 2n; i <= BigInt(n); i++) {
+            result *= i;
+        }
+        return result;
+    }
+
+    function checkThreshold(threshold, shareCount) {
+        if (!Number.isInteger(threshold) || !Number.isInteger(shareCount) ||
+            threshold < 1 || shareCount < threshold) {
+            throw new Error('Threshold must satisfy 1 <= k <= n');
+        }
+    }
+
+    class ThresholdPaillier {
+        /**
+         * @param {PaillierCryptosystem} paillierSystem - receives the public key, so
+         * encryption and ZKPs keep working unchanged; it never holds a private key
+         */
+        constructor(paillierSystem) {
+            this.paillier = paillierSystem;
+            this.publicKey = null;
+            this.params = null;
+            this.keySize = paillierSystem ? paillierSystem.keySize : 2048; // bits
+        }
+
+        /**
+         * Dealer key generation: n = pq with safe primes, the secret d (d ≡ 0 mod m,
+         * d ≡ 1 mod n) shared with a degree k-1 polynomial over Z_{nm}
+         * @param {number} threshold - Number of trustees needed to decrypt (k)
+         * @param {number} shareCount - Number of trustees holding a share
+         * @returns {object} {public, params, shares}; the dealer keeps nothing else
+         */
+        generateKeys(threshold, shareCount) {
+            checkThreshold(threshold, shareCount);
+            PaillierCryptosystem.checkKeySize(this.keySize);
+
+            // Safe primes p = 2p' + 1 and q = 2q' + 1
+            const p = BigIntUtils.generateSafePrime(this.keySize / 2);
+            let q;
+            do {
+                q = BigIntUtils.generateSafePrime(this.keySize / 2);
+            } while (!BigIntUtils.primesFarApart(p, q));
+
+            return this.keysFromSafePrimes(p, q, threshold, shareCount);
+        }
+
+        /**
+         * Deal the key for safe primes p and q, e.g. found by workers
+         * @returns {object} As generateKeys
+         */
+        keysFromSafePrimes(p, q, threshold, shareCount) {
+            checkThreshold(threshold, shareCount);
+            if (!BigIntUtils.primesFarApart(p, q)) {
+                throw new Error('p and q must be distinct primes far apart');
+            }
+
+            const n = p * q;
+            const nSquared = n * n;
+            const g = n + 1n;
+            PaillierCryptosystem.validatePublicKey({ n, g, nSquared });
+            const m = ((p - 1n) / 2n) * ((q - 1n) / 2n);
+            const nm = n * m;
+
+            // d ≡ 0 (mod m) and d ≡ 1 (mod n)
+            const d = m * BigIntUtils.modInverse(m, n);
+
+            // f(X) = d + a_1 X + ... + a_{k-1} X^{k-1} over Z_{nm}
+            const coefficients = [d];
+            for (let i = 1; i < threshold; i++) {
+                coefficients.push(BigIntUtils.randomRange(0n, nm));
+            }
+
+            const shares = [];
+            for (let i = 1; i <= shareCount; i++) {
+                const x = BigInt(i);
+                let value = 0n;
+                for (let j = coefficients.length - 1; j >= 0; j--) {
+                    value = (value * x + coefficients[j]) % nm;
+                }
+                shares.push({ index: i, share: value });
+            }
+
+            // v generates the squares of Z_{n²}* with overwhelming probability
+            const delta = factorial(shareCount);
+            const r = BigIntUtils.randomUnit(nSquared);
+            const v = (r * r) % nSquared;
+            const verificationKeys = shares.map(({ share }) =>
+                BigIntUtils.modPow(v, delta * share, nSquared));
+
+            this.publicKey = { n, g, nSquared };
+            this.params = {
+                threshold,
+                shareCount,
+                delta,
+                theta: 1n,
+                v,
+                verificationKeys,
+                shareBits: BigIntUtils.bitLength(nm)
+            };
+
+            if (this.paillier) {
+                this.paillier.publicKey = this.publicKey;
+                this.paillier.privateKey = null;
+            }
+
+            return {
+                public: this.publicKey,
+                params: this.params,
+                shares
+            };
+        }
+
+        /**
+         * Use a public key and threshold parameters produced elsewhere,
+         * e.g. by a distributed key ceremony
+         * @param {object} publicKey - {n, g, nSquared}
+         * @param {object} params - {threshold, shareCount, delta, theta, v, verificationKeys, shareBits}
+         */
+        loadKeys(publicKey, params) {
+            const { n } = PaillierCryptosystem.validatePublicKey(publicKey);
+            if (params.verificationKeys.length !== params.shareCount ||
+                params.threshold < 1 || params.threshold > params.shareCount) {
+                throw new Error('Inconsistent threshold parameters');
+            }
+            if (!BigIntUtils.areCoprime(params.theta, n)) {
+                throw new Error('Threshold parameter θ must be invertible mod n');
+            }
+
+            this.publicKey = publicKey;
+            this.params = params;
+
+            if (this.paillier) {
+                this.paillier.publicKey = publicKey;
+                this.paillier.privateKey = null;
+            }
+        }
+
+        /**
+         * Trustee step: c_i = c^{2Δs_i} mod n², with a proof that the same Δs_i
+         * was used as in the trustee's verification key v_i = v^{Δs_i}
+         * @param {bigint} ciphertext - Ciphertext to decrypt
+         * @param {object} keyShare - {index, share} issued by the dealer
+         * @returns {object} {index, value, proof: {a, b, z}}
+         */
+        partialDecrypt(ciphertext, keyShare) {
+            this.requireKeys();
+
+            const { nSquared } = this.publicKey;
+            const { delta, v } = this.params;
+            const { index, share } = keyShare;
+
+            const secret = delta * share;
+            const value = BigIntUtils.modPow(ciphertext, 2n * secret, nSquared);
+
+            // Chaum–Pedersen proof that log_{c^4}(c_i²) = log_v(v_i), answered over the integers;
+            // r is 256 bits longer than e·Δs_i can be, so z statistically hides the share
+            const c4 = BigIntUtils.modPow(ciphertext, 4n, nSquared);
+            const rBits = this.params.shareBits + BigIntUtils.bitLength(delta) + 2 * CHALLENGE_BITS;
+            const r = BigIntUtils.randomBigInt(rBits);
+            const a = BigIntUtils.modPow(c4, r, nSquared);
+            const b = BigIntUtils.modPow(v, r, nSquared);
+            const e = this.generatePartialChallenge(ciphertext, index, value, a, b);
+            const z = r + e * secret;
+
+            return { index, value, proof: { a, b, z } };
+        }
+
+        /**
+         * Check a partial decryption against the trustee's verification key
+         * (c^4)^z ≡ a · (c_i²)^e and v^z ≡ b · v_i^e (mod n²)
+         */
+        verifyPartialDecryption(ciphertext, partial) {
+            this.requireKeys();
+
+            const { nSquared } = this.publicKey;
+            const { v, verificationKeys } = this.params;
+            const { index, value, proof } = partial || {};
+
+            if (!Number.isInteger(index) || index < 1 || index > verificationKeys.length || !proof) {
+                return false;
+            }
+
+            const { a, b, z } = proof;
+            for (const element of [value, a, b]) {
+                if (typeof element !== 'bigint' || element <= 0n || element >= nSquared) {
+                    return false;
+                }
+            }
+            if (typeof z !== 'bigint' || z < 0n) {
+                return false;
+            }
+
+            const e = this.generatePartialChallenge(ciphertext, index, value, a, b);
+            const c4 = BigIntUtils.modPow(ciphertext, 4n, nSquared);
+            const valueSquared = (value * value) % nSquared;
+            const vi = verificationKeys[index - 1];
+
+            const left1 = BigIntUtils.modPow(c4, z, nSquared);
+            const right1 = (a * BigIntUtils.modPow(valueSquared, e, nSquared)) % nSquared;
+            const left2 = BigIntUtils.modPow(v, z, nSquared);
+            const right2 = (b * BigIntUtils.modPow(vi, e, nSquared)) % nSquared;
+
+            return left1 === right1 && left2 === right2;
+        }
+
+        /**
+         * Fiat-Shamir challenge for a partial decryption proof
+         */
+        generatePartialChallenge(ciphertext, index, value, a, b) {
+            const { n, g } = this.publicKey;
+            const { v, verificationKeys } = this.params;
+            return SHA256.hashTranscript([
+                DOMAIN_PARTIAL_DECRYPTION, n, g, v, verificationKeys[index - 1],
+                BigInt(index), ciphertext, value, a, b
+            ]);
+        }
+
+        /**
+         * Sort partial decryptions into those whose proofs verify, one per trustee, and
+         * the trustee indices of those that do not
+         * @returns {object} {accepted: partials, rejected: trustee indices}
+         */
+        checkPartialDecryptions(ciphertext, partials) {
+            const accepted = new Map();
+            const rejected = [];
+            for (const partial of partials) {
+                const index = partial ? partial.index : undefined;
+                if (accepted.has(index)) continue;
+                if (this.verifyPartialDecryption(ciphertext, partial)) {
+                    accepted.set(index, partial);
+                } else {
+                    rejected.push(index);
+                }
+            }
+            return { accepted: [...accepted.values()], rejected };
+        }
+
+        /**
+         * Combine k verified partial decryptions into the plaintext
+         * M = L(∏ c_i^{2λ_i} mod n²) · (4Δ²θ)^{-1} mod n
+         * Invalid partials are skipped (see checkPartialDecryptions); with fewer than k
+         * valid ones this throws an error with code NOT_ENOUGH_PARTIALS and the
+         * rejected trustee indices
+         */
+        combinePartialDecryptions(ciphertext, partials) {
+            this.requireKeys();
+
+            const { n, nSquared } = this.publicKey;
+            const { threshold, delta, theta } = this.params;
+
+            const { accepted, rejected } = this.checkPartialDecryptions(ciphertext, partials);
+            if (accepted.length < threshold) {
+                const error = new Error(`Need ${threshold} valid partial decryptions, got ${accepted.length}` +
+                    (rejected.length > 0 ? ` (rejected trustees: ${rejected.join(', ')})` : ''));
+                error.code = 'NOT_ENOUGH_PARTIALS';
+                error.rejected = rejected;
+                throw error;
+            }
+
+            const subset = accepted.slice(0, threshold);
+            const indices = subset.map(partial => BigInt(partial.index));
+
+            let combined = 1n;
+            for (const partial of subset) {
+                const lambda = this.lagrangeCoefficient(BigInt(partial.index), indices);
+                combined = (combined * BigIntUtils.modPow(partial.value, 2n * lambda, nSquared)) % nSquared;
+            }
+
+            const scale = BigIntUtils.modInverse((4n * delta * delta * theta) % n, n);
+            return (BigIntUtils.L(combined, n) * scale) % n;
+        }
+
+        /**
+         * Integer Lagrange coefficient at 0, scaled by Δ so it stays integral:
+         * λ_i = Δ · ∏_{j ≠ i} j / (j - i)
+         */
+        lagrangeCoefficient(i, indices) {
+            let numerator = this.params.delta;
+            let denominator = 1n;
+            for (const j of indices) {
+                if (j === i) continue;
+                numerator *= j;
+                denominator *= j - i;
+            }
+            return numerator / denominator;
+        }
+
+        /**
+         * Decrypt with a set of trustee shares (all partials computed locally)
+         */
+        decryptWithShares(ciphertext, keyShares) {
+            return this.decryptWithProof(ciphertext, keyShares).plaintext;
+        }
+
+        /**
+         * Decrypt with trustee shares; the proven partial decryptions are the proof
+         * that the plaintext is correct
+         * @returns {object} {plaintext, proof: {type: 'threshold', partials}, rejected}, where
+         *                   rejected lists trustees whose partial failed its proof and was skipped
+         */
+        decryptWithProof(ciphertext, keyShares) {
+            const partials = keyShares.map(keyShare => this.partialDecrypt(ciphertext, keyShare));
+            const { rejected } = this.checkPartialDecryptions(ciphertext, partials);
+            return {
+                plaintext: this.combinePartialDecryptions(ciphertext, partials),
+                proof: { type: 'threshold', partials },
+                rejected
+            };
+        }
+
+        /**
+         * Check a threshold decryption with public data only: every partial must
+         * verify against its trustee's verification key and combine to the plaintext
+         */
+        verifyDecryptionProof(ciphertext, plaintext, proof) {
+            if (!proof || proof.type !== 'threshold' || !Array.isArray(proof.partials)) return false;
+            if (!proof.partials.every(partial => this.verifyPartialDecryption(ciphertext, partial))) return false;
+
+            try {
+                return this.combinePartialDecryptions(ciphertext, proof.partials) === plaintext;
+            } catch (error) {
+                return false;
+            }
+        }
+
+        /**
+         * Threshold parameters in a serializable format
+         */
+        getThresholdInfo() {
+            if (!this.params) return null;
+
+            return {
+                threshold: this.params.threshold,
+                shareCount: this.params.shareCount,
+                delta: this.params.delta.toString(),
+                theta: this.params.theta.toString(),
+                v: this.params.v.toString(),
+                verificationKeys: this.params.verificationKeys.map(key => key.toString()),
+                shareBits: this.params.shareBits
+            };
+        }
+
+        requireKeys() {
+            if (!this.publicKey || !this.params) {
+                throw new Error('No threshold key available');
+            }
+        }
+
+        /**
+         * Clear the public key and threshold parameters
+         */
+        clearKeys() {
+            this.publicKey = null;
+            this.params = null;
+        }
+
+        /**
+         * Quick smoke check of 3-of-5 decryption on a test-size key: three trustees
+         * decrypt and their partials prove the result. The full threshold tests are in
+         * test/threshold-paillier.test.js (npm test)
+         */
+        selfTest() {
+            console.log('Running threshold Paillier self-test...');
+
+            const keySize = this.keySize;
+            this.keySize = PaillierCryptosystem.TEST_KEY_SIZE;
+            let shares;
+            try {
+                ({ shares } = PaillierCryptosystem.withTestKeySizes(() => this.generateKeys(3, 5)));
+            } finally {
+                this.keySize = keySize;
+            }
+
+            const { n, g, nSquared } = this.publicKey;
+            const r = BigIntUtils.randomUnit(n);
+            const c = (BigIntUtils.modPow(g, 42n, nSquared) * BigIntUtils.modPow(r, n, nSquared)) % nSquared;
+
+            const { plaintext, proof } = this.decryptWithProof(c, [shares[4], shares[2], shares[0]]);
+            if (plaintext !== 42n || !this.verifyDecryptionProof(c, plaintext, proof)) {
+                throw new Error(`Self-test failed: trustees 5, 3 and 1 decrypted ${plaintext}`);
+            }
+            console.log('✓ 3 of 5 trustees decrypt, and their partials prove the plaintext');
+
+            console.log('All threshold Paillier self-tests passed!');
+            return true;
+        }
+    }
+
+    return { ThresholdPaillier };
+});
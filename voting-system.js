@@ -3,17 +3,21 @@
  * Coordinates Paillier encryption, ZKP, and user interface
  */
 
-// ==========================================
-// CONFIGURATION - Change this single value to adjust candidate count
-// ==========================================
-const CANDIDATE_COUNT = 5;  // 🔧 CHANGE THIS VALUE TO SET NUMBER OF CANDIDATES
-
 // Global variables
+let electionManifest = null;  // Contests, candidates and selection limits
 let paillierSystem = null;
 let zkpSystem = null;
-let currentVotes = new Array(CANDIDATE_COUNT).fill(false);
-let encryptedVotes = [];
-let voteProofs = [];
+let thresholdSystem = null;
+let weightAuthority = null;  // Signs voter weights in weighted elections
+let workerPool = null;  // Runs prime search, encryption and proofs off the main thread
+let currentOperation = null;  // AbortController of the key generation or encryption in progress
+let randomnessFill = null;  // AbortController of the background randomness precomputation
+let trusteeShares = [];  // Dealer-issued key shares, only set in threshold mode
+let publishedTally = null;  // Last tally with its decryption proofs
+let ballotBox = null;  // Every voter's cast ballot, verified on submission
+let currentVotes = [];  // Per contest, one value per candidate: 0/1, points, or a rank (0 = unranked)
+let encryptedVotes = [];  // Per contest, one ciphertext per candidate (a single one for packed contests)
+let voteProofs = [];  // Per contest, bit proofs and the contest sum proof
 let isKeysGenerated = false;
 
 /**
@@ -22,32 +26,298 @@ let isKeysGenerated = false;
 function initVotingSystem() {
     paillierSystem = new PaillierCryptosystem();
     zkpSystem = new ZKProofSystem(paillierSystem);
+    thresholdSystem = new ThresholdPaillier(paillierSystem);
+    weightAuthority = new WeightAuthority();
+    workerPool = new CryptoWorkerPool(zkpSystem, {
+        onFallback: error => log(`⚠️ Crypto workers unavailable, running on the main thread: ${error.message}`)
+    });
 
-    // Generate candidate UI
-    generateCandidateInterface();
+    // Build the ballot from the built-in manifest until another one is loaded
+    applyManifest(ElectionManifest.fromDefault());
 
-    log(`Voting system initialized with ${CANDIDATE_COUNT} candidates. Ready to generate keys.`);
+    log(`Voting system initialized with ${electionManifest.contests.length} contest(s). Ready to generate keys.`);
     updateUIState();
 }
 
 /**
- * Generate the candidate selection interface
+ * Switch to an election manifest and rebuild the ballot for its contests
+ */
+function applyManifest(manifest) {
+    if (ballotBox && ballotBox.size > 0) {
+        throw new Error('Ballots have already been cast; clear the keys before changing the election');
+    }
+    electionManifest = manifest;
+    currentVotes = manifest.contests.map(contest => new Array(contest.candidates.length).fill(0));
+    ballotBox = new BallotBox(paillierSystem, zkpSystem, manifest, weightAuthority);
+    publishedTally = null;
+    if (isKeysGenerated) {
+        prepareWeightAuthority();
+    }
+
+    generateCandidateInterface();
+    resetCurrentBallot();
+    document.getElementById('ballotBoxDisplay').textContent = 'Ballot box is empty';
+    document.getElementById('tallyResults').innerHTML = '';
+}
+
+/**
+ * Whether voters give points or scores in a contest rather than selecting candidates
+ */
+function isPointContest(contest) {
+    return contest.type === 'cumulative' || contest.type === 'score';
+}
+
+/**
+ * Whether a contest's tally counts points: cumulative, score and Borda contests
+ */
+function talliesPoints(contest) {
+    return isPointContest(contest) || (contest.type === 'ranked' && contest.method === 'borda');
+}
+
+/**
+ * Human-readable selection rule of a contest, e.g. "select 1 to 3 candidates"
+ */
+function describeSelectionRule(contest) {
+    if (contest.type === 'ranked') {
+        return `rank every candidate, 1 = first choice (${contest.method === 'irv' ? 'instant runoff' : 'Borda count'})`;
+    }
+    if (contest.type === 'cumulative') {
+        return `distribute exactly ${contest.budget} points, at most ${contest.maxPerCandidate} per candidate`;
+    }
+    if (contest.type === 'score') {
+        return `score each candidate from 0 to ${contest.maxScore}`;
+    }
+
+    const { minSelections: min, maxSelections: max } = contest;
+    const candidates = max !== 1 ? 'candidates' : 'candidate';
+    if (min === max) {
+        return `select exactly ${max} ${candidates}`;
+    }
+    if (min === 0) {
+        return `select up to ${max} ${candidates}, or none`;
+    }
+    return `select ${min} to ${max} ${candidates}`;
+}
+
+/**
+ * Display name of a candidate in a contest
+ */
+function candidateName(contestIndex, candidateIndex) {
+    return electionManifest.contests[contestIndex].candidates[candidateIndex].name;
+}
+
+/**
+ * Number of selected (non-zero) candidates in a contest
+ */
+function countSelections(contestIndex) {
+    return currentVotes[contestIndex].filter(vote => vote > 0).length;
+}
+
+/**
+ * Sum of a contest's values: selections, or points given
+ */
+function totalPoints(contestIndex) {
+    return currentVotes[contestIndex].reduce((sum, vote) => sum + vote, 0);
+}
+
+/**
+ * "vote"/"votes", or "point"/"points" in contests that tally points
+ */
+function formatCount(contest, count) {
+    const unit = talliesPoints(contest) ? 'point' : 'vote';
+    return `${count} ${unit}${count !== 1 ? 's' : ''}`;
+}
+
+/**
+ * Label of a contest ballot's i-th ciphertext: the candidate, and for ranked contests the rank
+ */
+function entryLabel(contestIndex, index) {
+    const contest = electionManifest.contests[contestIndex];
+    const entry = electionManifest.ballotEntries(contest)[index];
+    if (entry.candidateIds) {
+        return 'All candidates (packed)';
+    }
+    const name = candidateName(contestIndex, entry.candidateIndex);
+    return entry.rank === undefined ? name : `${name} (rank ${entry.rank})`;
+}
+
+/**
+ * Plaintext vector of a contest's ballot, one value per ciphertext
+ * Ranked contests become an n×n permutation matrix, candidate by candidate;
+ * packed contests a single value with one radix slot per candidate
+ */
+function plaintextVector(contestIndex) {
+    const contest = electionManifest.contests[contestIndex];
+    const votes = currentVotes[contestIndex];
+    if (contest.encoding === 'packed') {
+        return [BigIntUtils.packSlots(votes.map(vote => BigInt(vote)), electionManifest.packing(contest).base)];
+    }
+    if (contest.type !== 'ranked') {
+        return votes.map(vote => BigInt(vote));
+    }
+    return electionManifest.ballotEntries(contest).map(entry => votes[entry.candidateIndex] === entry.rank ? 1n : 0n);
+}
+
+/**
+ * Whether the selections in a contest follow its rules, so its proofs can be built
+ */
+function isContestComplete(contest, contestIndex) {
+    const votes = currentVotes[contestIndex];
+    if (contest.type === 'ranked') {
+        // Every rank 1..n used exactly once
+        return votes.every(rank => rank >= 1) && new Set(votes).size === votes.length;
+    }
+
+    const { minSum, maxSum, maxValue } = electionManifest.proofRules(contest);
+    const total = BigInt(totalPoints(contestIndex));
+    return total >= minSum && total <= maxSum && votes.every(vote => BigInt(vote) <= maxValue);
+}
+
+/**
+ * Number of sum proofs in a vote proof: one, none when implied, or a ranking's row and column proofs
+ */
+function countSumProofs(voteProof) {
+    if (voteProof.rowProofs) {
+        return voteProof.rowProofs.length + voteProof.columnProofs.length;
+    }
+    return voteProof.sumProof ? 1 : 0;
+}
+
+/**
+ * Escape manifest text before it goes into innerHTML
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * Load an election manifest chosen in the file picker
+ */
+async function loadManifestFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    await loadManifest(() => ElectionManifest.fromFile(file), file.name);
+    input.value = '';
+}
+
+/**
+ * Load an election manifest from the URL field
+ */
+async function loadManifestUrl() {
+    const url = document.getElementById('manifestUrl').value.trim();
+    if (!url) {
+        updateStatus('Enter a manifest URL first.', 'error');
+        return;
+    }
+
+    await loadManifest(() => ElectionManifest.fromUrl(url), url);
+}
+
+/**
+ * Load, validate and apply a manifest, reporting errors in the UI
+ */
+async function loadManifest(load, source) {
+    try {
+        log(`📜 Loading election manifest from ${source}...`);
+        const manifest = await load();
+        applyManifest(manifest);
+
+        log(`✅ Election "${manifest.title}" (${manifest.electionId}) loaded with ${manifest.contests.length} contest(s)`);
+        manifest.contests.forEach(contest => {
+            log(`  ${contest.title}: ${contest.candidates.length} candidates, ${describeSelectionRule(contest)}`);
+        });
+        updateStatus(`Election manifest "${escapeHtml(manifest.title)}" loaded.`, 'success');
+        updateUIState();
+
+    } catch (error) {
+        log('❌ Manifest rejected: ' + error.message);
+        updateStatus('Manifest rejected: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+/**
+ * Generate the candidate selection interface, one grid per contest
  */
 function generateCandidateInterface() {
     const votingSection = document.getElementById('votingSection');
     let html = '';
 
-    for (let i = 0; i < CANDIDATE_COUNT; i++) {
+    electionManifest.contests.forEach((contest, c) => {
         html += `
-            <div class="candidate" id="candidate${i}" onclick="toggleVote(${i})">
-                <input type="checkbox" id="vote${i}">
-                <label for="vote${i}">Candidate ${i + 1}</label>
-            </div>
+            <h3>${escapeHtml(contest.title)} <small>(${describeSelectionRule(contest)})</small></h3>
+            <div class="voting-section" id="contest${c}">
         `;
-    }
+        const maxValue = Number(electionManifest.proofRules(contest).maxValue);
+        const rankOptions = contest.candidates.map((_, r) => `<option value="${r + 1}">${r + 1}</option>`).join('');
+        contest.candidates.forEach((candidate, i) => {
+            if (contest.type === 'ranked') {
+                html += `
+                    <div class="candidate" id="candidate${c}-${i}">
+                        <select id="vote${c}-${i}" onchange="setRank(${c}, ${i}, this.value)">
+                            <option value="0">–</option>${rankOptions}
+                        </select>
+                        <label for="vote${c}-${i}">${escapeHtml(candidate.name)}</label>
+                    </div>
+                `;
+                return;
+            }
+            html += isPointContest(contest) ? `
+                <div class="candidate" id="candidate${c}-${i}">
+                    <input type="number" id="vote${c}-${i}" min="0" max="${maxValue}" step="1" value="0"
+                           onchange="setPoints(${c}, ${i}, this.value)">
+                    <label for="vote${c}-${i}">${escapeHtml(candidate.name)}</label>
+                </div>
+            ` : `
+                <div class="candidate" id="candidate${c}-${i}" onclick="toggleVote(${c}, ${i})">
+                    <input type="checkbox" id="vote${c}-${i}">
+                    <label for="vote${c}-${i}">${escapeHtml(candidate.name)}</label>
+                </div>
+            `;
+        });
+        html += '</div>';
+    });
 
     votingSection.innerHTML = html;
-    log(`Generated interface for ${CANDIDATE_COUNT} candidates`);
+    const contestCount = electionManifest.contests.length;
+    document.getElementById('electionInfo').innerHTML = `
+        <strong>${escapeHtml(electionManifest.title)}</strong> · ${contestCount} contest${contestCount !== 1 ? 's' : ''} on this ballot
+    `;
+    log(`Generated interface for ${contestCount} contest(s) of ${electionManifest.electionId}`);
+}
+
+/**
+ * Read the key setup options; null when a single private key is wanted
+ * Threshold keys come from a trusted dealer or from a distributed key ceremony
+ */
+function getThresholdSettings() {
+    const mode = document.getElementById('keyMode').value;
+    if (mode === 'single') {
+        return null;
+    }
+
+    const threshold = parseInt(document.getElementById('thresholdK').value, 10);
+    const shareCount = parseInt(document.getElementById('thresholdN').value, 10);
+    if (!(threshold >= 1 && shareCount >= threshold)) {
+        throw new Error('Threshold mode needs 1 ≤ k ≤ n');
+    }
+    if (mode === 'ceremony' && shareCount < 3) {
+        throw new Error('A distributed key ceremony needs at least 3 authorities');
+    }
+    if (mode === 'ceremony' && threshold < 2) {
+        throw new Error('A distributed key ceremony needs a threshold of at least 2');
+    }
+
+    return { mode, threshold, shareCount };
+}
+
+/**
+ * Whether the current keys are split among trustees
+ */
+function isThresholdMode() {
+    return trusteeShares.length > 0;
 }
 
 /**
@@ -55,32 +325,332 @@ function generateCandidateInterface() {
  */
 function generateKeys() {
     try {
-        log('Starting key generation...');
+        const thresholdSettings = getThresholdSettings();
+        const keySize = parseInt(document.getElementById('keySize').value, 10);
+        PaillierCryptosystem.checkKeySize(keySize);
+        paillierSystem.keySize = keySize;
+        thresholdSystem.keySize = keySize;
+
+        log(`Starting ${keySize}-bit key generation...`);
         updateStatus('Generating cryptographic keys...', 'info');
 
-        // Use setTimeout to allow UI to update before heavy computation
-        setTimeout(() => {
-            try {
-                const keys = paillierSystem.generateKeys();
-                isKeysGenerated = true;
+        // Prime searches and the key ceremony run in workers
+        if (!thresholdSettings) {
+            generateKeysInWorkers();
+        } else if (thresholdSettings.mode === 'ceremony') {
+            runKeyCeremonyInWorker(thresholdSettings);
+        } else {
+            generateThresholdKeysInWorkers(thresholdSettings);
+        }
 
-                // Update UI with key information
-                displayPublicKey();
-                displayPrivateKey();
+    } catch (error) {
+        log('❌ Key generation error: ' + error.message);
+        updateStatus('Key generation error: ' + error.message, 'error');
+    }
+}
 
-                log('✅ Key pair generated successfully!');
-                updateStatus('Keys generated successfully! You can now encrypt votes.', 'success');
-                updateUIState();
+/**
+ * Generate a single private key with the two prime searches running in parallel workers
+ */
+function generateKeysInWorkers() {
+    return runKeyOperation('Searching for primes', async operation => {
+        const [p, q] = await workerPool.generateTwoPrimes(paillierSystem.keySize / 2, operation);
+        paillierSystem.keysFromPrimes(p, q);
+        thresholdSystem.clearKeys();
+        trusteeShares = [];
+    });
+}
 
-            } catch (error) {
-                log('❌ Key generation failed: ' + error.message);
-                updateStatus('Key generation failed: ' + error.message, 'error');
-            }
-        }, 100);
+/**
+ * Deal threshold keys, with the two safe-prime searches running in parallel workers
+ */
+function generateThresholdKeysInWorkers({ threshold, shareCount }) {
+    return runKeyOperation('Searching for safe primes', async operation => {
+        const [p, q] = await workerPool.generateTwoSafePrimes(thresholdSystem.keySize / 2, operation);
+        trusteeShares = thresholdSystem.keysFromSafePrimes(p, q, threshold, shareCount).shares;
+        log(`🔑 Dealer issued ${shareCount} key shares; any ${threshold} trustees can decrypt`);
+    });
+}
 
+/**
+ * Run the distributed key ceremony among simulated authorities in a worker
+ */
+function runKeyCeremonyInWorker({ threshold, shareCount }) {
+    return runKeyOperation('Running the key ceremony', async operation => {
+        const { results, stats } = await workerPool.runKeyCeremony({
+            partyCount: shareCount,
+            threshold,
+            keySize: paillierSystem.keySize
+        }, operation);
+        thresholdSystem.loadKeys(results[0].public, results[0].params);
+        trusteeShares = results.map(result => result.share);
+        log(`🤝 ${shareCount} authorities generated the key jointly (${stats.candidates} candidate moduli, ${stats.messages} messages)`);
+        log(`🔑 No party knows the factorization; any ${threshold} trustees can decrypt`);
+    });
+}
+
+/**
+ * Run a key generation job with the key section's progress bar and cancel button
+ */
+async function runKeyOperation(label, generate) {
+    const operation = beginOperation('key', label);
+    try {
+        await generate(operation);
+        keysReady();
     } catch (error) {
-        log('❌ Key generation error: ' + error.message);
-        updateStatus('Key generation error: ' + error.message, 'error');
+        if (error.code === 'CANCELLED') {
+            log('⏹️ Key generation cancelled');
+            updateStatus('Key generation cancelled.', 'info');
+        } else {
+            log('❌ Key generation failed: ' + error.message);
+            updateStatus('Key generation failed: ' + error.message, 'error');
+        }
+    } finally {
+        endOperation('key');
+    }
+}
+
+/**
+ * Show the new keys and get ready for voting
+ */
+function keysReady() {
+    isKeysGenerated = true;
+    prepareWeightAuthority();
+
+    // Update UI with key information
+    displayPublicKey();
+    displayPrivateKey();
+
+    log('✅ Key pair generated successfully!');
+    updateStatus('Keys generated successfully! You can now encrypt votes.', 'success');
+    updateUIState();
+    precomputeBallotRandomness();
+}
+
+/**
+ * Load the election public key from a JSON or PEM key file, so this voter can encrypt
+ * without generating keys; tallying then needs the election's private key elsewhere
+ */
+async function loadPublicKeyFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    input.value = '';
+
+    try {
+        log(`🔑 Loading election public key from ${file.name}...`);
+        const { publicKey, privateKey, kid } = KeySerializer.importKey(await file.text());
+        if (privateKey) {
+            log('⚠️ The file also holds a private key; only its public key was loaded. Do not give private key files to voters');
+        }
+
+        const bits = installLoadedKeys(publicKey, null, kid);
+        log(`✅ Election public key loaded (${bits} bits, key id ${kid})`);
+        updateStatus('Election public key loaded. You can now encrypt votes.', 'success');
+
+    } catch (error) {
+        log('❌ Public key rejected: ' + error.message);
+        updateStatus('Public key rejected: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+/**
+ * Restore the private key from an encrypted key file (see exportPrivateKey) with the
+ * password typed in the key file password field
+ */
+async function loadPrivateKeyFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    input.value = '';
+
+    const passwordField = document.getElementById('keyPassword');
+    try {
+        if (!passwordField.value) {
+            throw new Error('Enter the key file password first');
+        }
+        log(`🔐 Decrypting private key from ${file.name}...`);
+        const { publicKey, privateKey, kid } = await KeySerializer.decryptPrivateKey(await file.text(), passwordField.value);
+        passwordField.value = '';
+
+        const bits = installLoadedKeys(publicKey, privateKey, kid);
+        log(`✅ Private key restored (${bits} bits, key id ${kid}); this browser can tally again`);
+        updateStatus('Private key restored from the encrypted key file.', 'success');
+
+    } catch (error) {
+        // error.code tells WRONG_PASSWORD from TAMPERED_KEY_FILE; the messages say which
+        log('❌ Private key not restored: ' + error.message);
+        updateStatus('Private key not restored: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+/**
+ * Replace the current keys with keys read from a file and get ready for voting
+ * Ballots already cast stay valid only under the same key, so another key is refused then
+ * @returns {number} The key's bit length
+ */
+function installLoadedKeys(publicKey, privateKey, kid) {
+    if (ballotBox.size > 0 && !(paillierSystem.publicKey && KeySerializer.keyId(paillierSystem.publicKey) === kid)) {
+        throw new Error('Ballots were cast under another key; clear the keys before loading this one');
+    }
+
+    workerPool.cancel();
+    paillierSystem.loadKeys(publicKey, privateKey);
+    thresholdSystem.clearKeys();
+    trusteeShares = [];
+    isKeysGenerated = true;
+
+    const bits = BigIntUtils.bitLength(publicKey.n);
+
+    prepareWeightAuthority();
+    displayPublicKey();
+    displayPrivateKey();
+    updateUIState();
+    precomputeBallotRandomness();
+    return bits;
+}
+
+/**
+ * Save the public key as a JWK-like JSON ('json') or PEM ('pem') file for voters to load
+ */
+function exportPublicKey(format) {
+    const { publicKey } = paillierSystem;
+    if (!publicKey) return;
+
+    const kid = KeySerializer.keyId(publicKey);
+    if (format === 'pem') {
+        saveFile(`election-key-${kid.substring(0, 8)}.pem`, KeySerializer.publicKeyToPem(publicKey), 'application/x-pem-file');
+    } else {
+        saveFile(`election-key-${kid.substring(0, 8)}.json`,
+            JSON.stringify(KeySerializer.publicKeyToJwk(publicKey), null, 2), 'application/json');
+    }
+    log(`💾 Public key exported as ${format.toUpperCase()} (key id ${kid})`);
+}
+
+// Shortest password accepted for an encrypted private key file
+const MIN_KEY_PASSWORD_LENGTH = 12;
+
+/**
+ * Save the private key encrypted under the key file password (PBKDF2 and AES-GCM),
+ * as a backup that loadPrivateKeyFile can restore
+ */
+async function exportPrivateKey() {
+    const { publicKey, privateKey } = paillierSystem;
+    if (!privateKey) return;
+
+    const passwordField = document.getElementById('keyPassword');
+    if (passwordField.value.length < MIN_KEY_PASSWORD_LENGTH) {
+        updateStatus(`Choose a key file password of at least ${MIN_KEY_PASSWORD_LENGTH} characters.`, 'error');
+        return;
+    }
+
+    try {
+        log('🔐 Encrypting private key (PBKDF2-SHA-256, AES-256-GCM)...');
+        const file = await KeySerializer.encryptPrivateKey(publicKey, privateKey, passwordField.value);
+        passwordField.value = '';
+        saveFile(`election-private-key-${file.kid.substring(0, 8)}.json`, JSON.stringify(file, null, 2), 'application/json');
+        log(`💾 Encrypted private key saved (key id ${file.kid}); keep the password apart from the file`);
+    } catch (error) {
+        log('❌ Failed to export private key: ' + error.message);
+        updateStatus('Failed to export private key: ' + escapeHtml(error.message), 'error');
+    }
+}
+
+/**
+ * Offer text as a file download
+ */
+function saveFile(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Start a cancellable operation with a progress bar in the key ('key') or voting ('vote') section
+ * @returns {object} Options for CryptoWorkerPool calls: {signal, onProgress}
+ */
+function beginOperation(section, label) {
+    stopRandomnessFill();
+    currentOperation = new AbortController();
+    showProgress(section, label, 0);
+    updateUIState();
+    return {
+        signal: currentOperation.signal,
+        onProgress: ({ done, total }) => showProgress(section, label, done / total)
+    };
+}
+
+function endOperation(section) {
+    currentOperation = null;
+    document.getElementById(`${section}Progress`).hidden = true;
+    updateUIState();
+}
+
+function showProgress(section, label, fraction) {
+    document.getElementById(`${section}Progress`).hidden = false;
+    document.getElementById(`${section}ProgressBar`).value = fraction;
+    document.getElementById(`${section}ProgressLabel`).textContent = `${label}... ${Math.round(fraction * 100)}%`;
+}
+
+/**
+ * Cancel the key generation or encryption in progress
+ */
+function cancelOperation() {
+    if (currentOperation) {
+        currentOperation.abort();
+    }
+}
+
+/**
+ * Give the weight authority a signing key when the election is weighted
+ */
+function prepareWeightAuthority() {
+    if (electionManifest.maxWeight === null || weightAuthority.publicKey) {
+        return;
+    }
+    weightAuthority.keySize = paillierSystem.keySize;
+    weightAuthority.generateKeys();
+    log(`⚖️ Weight authority key generated; ballots can carry weights from 1 to ${electionManifest.maxWeight}`);
+}
+
+/**
+ * Precompute the (r, r^n) pairs for the next ballot's ciphertexts in idle time,
+ * so encrypting it only has to compute g^m
+ */
+function precomputeBallotRandomness() {
+    const needed = electionManifest.contests.reduce((sum, contest) =>
+        sum + electionManifest.ballotEntries(contest).length, 0);
+
+    stopRandomnessFill();
+    randomnessFill = new AbortController();
+    const fill = workerPool.usesWorkers
+        ? workerPool.fillRandomnessPool(needed, { signal: randomnessFill.signal })
+        : paillierSystem.precomputeRandomness(needed, true);
+
+    fill.then(size => {
+        if (size >= needed) {
+            log(`🎲 Precomputed randomness for ${size} ciphertexts; the next ballot encrypts without computing r^n`);
+        }
+    }).catch(error => {
+        if (error.code !== 'CANCELLED') {
+            log('⚠️ Randomness precomputation stopped: ' + error.message);
+        }
+    });
+}
+
+/**
+ * Stop precomputing randomness; the pairs already made stay in the pool
+ */
+function stopRandomnessFill() {
+    if (randomnessFill) {
+        randomnessFill.abort();
+        randomnessFill = null;
+    }
+    if (paillierSystem.randomnessPool) {
+        paillierSystem.randomnessPool.stop();
     }
 }
 
@@ -88,31 +658,41 @@ function generateKeys() {
  * Clear all keys and reset system
  */
 function clearKeys() {
+    if (workerPool) {
+        workerPool.cancel();
+    }
     if (paillierSystem) {
         paillierSystem.clearKeys();
     }
+    if (thresholdSystem) {
+        thresholdSystem.clearKeys();
+    }
+    if (weightAuthority) {
+        weightAuthority.clearKeys();
+    }
+
+    if (ballotBox) {
+        ballotBox.clear();
+    }
 
     isKeysGenerated = false;
-    encryptedVotes = [];
-    voteProofs = [];
-    currentVotes = new Array(CANDIDATE_COUNT).fill(false);
+    trusteeShares = [];
 
     // Clear UI displays
     document.getElementById('publicKeyText').textContent = 'No keys generated';
     document.getElementById('privateKeyText').textContent = 'No keys generated';
+    document.getElementById('privateKeyLabel').textContent = 'Private Key (λ, μ):';
     document.getElementById('keyStatus').innerHTML = '';
+    document.getElementById('keyPassword').value = '';
     document.getElementById('votingStatus').innerHTML = '';
     document.getElementById('encryptedVotesDisplay').textContent = 'No votes encrypted yet';
     document.getElementById('zkpResults').textContent = 'No proofs generated yet';
     document.getElementById('tallyResults').innerHTML = '';
+    document.getElementById('ballotBoxDisplay').textContent = 'Ballot box is empty';
+    publishedTally = null;
 
-    // Clear vote selections
-    for (let i = 0; i < CANDIDATE_COUNT; i++) {
-        const checkbox = document.getElementById(`vote${i}`);
-        const candidate = document.getElementById(`candidate${i}`);
-        if (checkbox) checkbox.checked = false;
-        if (candidate) candidate.classList.remove('selected');
-    }
+    // Clear vote selections and the encrypted ballot
+    resetCurrentBallot();
 
     log('🗑️ All keys and votes cleared');
     updateStatus('Keys and votes cleared. Generate new keys to continue.', 'info');
@@ -125,7 +705,7 @@ function clearKeys() {
 function displayPublicKey() {
     const keyInfo = paillierSystem.getPublicKeyInfo();
     if (keyInfo) {
-        const display = `n: ${keyInfo.n.substring(0, 50)}...\ng: ${keyInfo.g.substring(0, 50)}...\nBit length: ${keyInfo.bitLength}`;
+        const display = `n: ${keyInfo.n.substring(0, 50)}...\ng: ${keyInfo.g.substring(0, 50)}...\nBit length: ${keyInfo.bitLength}\nKey id: ${KeySerializer.keyId(paillierSystem.publicKey)}`;
         document.getElementById('publicKeyText').textContent = display;
     }
 }
@@ -134,40 +714,110 @@ function displayPublicKey() {
  * Display private key information
  */
 function displayPrivateKey() {
+    if (isThresholdMode()) {
+        const info = thresholdSystem.getThresholdInfo();
+        const shareLines = trusteeShares.map(({ index, share }) =>
+            `Trustee ${index}: ${share.toString().substring(0, 40)}...`);
+        const display = `${info.threshold}-of-${info.shareCount} threshold key (no single private key exists)\n${shareLines.join('\n')}`;
+        document.getElementById('privateKeyLabel').textContent = 'Trustee Key Shares:';
+        document.getElementById('privateKeyText').textContent = display;
+        return;
+    }
+
+    document.getElementById('privateKeyLabel').textContent = 'Private Key (λ, μ):';
     const keyInfo = paillierSystem.getPrivateKeyInfo();
     if (keyInfo) {
-        const display = `λ: ${keyInfo.lambda.substring(0, 50)}...\nμ: ${keyInfo.mu.substring(0, 50)}...\nBit length: ${keyInfo.bitLength}`;
+        const factors = keyInfo.p ? '\np, q retained: decryption uses the CRT' : '';
+        const display = `λ: ${keyInfo.lambda.substring(0, 50)}...\nμ: ${keyInfo.mu.substring(0, 50)}...\nBit length: ${keyInfo.bitLength}${factors}`;
         document.getElementById('privateKeyText').textContent = display;
+    } else if (paillierSystem.publicKey) {
+        document.getElementById('privateKeyText').textContent = 'Not held here: the public key was loaded from a file';
     }
 }
 
 /**
- * Toggle vote selection for a candidate
+ * Toggle vote selection for a candidate in a contest
  */
-function toggleVote(candidateIndex) {
+function toggleVote(contestIndex, candidateIndex) {
     if (!isKeysGenerated) {
         updateStatus('Please generate keys first before voting.', 'error');
         return;
     }
 
-    const checkbox = document.getElementById(`vote${candidateIndex}`);
-    const candidateDiv = document.getElementById(`candidate${candidateIndex}`);
+    const votes = currentVotes[contestIndex];
+    const checkbox = document.getElementById(`vote${contestIndex}-${candidateIndex}`);
+    const candidateDiv = document.getElementById(`candidate${contestIndex}-${candidateIndex}`);
 
     // Toggle the vote
-    currentVotes[candidateIndex] = !currentVotes[candidateIndex];
-    checkbox.checked = currentVotes[candidateIndex];
+    votes[candidateIndex] = votes[candidateIndex] ? 0 : 1;
+    checkbox.checked = votes[candidateIndex] === 1;
 
     // Update visual feedback
-    if (currentVotes[candidateIndex]) {
+    if (votes[candidateIndex]) {
         candidateDiv.classList.add('selected');
     } else {
         candidateDiv.classList.remove('selected');
     }
 
     // Log the selection
-    const candidateName = `Candidate ${candidateIndex + 1}`;
-    const action = currentVotes[candidateIndex] ? 'selected' : 'deselected';
-    log(`📊 ${candidateName} ${action}`);
+    const action = votes[candidateIndex] ? 'selected' : 'deselected';
+    log(`📊 ${electionManifest.contests[contestIndex].title}: ${candidateName(contestIndex, candidateIndex)} ${action}`);
+
+    updateUIState();
+}
+
+/**
+ * Set the points or score given to a candidate in a point contest
+ * Out-of-range input is clamped to [0, maxValue]
+ */
+function setPoints(contestIndex, candidateIndex, value) {
+    if (!isKeysGenerated) {
+        updateStatus('Please generate keys first before voting.', 'error');
+        return;
+    }
+
+    const contest = electionManifest.contests[contestIndex];
+    const maxValue = Number(electionManifest.proofRules(contest).maxValue);
+    const points = Math.min(Math.max(parseInt(value, 10) || 0, 0), maxValue);
+
+    currentVotes[contestIndex][candidateIndex] = points;
+    document.getElementById(`vote${contestIndex}-${candidateIndex}`).value = String(points);
+
+    const candidateDiv = document.getElementById(`candidate${contestIndex}-${candidateIndex}`);
+    if (points > 0) {
+        candidateDiv.classList.add('selected');
+    } else {
+        candidateDiv.classList.remove('selected');
+    }
+
+    log(`📊 ${contest.title}: ${candidateName(contestIndex, candidateIndex)} given ${formatCount(contest, points)} (${totalPoints(contestIndex)} in total)`);
+
+    updateUIState();
+}
+
+/**
+ * Set the rank of a candidate in a ranked contest (0 = unranked)
+ */
+function setRank(contestIndex, candidateIndex, value) {
+    if (!isKeysGenerated) {
+        updateStatus('Please generate keys first before voting.', 'error');
+        return;
+    }
+
+    const contest = electionManifest.contests[contestIndex];
+    const rank = Math.min(Math.max(parseInt(value, 10) || 0, 0), contest.candidates.length);
+
+    currentVotes[contestIndex][candidateIndex] = rank;
+    document.getElementById(`vote${contestIndex}-${candidateIndex}`).value = String(rank);
+
+    const candidateDiv = document.getElementById(`candidate${contestIndex}-${candidateIndex}`);
+    if (rank > 0) {
+        candidateDiv.classList.add('selected');
+    } else {
+        candidateDiv.classList.remove('selected');
+    }
+
+    log(`📊 ${contest.title}: ${candidateName(contestIndex, candidateIndex)} ${rank > 0 ? `ranked ${rank}` : 'unranked'}`);
 
     updateUIState();
 }
@@ -176,96 +826,201 @@ function toggleVote(candidateIndex) {
  * Clear all vote selections
  */
 function clearVotes() {
-    for (let i = 0; i < CANDIDATE_COUNT; i++) {
-        currentVotes[i] = false;
-        const checkbox = document.getElementById(`vote${i}`);
-        const candidate = document.getElementById(`candidate${i}`);
-        if (checkbox) checkbox.checked = false;
-        if (candidate) candidate.classList.remove('selected');
-    }
+    resetCurrentBallot();
+
+    document.getElementById('votingStatus').innerHTML = '';
+
+    log('🗑️ Current selections cleared (cast ballots stay in the ballot box)');
+    updateUIState();
+}
+
+/**
+ * Reset the selections and the encrypted ballot being prepared
+ */
+function resetCurrentBallot() {
+    currentVotes.forEach((votes, c) => {
+        const checkboxes = electionManifest.contests[c].type === 'choice';
+        for (let i = 0; i < votes.length; i++) {
+            votes[i] = 0;
+            const input = document.getElementById(`vote${c}-${i}`);
+            const candidate = document.getElementById(`candidate${c}-${i}`);
+            if (input && !checkboxes) input.value = '0';
+            if (input && checkboxes) input.checked = false;
+            if (candidate) candidate.classList.remove('selected');
+        }
+    });
 
     encryptedVotes = [];
     voteProofs = [];
 
     document.getElementById('encryptedVotesDisplay').textContent = 'No votes encrypted yet';
     document.getElementById('zkpResults').textContent = 'No proofs generated yet';
-    document.getElementById('votingStatus').innerHTML = '';
-    document.getElementById('tallyResults').innerHTML = '';
+}
 
-    log('🗑️ All votes cleared');
-    updateUIState();
+/**
+ * Submit the encrypted ballot to the ballot box, which re-verifies its proofs,
+ * then clear the form for the next voter
+ */
+function castBallot() {
+    if (encryptedVotes.length === 0 || voteProofs.length === 0) {
+        updateStatus('Encrypt a ballot before casting it.', 'error');
+        return;
+    }
+
+    try {
+        const voterId = `voter-${ballotBox.size + 1}`;
+
+        // In weighted elections the authority signs the voter's weight before the ballot goes in
+        let credential = null;
+        if (electionManifest.maxWeight !== null) {
+            const weight = parseInt(document.getElementById('voterWeight').value, 10);
+            credential = weightAuthority.issueCredential(electionManifest.electionId, voterId, weight);
+            log(`⚖️ Weight authority issued ${voterId} a credential for weight ${weight}`);
+        }
+
+        const contests = electionManifest.contests.map((contest, c) => ({
+            contestId: contest.id,
+            ciphertexts: encryptedVotes[c],
+            proof: voteProofs[c]
+        }));
+        const receipt = ballotBox.submit({ contests }, { voterId, credential });
+
+        log(`🗳️ Ballot #${receipt.position} cast by ${voterId} (receipt ${receipt.ballotId})`);
+        updateStatus(`Ballot #${receipt.position} accepted. The next voter can now vote.`, 'success');
+
+        resetCurrentBallot();
+        displayBallotBox();
+        updateUIState();
+        precomputeBallotRandomness();
+
+    } catch (error) {
+        log(`❌ Ballot rejected (${error.code || 'ERROR'}): ${error.message}`);
+        updateStatus('Ballot rejected: ' + error.message, 'error');
+    }
 }
 
 /**
- * Encrypt selected votes and generate ZKPs
+ * List the ballots in the box by receipt
  */
-function encryptVotes() {
+function displayBallotBox() {
+    const receipts = ballotBox.listReceipts();
+    if (receipts.length === 0) {
+        document.getElementById('ballotBoxDisplay').textContent = 'Ballot box is empty';
+        return;
+    }
+
+    let html = '';
+    for (const receipt of receipts) {
+        html += `
+            <div class="encrypted-vote">
+                <strong>Ballot #${receipt.position}</strong> · ${receipt.voterId || 'anonymous'}${electionManifest.maxWeight !== null ? ` · weight ${receipt.weight}` : ''}<br>
+                Receipt: ${receipt.ballotId} · ${new Date(receipt.submittedAt).toLocaleTimeString()}
+            </div>
+        `;
+    }
+    html += `
+        <div class="encrypted-vote">
+            <strong>Total: ${receipts.length} ballot${receipts.length !== 1 ? 's' : ''} cast</strong>
+        </div>
+    `;
+
+    document.getElementById('ballotBoxDisplay').innerHTML = html;
+}
+
+/**
+ * Encrypt selected votes and generate ZKPs, contest by contest
+ * Each contest gets its own ciphertext vector, bit proofs and sum proof
+ */
+async function encryptVotes() {
     if (!isKeysGenerated) {
         updateStatus('Please generate keys first.', 'error');
         return;
     }
 
-    try {
-        log('🔒 Starting vote encryption and ZKP generation...');
-        updateStatus('Encrypting votes and generating Zero-Knowledge Proofs...', 'info');
+    const contests = electionManifest.contests;
 
-        // Use setTimeout to allow UI to update
-        setTimeout(() => {
-            try {
-                const plaintextVotes = currentVotes.map(vote => vote ? 1n : 0n);
-
-                // Check if at least one vote is selected for testing
-                const hasVotes = plaintextVotes.some(vote => vote === 1n);
-                if (!hasVotes) {
-                    updateStatus('Please select at least one candidate to test the system.', 'error');
-                    return;
-                }
+    // The sum proofs can only be built for a ballot that follows every contest's rules
+    const invalid = contests.filter((contest, c) => !isContestComplete(contest, c));
+    if (invalid.length > 0) {
+        const rules = invalid.map(contest => `${escapeHtml(contest.title)}: ${describeSelectionRule(contest)}`);
+        updateStatus(`Please complete the ballot. ${rules.join('; ')}.`, 'error');
+        return;
+    }
 
-                const selectedCount = plaintextVotes.filter(vote => vote === 1n).length;
-                if (selectedCount > 20) {
-                    log(`⚠️ Processing ${selectedCount} votes - this may take some time...`);
-                }
+    log('🔒 Starting vote encryption and ZKP generation...');
+    updateStatus('Encrypting votes and generating Zero-Knowledge Proofs...', 'info');
 
-                log(`📊 Vote vector: [${plaintextVotes.slice(0, 10).join(', ')}${plaintextVotes.length > 10 ? ', ...' : ''}]`);
+    const selectedCount = currentVotes.reduce((sum, votes, c) => sum + countSelections(c), 0);
+    if (selectedCount > 20) {
+        log(`⚠️ Processing ${selectedCount} votes - this may take some time...`);
+    }
 
-                // Encrypt each vote separately
-                encryptedVotes = [];
-                const randomnesses = [];
+    // Each contest's encryption and its proofs get an equal share of the progress bar
+    const operation = beginOperation('vote', 'Encrypting and proving');
+    const stageProgress = new Array(contests.length * 2).fill(0);
+    const stage = index => ({
+        signal: operation.signal,
+        onProgress: ({ done, total }) => {
+            stageProgress[index] = done / total;
+            operation.onProgress({ done: stageProgress.reduce((sum, value) => sum + value, 0), total: stageProgress.length });
+        }
+    });
 
-                for (let i = 0; i < plaintextVotes.length; i++) {
-                    const encResult = paillierSystem.encrypt(plaintextVotes[i]);
-                    encryptedVotes.push(encResult.ciphertext);
-                    randomnesses.push(encResult.randomness);
+    const pool = paillierSystem.randomnessPool;
+    const pooledBefore = pool ? pool.size : 0;
 
-                    if (plaintextVotes[i] === 1n) {
-                        log(`🔒 Candidate ${i + 1}: ${plaintextVotes[i]} → encrypted`);
-                    }
+    try {
+        const contestResults = Promise.all(contests.map(async (contest, c) => {
+            const plaintextVotes = plaintextVector(c);
+            log(`📊 ${contest.title} vote vector: [${plaintextVotes.slice(0, 10).join(', ')}${plaintextVotes.length > 10 ? ', ...' : ''}]`);
+
+            // Encrypt each vote separately
+            const encrypted = await workerPool.encrypt(plaintextVotes, stage(2 * c));
+            plaintextVotes.forEach((vote, i) => {
+                if (vote > 0n) {
+                    log(`🔒 ${entryLabel(c, i)}: ${vote} → encrypted`);
                 }
+            });
+
+            // Bit or value proofs for every entry and this contest's sum proof(s), in parallel
+            log(`🛡️ Generating Zero-Knowledge Proofs for ${contest.title}...`);
+            const ciphertexts = encrypted.map(result => result.ciphertext);
+            const proof = await workerPool.generateContestProof(ciphertexts, plaintextVotes,
+                encrypted.map(result => result.randomness), electionManifest.proofRules(contest), stage(2 * c + 1));
+            return { ciphertexts, proof };
+        }));
+
+        // Pooled pairs are taken as soon as the encryptions are queued
+        const pooledUsed = pool ? pooledBefore - pool.size : 0;
+        const results = await contestResults;
+
+        if (pooledBefore > 0) {
+            const ciphertextCount = results.reduce((sum, result) => sum + result.ciphertexts.length, 0);
+            log(`🎲 ${pooledUsed} of ${ciphertextCount} ciphertexts used precomputed randomness`);
+        }
 
-                // Generate comprehensive ZKP
-                log('🛡️ Generating Zero-Knowledge Proofs...');
-                const voteProof = zkpSystem.generateVoteProof(encryptedVotes, plaintextVotes, randomnesses);
-                voteProofs = [voteProof];
-
-                // Display encrypted votes
-                displayEncryptedVotes();
+        encryptedVotes = results.map(result => result.ciphertexts);
+        voteProofs = results.map(result => result.proof);
 
-                // Display initial ZKP status
-                displayZKPStatus();
+        // Display encrypted votes
+        displayEncryptedVotes();
 
-                log('✅ Vote encryption and ZKP generation completed!');
-                updateStatus('Votes encrypted and ZKPs generated successfully! You can now verify the proofs.', 'success');
-                updateUIState();
+        // Display initial ZKP status
+        displayZKPStatus();
 
-            } catch (error) {
-                log('❌ Encryption failed: ' + error.message);
-                updateStatus('Encryption failed: ' + error.message, 'error');
-            }
-        }, 100);
+        log('✅ Vote encryption and ZKP generation completed!');
+        updateStatus('Votes encrypted and ZKPs generated successfully! You can now verify the proofs.', 'success');
 
     } catch (error) {
-        log('❌ Encryption error: ' + error.message);
-        updateStatus('Encryption error: ' + error.message, 'error');
+        if (error.code === 'CANCELLED') {
+            log('⏹️ Vote encryption cancelled');
+            updateStatus('Encryption cancelled.', 'info');
+        } else {
+            log('❌ Encryption failed: ' + error.message);
+            updateStatus('Encryption failed: ' + error.message, 'error');
+        }
+    } finally {
+        endOperation('vote');
     }
 }
 
@@ -277,21 +1032,25 @@ function displayEncryptedVotes() {
     let displayCount = 0;
     const maxDisplay = 10; // Show only first 10 and summary
 
-    for (let i = 0; i < encryptedVotes.length; i++) {
-        if (currentVotes[i] && displayCount < maxDisplay) { // Only show selected votes
-            const shortCiphertext = encryptedVotes[i].toString().substring(0, 60) + '...';
-            html += `
-                <div class="encrypted-vote">
-                    <strong>Candidate ${i + 1}:</strong><br>
-                    ${shortCiphertext}
-                </div>
-            `;
-            displayCount++;
+    encryptedVotes.forEach((ciphertexts, c) => {
+        const plaintextVotes = plaintextVector(c);
+        for (let i = 0; i < ciphertexts.length; i++) {
+            if (plaintextVotes[i] > 0n && displayCount < maxDisplay) { // Only show selected votes
+                const shortCiphertext = ciphertexts[i].toString().substring(0, 60) + '...';
+                html += `
+                    <div class="encrypted-vote">
+                        <strong>${escapeHtml(electionManifest.contests[c].title)} · ${escapeHtml(entryLabel(c, i))}:</strong><br>
+                        ${shortCiphertext}
+                    </div>
+                `;
+                displayCount++;
+            }
         }
-    }
+    });
 
     // Add summary
-    const selectedCount = currentVotes.filter(vote => vote).length;
+    const selectedCount = currentVotes.reduce((sum, votes, c) => sum + countSelections(c), 0);
+    const candidateCount = currentVotes.reduce((sum, votes) => sum + votes.length, 0);
     if (selectedCount > maxDisplay) {
         html += `
             <div class="encrypted-vote">
@@ -302,7 +1061,7 @@ function displayEncryptedVotes() {
 
     html += `
         <div class="encrypted-vote">
-            <strong>Total: ${selectedCount} votes encrypted out of ${CANDIDATE_COUNT} candidates</strong>
+            <strong>Total: ${selectedCount} votes encrypted out of ${candidateCount} candidates in ${encryptedVotes.length} contest${encryptedVotes.length !== 1 ? 's' : ''}</strong>
         </div>
     `;
 
@@ -313,13 +1072,16 @@ function displayEncryptedVotes() {
  * Display ZKP status
  */
 function displayZKPStatus() {
-    const selectedCount = currentVotes.filter(vote => vote).length;
+    const selectedCount = currentVotes.reduce((sum, votes, c) => sum + countSelections(c), 0);
+    const bitProofCount = voteProofs.reduce((sum, proof) => sum + proof.bitProofs.length, 0);
+    const sumProofCount = voteProofs.reduce((sum, proof) => sum + countSumProofs(proof), 0);
+    const candidateCount = currentVotes.reduce((sum, votes) => sum + votes.length, 0);
     let html = `
         <div class="status info">
             <strong>ZKPs Generated:</strong><br>
-            • ${voteProofs[0].bitProofs.length} bit-value proofs (each vote is 0 or 1)<br>
-            • 1 sum proof (votes sum to valid total)<br>
-            • Selected candidates: ${selectedCount}/${CANDIDATE_COUNT}<br>
+            • ${bitProofCount} value proofs (each vote is 0 or 1, or within the contest's point range)<br>
+            • ${sumProofCount} contest sum proof${sumProofCount !== 1 ? 's' : ''} (votes sum to valid total)<br>
+            • Selected candidates: ${selectedCount}/${candidateCount}<br>
             <em>Click "Verify All ZKPs" to validate proofs</em>
         </div>
     `;
@@ -342,17 +1104,18 @@ function verifyAllZKPs() {
 
         setTimeout(() => {
             try {
-                const results = zkpSystem.verifyVoteProof(voteProofs[0]);
+                const results = electionManifest.contests.map((contest, c) =>
+                    zkpSystem.verifyContestProof(voteProofs[c], encryptedVotes[c], electionManifest.proofRules(contest)));
 
                 log('🔍 ZKP Verification Results:');
-                log(`  Overall Valid: ${results.overallValid}`);
-                log(`  Bit Proofs Valid: ${results.bitProofsValid}`);
-                log(`  Sum Proof Valid: ${results.sumProofValid}`);
+                results.forEach((result, c) => {
+                    log(`  ${electionManifest.contests[c].title}: overall ${result.overallValid}, bit proofs ${result.bitProofsValid}, sum proof ${result.sumProofValid}`);
+                });
 
                 // Display detailed results
                 displayVerificationResults(results);
 
-                if (results.overallValid) {
+                if (results.every(result => result.overallValid)) {
                     log('✅ All Zero-Knowledge Proofs verified successfully!');
                     updateStatus('All ZKPs verified successfully! The encrypted votes are valid.', 'success');
                 } else {
@@ -386,35 +1149,39 @@ function debugZKP() {
     try {
         log('🐛 Starting ZKP Debug Analysis...');
 
-        const plaintext = currentVotes[0] ? 1n : 0n; // Test first vote
-        const ciphertext = encryptedVotes[0];
-        const proof = voteProofs[0].bitProofs[0];
+        // Test first vote of the first contest; a packed contest's first slot has its own ciphertext and proof
+        const rules = electionManifest.proofRules(electionManifest.contests[0]);
+        const plaintext = rules.packing
+            ? BigIntUtils.unpackSlots(plaintextVector(0)[0], rules.packing.base, rules.packing.slots)[0]
+            : plaintextVector(0)[0];
+        const proof = rules.packing ? voteProofs[0].slotProofs[0] : voteProofs[0].bitProofs[0];
+        const { ciphertext } = proof;
+        const values = proof.branches.map((_, k) => BigInt(k));
 
-        log(`🔍 Testing vote for Candidate A:`);
+        log(`🔍 Testing vote for ${rules.packing ? `${candidateName(0, 0)}, slot 1 of the packed ballot` : entryLabel(0, 0)} (${electionManifest.contests[0].title}):`);
         log(`  Actual plaintext: ${plaintext}`);
-        log(`  Proof0 plaintext: ${proof.proof0.plaintext}`);
-        log(`  Proof1 plaintext: ${proof.proof1.plaintext}`);
+        log(`  Proof branches: ${proof.branches.length} (values 0 to ${rules.maxValue})`);
 
-        // Test decryption to verify ciphertext is correct
-        const decrypted = paillierSystem.decrypt(ciphertext);
-        log(`  Decrypted value: ${decrypted}`);
-        log(`  Match: ${decrypted === plaintext ? '✅' : '❌'}`);
-
-        // Test individual proofs
-        const result0 = zkpSystem.verifySingleBitProof(proof.proof0, ciphertext, 0n,
-            paillierSystem.publicKey.n, paillierSystem.publicKey.g, paillierSystem.publicKey.nSquared);
-        const result1 = zkpSystem.verifySingleBitProof(proof.proof1, ciphertext, 1n,
-            paillierSystem.publicKey.n, paillierSystem.publicKey.g, paillierSystem.publicKey.nSquared);
+        // Decrypting a single ballot's ciphertext is only allowed in audit mode
+        if (paillierSystem.auditMode) {
+            const decrypted = paillierSystem.decryptBallotCiphertext(ciphertext, decryptWithProof);
+            log(`  Decrypted value (audit mode): ${decrypted}`);
+            log(`  Match: ${decrypted === plaintext ? '✅' : '❌'}`);
+        } else {
+            log('  Decryption check skipped (enable audit mode to decrypt individual ballots)');
+        }
 
-        log(`  Proof0 (for value 0): ${result0 ? '✅' : '❌'}`);
-        log(`  Proof1 (for value 1): ${result1 ? '✅' : '❌'}`);
+        // Test individual branches: z^n = a * (c / g^v)^e (mod n^2)
+        proof.branches.forEach((branch, k) => {
+            const valid = zkpSystem.verifyBranch(branch, ciphertext, values[k]);
+            log(`  Branch ${k} (c encrypts ${values[k]}): ${valid ? '✅' : '❌'}`);
+        });
 
         // Test challenge consistency
-        const totalChallenge = zkpSystem.generateChallenge(ciphertext, proof.proof0.a, proof.proof1.a);
-        const challengeSum = (proof.proof0.e + proof.proof1.e) % paillierSystem.publicKey.n;
-        log(`  Challenge sum: ${challengeSum.toString().substring(0, 20)}...`);
-        log(`  Expected challenge: ${totalChallenge.toString().substring(0, 20)}...`);
-        log(`  Challenge match: ${challengeSum === totalChallenge ? '✅' : '❌'}`);
+        const result = zkpSystem.verifyValueProof(proof, rules.maxValue);
+        log(`  Challenge sum: ${result.details.challengeSum.substring(0, 20)}...`);
+        log(`  Expected challenge: ${result.details.expectedChallenge.substring(0, 20)}...`);
+        log(`  Challenge match: ${result.details.challengeValid ? '✅' : '❌'}`);
 
     } catch (error) {
         log(`❌ Debug error: ${error.message}`);
@@ -422,46 +1189,217 @@ function debugZKP() {
 }
 
 /**
- * Compute homomorphic tally using private key
+ * Decrypt with the private key, or in threshold mode with the first k trustees:
+ * each produces a proven partial decryption and the verified partials are combined
+ * @returns {object} {plaintext, proof} where the proof needs only public data to check
+ */
+function decryptWithProof(ciphertext) {
+    if (!isThresholdMode()) {
+        return paillierSystem.decryptWithProof(ciphertext);
+    }
+
+    const trustees = trusteeShares.slice(0, thresholdSystem.params.threshold);
+    return thresholdSystem.decryptWithProof(ciphertext, trustees);
+}
+
+/**
+ * Check a decryption proof from the private key holder or from the trustees
+ */
+function verifyDecryption(ciphertext, plaintext, proof) {
+    if (!proof) return false;
+    return proof.type === 'threshold'
+        ? thresholdSystem.verifyDecryptionProof(ciphertext, plaintext, proof)
+        : paillierSystem.verifyDecryptionProof(ciphertext, plaintext, proof, paillierSystem.publicKey);
+}
+
+/**
+ * Check the elimination rounds of a published IRV contest from the cast rankings
+ * and the public weights (see BallotBox#verifyInstantRunoff)
+ * @returns {boolean}
+ */
+function verifyRunoffRounds(tally) {
+    const weights = publishedTally.weightLog
+        ? publishedTally.weightLog.map(entry => entry.weight)
+        : tally.rankings.map(() => 1);
+    return ballotBox.verifyInstantRunoff(electionManifest.getContest(tally.contestId),
+        tally.rankings, weights, tally, verifyDecryption);
+}
+
+/**
+ * Check one contest of a published tally using public data only: the aggregates must
+ * be the products of the ballots, and each total must carry a valid decryption proof
+ * A packed contest has one proven total, which must unpack to the per-candidate totals
+ * @param {object} tally - {ballots, aggregates, totals, proofs} for the contest, plus packedTotals if packed
+ * @returns {boolean[]} One result per candidate
+ */
+function verifyTallyProofs(tally) {
+    const aggregates = paillierSystem.aggregateBallots(tally.ballots);
+    const decrypted = tally.packedTotals || tally.totals;
+
+    const results = decrypted.map((total, i) =>
+        aggregates[i] === tally.aggregates[i] && verifyDecryption(aggregates[i], total, tally.proofs[i]));
+    if (!tally.packedTotals) {
+        return results;
+    }
+
+    const { base, slots } = electionManifest.packing(electionManifest.getContest(tally.contestId));
+    const unpacked = BigIntUtils.unpackSlots(tally.packedTotals[0], base, slots);
+    return tally.totals.map((total, i) => results[0] && unpacked[i] === total);
+}
+
+/**
+ * Check the published weight log: every credential must carry a valid authority
+ * signature for its ballot's voter, and each weighted ballot must be the cast
+ * ballot raised to that weight
+ * @returns {boolean}
+ */
+function verifyWeightLog(tally) {
+    let allValid = true;
+    tally.weightLog.forEach((entry, b) => {
+        const { credential } = entry;
+        const signed = credential !== null &&
+            WeightAuthority.verifyCredential(credential, weightAuthority.publicKey) &&
+            credential.electionId === electionManifest.electionId &&
+            credential.voterId === entry.voterId && credential.weight === entry.weight;
+        const applied = tally.contests.every(contestTally => contestTally.ballots[b].every((ciphertext, i) =>
+            ciphertext === paillierSystem.scalarMultiply(contestTally.unweightedBallots[b][i], BigInt(entry.weight))));
+
+        log(`  ⚖️ ${entry.voterId}: weight ${entry.weight} ${signed ? '✅ signed' : '❌ credential invalid'}, ${applied ? '✅ applied' : '❌ not applied as logged'}`);
+        allValid = allValid && signed && applied;
+    });
+    return allValid;
+}
+
+/**
+ * Re-verify the published tally as an observer would
+ */
+function verifyPublishedTally() {
+    if (!publishedTally) {
+        updateStatus('No tally has been published yet.', 'error');
+        return;
+    }
+
+    log('🔍 Verifying published tally with the public key only...');
+    let allValid = true;
+    publishedTally.contests.forEach((contestTally, c) => {
+        log(`  ${electionManifest.contests[c].title}:`);
+        verifyTallyProofs(contestTally).forEach((valid, i) => {
+            log(`    ${candidateName(c, i)}: total ${contestTally.totals[i]} ${valid ? '✅ proven' : '❌ proof invalid'}`);
+            allValid = allValid && valid;
+        });
+        if (contestTally.rounds) {
+            const roundsValid = verifyRunoffRounds(contestTally);
+            log(`    IRV rounds: ${contestTally.rounds.length} ${roundsValid ? '✅ proven' : '❌ proofs invalid'}`);
+            allValid = allValid && roundsValid;
+        }
+    });
+    if (publishedTally.weightLog) {
+        log('  Weight log:');
+        allValid = verifyWeightLog(publishedTally) && allValid;
+    }
+
+    log(allValid ? '✅ Every published total is the correct decryption' : '❌ Published tally failed verification');
+    updateStatus(allValid ? 'Published tally verified.' : 'Published tally failed verification!', allValid ? 'success' : 'error');
+}
+
+/**
+ * Toggle audit mode, which allows decrypting an individual ballot
+ */
+function toggleAuditMode() {
+    paillierSystem.auditMode = document.getElementById('auditMode').checked;
+    log(paillierSystem.auditMode
+        ? '🔍 Audit mode enabled: individual ballots can be decrypted'
+        : '🔒 Audit mode disabled: only aggregate totals are decrypted');
+}
+
+/**
+ * Compute the per-contest homomorphic tally using the private key or trustee shares
+ * Only per-candidate aggregates are decrypted, never a ballot on its own
  */
 function computeHomomorphicTally() {
-    if (encryptedVotes.length === 0) {
-        updateStatus('No encrypted votes to tally. Please encrypt votes first.', 'error');
+    if (ballotBox.size === 0) {
+        updateStatus('The ballot box is empty. Please cast at least one ballot first.', 'error');
         return;
     }
 
-    if (!isKeysGenerated) {
+    if (!isKeysGenerated || (!isThresholdMode() && !paillierSystem.privateKey)) {
         updateStatus('Private key not available for tallying.', 'error');
         return;
     }
 
     try {
         log('🔓 Starting homomorphic tally computation...');
-        log('⚠️  WARNING: Using private key for decryption!');
-        updateStatus('Computing homomorphic tally... (Using private key)', 'info');
+        if (isThresholdMode()) {
+            const trustees = trusteeShares.slice(0, thresholdSystem.params.threshold);
+            log(`🔑 Trustees ${trustees.map(share => share.index).join(', ')} provide proven partial decryptions`);
+            updateStatus('Computing homomorphic tally... (Using trustee shares)', 'info');
+        } else {
+            log('⚠️  WARNING: Using private key for decryption!');
+            updateStatus('Computing homomorphic tally... (Using private key)', 'info');
+        }
 
         setTimeout(() => {
             try {
-                const results = [];
-
-                // Decrypt each vote individually
-                for (let i = 0; i < encryptedVotes.length; i++) {
-                    const decryptedVote = paillierSystem.decrypt(encryptedVotes[i]);
-                    results.push(Number(decryptedVote));
-                    if (decryptedVote === 1n) {
-                        log(`🔓 Candidate ${i + 1}: ${decryptedVote}`);
-                    }
+                // Multiply the ballots per candidate and decrypt only those totals
+                log(`🧮 Aggregating ${ballotBox.size} ballot(s) per candidate in each contest; individual ballots stay encrypted`);
+                if (electionManifest.maxWeight !== null) {
+                    const totalWeight = ballotBox.weightLog().reduce((sum, entry) => sum + entry.weight, 0);
+                    log(`⚖️ Raising each ballot to its signed weight before aggregating (total weight ${totalWeight})`);
                 }
+                if (ballotBox.size === 1 && paillierSystem.auditMode) {
+                    log('🔍 Audit mode: a single-ballot tally reveals that ballot');
+                }
+                // Each blinded multiplication in an IRV round is blinded by every trustee, or by the key holder
+                const blindingParties = isThresholdMode() ? trusteeShares.length : 1;
+                if (electionManifest.contests.some(contest => contest.type === 'ranked' && contest.method === 'irv')) {
+                    log(`🔁 IRV rounds are counted under encryption, blinded by ${isThresholdMode() ? `all ${blindingParties} trustees` : 'the key holder'}; only each round's totals are decrypted`);
+                }
+                const tally = ballotBox.tally(decryptWithProof, { blindingParties });
+
+                // Publish the totals with their decryption proofs, then check them as an observer would;
+                // weighted elections also publish which weight went into which ballot
+                const weighted = electionManifest.maxWeight !== null;
+                publishedTally = {
+                    ballotCount: tally.ballotCount,
+                    contests: tally.contests.map(contestTally => ({
+                        ...contestTally,
+                        ballots: ballotBox.tallyInputs(contestTally.contestId),
+                        ...(contestTally.rounds ? { rankings: ballotBox.getCiphertexts(contestTally.contestId) } : {}),
+                        ...(weighted ? { unweightedBallots: ballotBox.unweightedInputs(contestTally.contestId) } : {})
+                    })),
+                    ...(weighted ? { weightLog: ballotBox.weightLog() } : {})
+                };
+
+                const contestResults = publishedTally.contests.map((contestTally, c) => {
+                    const contest = electionManifest.contests[c];
+                    const results = contestTally.totals.map(total => Number(total));
+                    const proofResults = verifyTallyProofs(contestTally);
+                    const totalVotes = results.reduce((sum, votes) => sum + votes, 0);
+
+                    log(`🗳️ ${contest.title}:`);
+                    log(`  🧾 Decryption proofs: ${proofResults.filter(valid => valid).length}/${proofResults.length} verified with the public key`);
+                    results.forEach((votes, i) => {
+                        if (votes > 0) {
+                            log(`  🔓 ${candidateName(c, i)}: ${votes}`);
+                        }
+                    });
+                    log(`  📊 Total ${talliesPoints(contest) ? 'points' : 'votes'} cast: ${totalVotes}`);
+
+                    if (contestTally.rounds) {
+                        contestTally.rounds.forEach((round, r) => {
+                            const eliminated = round.eliminated === null ? '' : ` → ${candidateName(c, round.eliminated)} eliminated`;
+                            log(`  🔁 Round ${r + 1}: ${round.counts.map((count, i) => `${candidateName(c, i)} ${count}`).join(', ')}${eliminated}`);
+                        });
+                        log(`  🏆 IRV winner: ${candidateName(c, contestTally.winner)}`);
+                        log(`  🧾 Rounds: ${verifyRunoffRounds(contestTally) ? '✅ every round total proven' : '❌ round proofs invalid'}`);
+                    }
 
-                // Compute homomorphic sum
-                const encryptedSum = paillierSystem.sumCiphertexts(encryptedVotes);
-                const decryptedSum = paillierSystem.decrypt(encryptedSum);
-
-                log(`📊 Total votes cast: ${decryptedSum}`);
+                    return { contest, results, totalVotes, proofResults, rounds: contestTally.rounds, winner: contestTally.winner };
+                });
                 log('✅ Homomorphic tally computation completed!');
 
                 // Display results
-                displayTallyResults(results, Number(decryptedSum));
+                displayTallyResults(contestResults, tally.ballotCount);
 
                 updateStatus('Tally computed successfully! Results displayed below.', 'success');
                 updateUIState();
@@ -479,9 +1417,10 @@ function computeHomomorphicTally() {
 }
 
 /**
- * Display tally results
+ * Display tally results, one block per contest
+ * @param {object[]} contestResults - [{contest, results, totalVotes, proofResults}]
  */
-function displayTallyResults(results, totalVotes) {
+function displayTallyResults(contestResults, ballotCount) {
     let html = `
         <div class="status success">
             <strong>🏆 Voting Results</strong>
@@ -489,30 +1428,54 @@ function displayTallyResults(results, totalVotes) {
         <div class="results-section">
     `;
 
-    // Individual results - show all candidates
-    html += '<div><h3>All Candidates Results</h3>';
-    for (let i = 0; i < results.length; i++) {
-        const votes = results[i];
-        const percentage = totalVotes > 0 ? (votes / totalVotes * 100).toFixed(1) : 0;
-        const voteClass = votes > 0 ? 'selected' : '';
-        html += `
-            <div class="encrypted-vote ${voteClass}">
-                <strong>Candidate ${i + 1}:</strong> ${votes} vote${votes !== 1 ? 's' : ''} (${percentage}%)
-            </div>
-        `;
-    }
+    // Individual results - show all candidates of every contest
+    html += '<div>';
+    contestResults.forEach(({ contest, results, totalVotes, rounds, winner }, c) => {
+        html += `<h3>${escapeHtml(contest.title)}${rounds ? ' <small>(first preferences)</small>' : ''}</h3>`;
+        for (let i = 0; i < results.length; i++) {
+            const votes = results[i];
+            const percentage = totalVotes > 0 ? (votes / totalVotes * 100).toFixed(1) : 0;
+            const voteClass = votes > 0 ? 'selected' : '';
+            html += `
+                <div class="encrypted-vote ${voteClass}">
+                    <strong>${escapeHtml(candidateName(c, i))}:</strong> ${formatCount(contest, votes)} (${percentage}%)
+                </div>
+            `;
+        }
+        if (rounds) {
+            rounds.forEach((round, r) => {
+                const counts = round.counts.map((count, i) => `${escapeHtml(candidateName(c, i))} ${count}`).join(', ');
+                const eliminated = round.eliminated === null ? '' : ` → ${escapeHtml(candidateName(c, round.eliminated))} eliminated`;
+                html += `<div class="encrypted-vote"><strong>Round ${r + 1}:</strong> ${counts}${eliminated}</div>`;
+            });
+            html += `<div class="encrypted-vote selected"><strong>IRV Winner:</strong> ${escapeHtml(candidateName(c, winner))}</div>`;
+        }
+    });
     html += '</div>';
 
     // Summary
+    const proofResults = contestResults.flatMap(entry => entry.proofResults);
+    const totalVotes = contestResults.filter(entry => !talliesPoints(entry.contest))
+        .reduce((sum, entry) => sum + entry.totalVotes, 0);
+    const totalPointsCast = contestResults.filter(entry => talliesPoints(entry.contest))
+        .reduce((sum, entry) => sum + entry.totalVotes, 0);
+    const candidateCount = contestResults.reduce((sum, entry) => sum + entry.results.length, 0);
     html += `
         <div>
             <h3>Summary</h3>
             <div class="encrypted-vote">
+                <strong>Election:</strong> ${escapeHtml(electionManifest.title)}<br>
+                <strong>Ballots Tallied:</strong> ${ballotCount}<br>
+                ${publishedTally.weightLog ? `<strong>Total Weight:</strong> ${publishedTally.weightLog.reduce((sum, entry) => sum + entry.weight, 0)}<br>` : ''}
+                <strong>Contests:</strong> ${contestResults.length}<br>
                 <strong>Total Votes:</strong> ${totalVotes}<br>
-                <strong>Total Candidates:</strong> ${CANDIDATE_COUNT}<br>
-                <strong>Candidates with Votes:</strong> ${results.filter(v => v > 0).length}<br>
+                ${contestResults.some(entry => talliesPoints(entry.contest)) ? `<strong>Total Points:</strong> ${totalPointsCast}<br>` : ''}
+                <strong>Total Candidates:</strong> ${candidateCount}<br>
                 <strong>Homomorphic Property:</strong> ✅ Verified<br>
-                <strong>Privacy:</strong> ✅ Individual votes encrypted<br>
+                <strong>Decryption Proofs:</strong> ${proofResults.every(valid => valid) ? '✅' : '❌'} ${proofResults.filter(valid => valid).length}/${proofResults.length} totals proven<br>
+                <strong>Privacy:</strong> ${contestResults.some(entry => entry.rounds)
+                    ? '✅ Only per-candidate and per-round totals decrypted'
+                    : '✅ Only per-candidate totals decrypted'}<br>
                 <strong>Integrity:</strong> ✅ ZKPs validated
             </div>
         </div>
@@ -528,11 +1491,17 @@ function displayTallyResults(results, totalVotes) {
  */
 function updateUIState() {
     // Key generation buttons
-    document.getElementById('generateKeys').disabled = false;
-    document.getElementById('clearKeys').disabled = !isKeysGenerated;
+    const busy = currentOperation !== null;
+    document.getElementById('generateKeys').disabled = busy;
+    document.getElementById('publicKeyFile').disabled = busy;
+    document.getElementById('exportPublicKeyJson').disabled = !isKeysGenerated;
+    document.getElementById('exportPublicKeyPem').disabled = !isKeysGenerated;
+    document.getElementById('exportPrivateKey').disabled = !paillierSystem.privateKey || busy;
+    document.getElementById('privateKeyFile').disabled = busy;
+    document.getElementById('clearKeys').disabled = !isKeysGenerated && !busy;
 
     // Voting buttons
-    document.getElementById('encryptVotes').disabled = !isKeysGenerated;
+    document.getElementById('encryptVotes').disabled = !isKeysGenerated || busy;
     document.getElementById('clearVotes').disabled = !isKeysGenerated;
 
     // Verification and tally buttons
@@ -541,7 +1510,10 @@ function updateUIState() {
 
     document.getElementById('verifyZKPs').disabled = !hasEncryptedVotes;
     document.getElementById('debugZKP').disabled = !hasEncryptedVotes;
-    document.getElementById('computeTally').disabled = !hasEncryptedVotes;
+    document.getElementById('castBallot').disabled = !hasProofs || busy;
+    document.getElementById('voterWeight').disabled = electionManifest.maxWeight === null;
+    document.getElementById('computeTally').disabled = ballotBox.size === 0;
+    document.getElementById('verifyTally').disabled = !publishedTally;
     document.getElementById('sendVote').disabled = !hasEncryptedVotes || !hasProofs;
 }
 
@@ -577,15 +1549,42 @@ function clearLog() {
 }
 
 /**
- * Run system self-tests
+ * Run system self-tests from the "Run Self-Tests" button, never on page load: the
+ * tests generate several keys, including a full distributed key generation
+ * Each step yields to the browser first so the log shows which one is running
  */
-function runSelfTests() {
+async function runSelfTests() {
+    const button = document.getElementById('runSelfTests');
+    button.disabled = true;
+    const step = async (label, test) => {
+        log(`🧪 ${label}...`);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        await test();
+    };
+
     try {
-        log('🧪 Running system self-tests...');
+        log('🧪 Running system self-tests; the page may pause for several seconds...');
+        updateStatus('Running self-tests...', 'info');
 
         // Initialize systems
         const testPaillier = new PaillierCryptosystem();
-        testPaillier.selfTest();
+        testPaillier.keySize = 1024; // test-size key; the default 2048 bits makes the ZKP tests slow
+        await step('Paillier', () => testPaillier.selfTest());
+
+        // Reuse the self-test keys for a quick proof check; forged proofs are tested by npm test
+        await step('Zero-knowledge proofs', () => new ZKProofSystem(testPaillier).selfTest());
+
+        // Key files written and read back with the same keys
+        await step('Key files', () => KeySerializer.selfTest(testPaillier));
+
+        // Threshold decryption on its own small key
+        await step('Threshold decryption', () => new ThresholdPaillier(new PaillierCryptosystem()).selfTest());
+
+        // Dealer-free key generation with all authorities simulated locally
+        await step('Distributed key generation', () => new LocalKeyCeremony().selfTest());
+
+        // Weight credentials on their own small signing key
+        await step('Weight credentials', () => new WeightAuthority().selfTest());
 
         log('✅ All self-tests passed!');
         updateStatus('Self-tests completed successfully!', 'success');
@@ -593,79 +1592,95 @@ function runSelfTests() {
     } catch (error) {
         log('❌ Self-tests failed: ' + error.message);
         updateStatus('Self-tests failed: ' + error.message, 'error');
+    } finally {
+        button.disabled = false;
     }
 }
 
 /**
  * Display detailed verification results
+ * @param {object[]} contestResults - verifyVoteProof results, one per contest
  */
-function displayVerificationResults(results) {
+function displayVerificationResults(contestResults) {
     let html = '';
 
     // Overall status
-    html += `<div class="status ${results.overallValid ? 'success' : 'error'}">
-        <strong>Overall Verification: ${results.overallValid ? '✅ PASSED' : '❌ FAILED'}</strong>
+    const overallValid = contestResults.every(results => results.overallValid);
+    html += `<div class="status ${overallValid ? 'success' : 'error'}">
+        <strong>Overall Verification: ${overallValid ? '✅ PASSED' : '❌ FAILED'}</strong>
     </div>`;
 
-    // Summary of bit proof results
-    const totalProofs = results.bitProofResults.length;
-    const validProofs = results.bitProofResults.filter(r => r.valid).length;
+    contestResults.forEach((results, c) => {
+        html += `<h3>${escapeHtml(electionManifest.contests[c].title)}</h3>`;
 
-    html += '<h4>Individual Vote Proofs (0 or 1):</h4>';
-    html += `
-        <div class="encrypted-vote">
-            <strong>Summary:</strong> ${validProofs}/${totalProofs} bit proofs passed<br>
-            <strong>Total Candidates:</strong> ${CANDIDATE_COUNT}<br>
-            <strong>Selected Votes:</strong> ${currentVotes.filter(v => v).length}
-        </div>
-    `;
+        // Summary of bit proof results
+        const totalProofs = results.bitProofResults.length;
+        const validProofs = results.bitProofResults.filter(r => r.valid).length;
 
-    // Show details for failed proofs or first few if all passed
-    const showDetails = results.bitProofResults.filter(r => !r.valid).slice(0, 10);
-    if (showDetails.length === 0 && validProofs > 0) {
-        // Show first few successful ones if all passed
-        showDetails.push(...results.bitProofResults.filter(r => r.valid).slice(0, 5));
-    }
-
-    for (const bitResult of showDetails) {
-        const status = bitResult.valid ? '✅' : '❌';
+        const { maxValue, packing } = electionManifest.proofRules(electionManifest.contests[c]);
+        const values = maxValue === 1n ? '0 or 1' : `0 to ${maxValue}`;
+        const range = packing ? `packed, ${packing.slots} slots of ${values}` : values;
+        html += `<h4>Individual Vote Proofs (${range}):</h4>`;
         html += `
             <div class="encrypted-vote">
-                ${status} <strong>Candidate ${bitResult.candidateIndex + 1}:</strong> 
-                ${bitResult.valid ? 'Valid' : 'Invalid'}
-                ${bitResult.error ? `<br><em>Error: ${bitResult.error}</em>` : ''}
-                ${bitResult.details ? `
-                    <br><small>
-                        Proof0: ${bitResult.details.proof0Valid ? '✅' : '❌'}, 
-                        Proof1: ${bitResult.details.proof1Valid ? '✅' : '❌'}, 
-                        Challenge: ${bitResult.details.challengeValid ? '✅' : '❌'}
-                    </small>
-                ` : ''}
+                <strong>Summary:</strong> ${validProofs}/${totalProofs} bit proofs passed<br>
+                <strong>Total Candidates:</strong> ${currentVotes[c].length}<br>
+                <strong>Selected Votes:</strong> ${countSelections(c)}
             </div>
         `;
-    }
 
-    if (results.bitProofResults.length > showDetails.length) {
+        // Show details for failed proofs or first few if all passed
+        const showDetails = results.bitProofResults.filter(r => !r.valid).slice(0, 10);
+        if (showDetails.length === 0 && validProofs > 0) {
+            // Show first few successful ones if all passed
+            showDetails.push(...results.bitProofResults.filter(r => r.valid).slice(0, 5));
+        }
+
+        for (const bitResult of showDetails) {
+            const status = bitResult.valid ? '✅' : '❌';
+            html += `
+                <div class="encrypted-vote">
+                    ${status} <strong>${escapeHtml(entryLabel(c, bitResult.candidateIndex))}:</strong> 
+                    ${bitResult.valid ? 'Valid' : 'Invalid'}
+                    ${bitResult.error ? `<br><em>Error: ${bitResult.error}</em>` : ''}
+                    ${bitResult.details ? `
+                        <br><small>
+                            Proof0: ${bitResult.details.proof0Valid ? '✅' : '❌'}, 
+                            Proof1: ${bitResult.details.proof1Valid ? '✅' : '❌'}, 
+                            Challenge: ${bitResult.details.challengeValid ? '✅' : '❌'}
+                        </small>
+                    ` : ''}
+                </div>
+            `;
+        }
+
+        if (results.bitProofResults.length > showDetails.length) {
+            html += `
+                <div class="encrypted-vote">
+                    <em>... and ${results.bitProofResults.length - showDetails.length} more proofs</em>
+                </div>
+            `;
+        }
+
+        // Sum proof result
+        html += '<h4>Sum Constraint Proof:</h4>';
+        const sumStatus = results.sumProofValid ? '✅' : '❌';
         html += `
             <div class="encrypted-vote">
-                <em>... and ${results.bitProofResults.length - showDetails.length} more proofs</em>
+                ${sumStatus} <strong>Sum equals valid total:</strong> 
+                ${results.sumProofValid ? 'Valid' : 'Invalid'}
+                ${results.sumProofError ? `<br><em>Error: ${results.sumProofError}</em>` : ''}
+                ${results.sumProofDetails && results.sumProofDetails.implied ? `
+                    <br><small>No sum proof needed: implied by the value proofs</small>
+                ` : ''}
+                ${results.sumProofDetails && !results.sumProofDetails.implied ? `
+                    <br><small>Expected: ${results.sumProofDetails.expectedSum !== undefined
+                        ? results.sumProofDetails.expectedSum
+                        : `${results.sumProofDetails.minSum} to ${results.sumProofDetails.maxSum}`}</small>
+                ` : ''}
             </div>
         `;
-    }
-
-    // Sum proof result
-    html += '<h4>Sum Constraint Proof:</h4>';
-    const sumStatus = results.sumProofValid ? '✅' : '❌';
-    html += `
-        <div class="encrypted-vote">
-            ${sumStatus} <strong>Sum equals valid total:</strong> 
-            ${results.sumProofValid ? 'Valid' : 'Invalid'}
-            ${results.sumProofError ? `<br><em>Error: ${results.sumProofError}</em>` : ''}
-            ${results.sumProofDetails ? `
-                <br><small>Expected: ${results.sumProofDetails.expectedSum}</small>
-            ` : ''}
-        </div>
-    `;
+    });
 
     document.getElementById('zkpResults').innerHTML = html;
 }
@@ -712,48 +1727,34 @@ function prepareVotePayload() {
             nSquared: paillierSystem.publicKey.nSquared.toString()
         },
 
-        // Encrypted votes for each candidate
-        encryptedVotes: encryptedVotes.map((vote, index) => ({
-            candidateId: index,
-            candidateName: `Candidate ${index + 1}`,
-            ciphertext: vote.toString()
-        })),
-
-        // Zero-Knowledge Proofs
-        zkpProofs: {
-            // Individual bit proofs (each vote is 0 or 1)
-            bitProofs: voteProofs[0].bitProofs.map((proof, index) => ({
-                candidateId: index,
-                proof0: {
-                    a: proof.proof0.a.toString(),
-                    e: proof.proof0.e.toString(),
-                    z: proof.proof0.z.toString(),
-                    rResponse: proof.proof0.rResponse.toString()
-                },
-                proof1: {
-                    a: proof.proof1.a.toString(),
-                    e: proof.proof1.e.toString(),
-                    z: proof.proof1.z.toString(),
-                    rResponse: proof.proof1.rResponse.toString()
-                },
-                ciphertext: proof.ciphertext.toString()
+        // Which election the ballot is for, as declared in the manifest
+        electionId: electionManifest.electionId,
+
+        // One entry per contest, in manifest order
+        contests: electionManifest.contests.map((contest, c) => ({
+            contestId: contest.id,
+
+            // Encrypted votes for each candidate
+            // Ranked contests list one entry per (candidate, rank) pair; rank is omitted otherwise.
+            // A packed contest has a single entry listing its candidates in slot order.
+            encryptedVotes: electionManifest.ballotEntries(contest).map((entry, index) => (entry.candidateIds ? {
+                candidateIds: entry.candidateIds,
+                ciphertext: encryptedVotes[c][index].toString()
+            } : {
+                candidateId: entry.candidateId,
+                rank: entry.rank,
+                candidateName: candidateName(c, entry.candidateIndex),
+                ciphertext: encryptedVotes[c][index].toString()
             })),
 
-            // Sum constraint proof (votes sum to exactly 1)
-            sumProof: {
-                encryptedSum: voteProofs[0].sumProof.encryptedSum.toString(),
-                expectedSum: voteProofs[0].sumProof.expectedSum.toString(),
-                a: voteProofs[0].sumProof.a.toString(),
-                e: voteProofs[0].sumProof.e.toString(),
-                z: voteProofs[0].sumProof.z.toString(),
-                rResponse: voteProofs[0].sumProof.rResponse.toString()
-            }
-        },
+            // Zero-Knowledge Proofs: bit proofs (each vote is 0 or 1) and the contest sum proof
+            zkpProofs: ZKProofSystem.serializeVoteProof(voteProofs[c])
+        })),
 
         // Vote selections for verification (in real system, this would be omitted)
         debugInfo: {
-            selectedCandidates: currentVotes.map((vote, index) => vote ? index : null).filter(x => x !== null),
-            voteVector: currentVotes.map(vote => vote ? 1 : 0)
+            selectedCandidates: currentVotes.map(votes => votes.map((vote, index) => vote > 0 ? index : null).filter(x => x !== null)),
+            voteVectors: currentVotes.map(votes => votes.slice())
         }
     };
 }
@@ -771,15 +1772,18 @@ function showPayloadModal(payload) {
     
     // Calculate stats
     const sizeKB = (payloadJson.length / 1024).toFixed(2);
-    const selectedCount = currentVotes.filter(v => v).length;
-    const totalProofs = payload.zkpProofs.bitProofs.length;
+    const selectedCount = currentVotes.reduce((sum, votes, c) => sum + countSelections(c), 0);
+    const totalProofs = payload.contests.reduce((sum, contest) => sum + contest.zkpProofs.bitProofs.length, 0);
+    const candidateCount = currentVotes.reduce((sum, votes) => sum + votes.length, 0);
+    const contestCount = payload.contests.length;
+    const sumProofCount = payload.contests.reduce((sum, contest) => sum + countSumProofs(contest.zkpProofs), 0);
     
     // Display stats
     payloadStats.innerHTML = `
         <strong>📊 Payload Statistics:</strong><br>
         • Size: ${sizeKB} KB<br>
-        • Selected Candidates: ${selectedCount}/${CANDIDATE_COUNT}<br>
-        • ZK Proofs: ${totalProofs} bit proofs + 1 sum proof<br>
+        • Selected Candidates: ${selectedCount}/${candidateCount} in ${contestCount} contest${contestCount !== 1 ? 's' : ''}<br>
+        • ZK Proofs: ${totalProofs} value proofs + ${sumProofCount} sum proof${sumProofCount !== 1 ? 's' : ''}<br>
         • Endpoint: <code>POST http://localhost:3000/api/vote</code>
     `;
 
@@ -942,9 +1946,6 @@ document.addEventListener('DOMContentLoaded', function () {
     log('💡 This is a demonstration system for educational purposes');
     log('🔐 All cryptographic operations are performed client-side');
 
-    // Run self-tests
-    runSelfTests();
-
     // Add modal event listeners
     setupModalEventListeners();
 });
@@ -1,377 +1,1175 @@
 /**
  * Zero-Knowledge Proof System for Paillier Encrypted Votes
- * Implements proofs that encrypted values are 0 or 1 and sum constraints
+ * Implements proofs that encrypted values are 0 or 1 (or within [0, k] for points and scores)
+ * and that their sum is exact or within a range, proofs that a packed ciphertext
+ * packs separately proven slot values, and multiplication proofs for IRV rounds
  */
 
-class ZKProofSystem {
-    constructor(paillierSystem) {
-        this.paillier = paillierSystem;
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./bigint-utils'), require('./sha256'));
+    } else {
+        // Browser globals, kept for the <script> tags in index.html
+        const exports = factory(root, root);
+        root.ZKProofSystem = exports.ZKProofSystem;
     }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (deps, hashDeps) {
+    'use strict';
 
-    /**
-     * Generate a Zero-Knowledge Proof that an encrypted value is either 0 or 1
-     * Uses disjunctive proof with Fiat-Shamir heuristic
-     * 
-     * @param {bigint} plaintext - The actual plaintext (0 or 1)
-     * @param {bigint} ciphertext - The encrypted value
-     * @param {bigint} randomness - The randomness used in encryption
-     * @returns {object} The ZK proof
-     */
-    proveBitValue(plaintext, ciphertext, randomness) {
-        if (plaintext !== 0n && plaintext !== 1n) {
-            throw new Error('Plaintext must be 0 or 1 for bit proof');
-        }
+    const { BigIntUtils } = deps;
+    const { SHA256 } = hashDeps;
 
-        const { n, g, nSquared } = this.paillier.publicKey;
+    // Current proof format. v1 used a 31-bit string hash for challenges,
+    // v2 a bit proof that never checked the plaintext against 0/1,
+    // v3 a sum proof that never checked the sum against the expected value
+    const PROOF_VERSION = 4;
 
-        if (plaintext === 0n) {
-            // Real proof for 0, simulated proof for 1
+    // Domain-separation tags, one per proof type, prefixed to every challenge transcript
+    const DOMAIN_BIT_VALUE = `paillier-voting/zkp/v${PROOF_VERSION}/bit-value`;
+    const DOMAIN_VALUE_RANGE = `paillier-voting/zkp/v${PROOF_VERSION}/value-range`;
+    const DOMAIN_SUM = `paillier-voting/zkp/v${PROOF_VERSION}/sum`;
+    const DOMAIN_SUM_RANGE = `paillier-voting/zkp/v${PROOF_VERSION}/sum-range`;
+    const DOMAIN_PACKED = `paillier-voting/zkp/v${PROOF_VERSION}/packed`;
+    const DOMAIN_MULTIPLICATION = `paillier-voting/zkp/v${PROOF_VERSION}/multiplication`;
 
-            // Generate random values for real proof (value 0)
-            const s0 = BigIntUtils.randomRange(1n, n);
-            const rPrime0 = BigIntUtils.randomRange(1n, n);
-            const a0 = (BigIntUtils.modPow(g, s0, nSquared) * BigIntUtils.modPow(rPrime0, n, nSquared)) % nSquared;
+    // Challenges are 256-bit SHA-256 outputs; this must stay below the smallest prime factor of n
+    const CHALLENGE_BITS = 256;
+    const CHALLENGE_MODULUS = 1n << BigInt(CHALLENGE_BITS);
 
-            // Generate simulated values for fake proof (value 1)
-            const e1 = BigIntUtils.randomRange(1n, n);
-            const z1 = BigIntUtils.randomRange(1n, n);
-            const r1 = BigIntUtils.randomRange(1n, n);
+    // Extra bits of the multiplication proof's mask, which hides e·x statistically
+    const STATISTICAL_BITS = 128;
 
-            // For simulated proof: a = (g^z * r^n) * (c^e)^(-1) (mod n^2)
-            // This makes the verification equation g^z * r^n = a * c^e hold
-            const gPowZ1 = BigIntUtils.modPow(g, z1, nSquared);
-            const r1PowN = BigIntUtils.modPow(r1, n, nSquared);
-            const cPowE1 = BigIntUtils.modPow(ciphertext, e1, nSquared);
-            const cPowE1Inv = BigIntUtils.modInverse(cPowE1, nSquared);
-            const a1 = (gPowZ1 * r1PowN * cPowE1Inv) % nSquared;
+    const BIT_VALUES = [0n, 1n];
 
-            // Generate total challenge from commitments
-            const totalChallenge = this.generateChallenge(ciphertext, a0, a1);
+    /**
+     * Whether per-candidate values in [0, maxValue] already force the sum into [minSum, maxSum],
+     * in which case a ballot needs no sum proof
+     */
+    function sumRuleImplied(candidateCount, minSum, maxSum, maxValue) {
+        return minSum === 0n && maxSum >= maxValue * BigInt(candidateCount);
+    }
 
-            // Complete real proof for 0
-            let e0 = (totalChallenge - e1) % n;
-            if (e0 < 0n) e0 += n;  // Handle negative modulo
-            const z0 = (s0 + e0 * plaintext) % n; // plaintext = 0, so z0 = s0
-            const r0 = (rPrime0 * BigIntUtils.modPow(randomness, e0, n)) % n;
+    /**
+     * Ballot indices of each row (one candidate's ranks) of an n×n ranking matrix
+     */
+    function rankingRows(candidateCount) {
+        return Array.from({ length: candidateCount }, (_, i) =>
+            Array.from({ length: candidateCount }, (_, r) => i * candidateCount + r));
+    }
 
-            return {
-                proof0: { a: a0, e: e0, z: z0, rResponse: r0, plaintext: 0n },
-                proof1: { a: a1, e: e1, z: z1, rResponse: r1, plaintext: 1n },
-                ciphertext,
-                type: 'bit-value'
-            };
-        } else {
-            // Real proof for 1, simulated proof for 0
-
-            // Generate random values for real proof (value 1)
-            const s1 = BigIntUtils.randomRange(1n, n);
-            const rPrime1 = BigIntUtils.randomRange(1n, n);
-            const a1 = (BigIntUtils.modPow(g, s1, nSquared) * BigIntUtils.modPow(rPrime1, n, nSquared)) % nSquared;
-
-            // Generate simulated values for fake proof (value 0)
-            const e0 = BigIntUtils.randomRange(1n, n);
-            const z0 = BigIntUtils.randomRange(1n, n);
-            const r0 = BigIntUtils.randomRange(1n, n);
-
-            // For simulated proof: a = (g^z * r^n) * (c^e)^(-1) (mod n^2)
-            const gPowZ0 = BigIntUtils.modPow(g, z0, nSquared);
-            const r0PowN = BigIntUtils.modPow(r0, n, nSquared);
-            const cPowE0 = BigIntUtils.modPow(ciphertext, e0, nSquared);
-            const cPowE0Inv = BigIntUtils.modInverse(cPowE0, nSquared);
-            const a0 = (gPowZ0 * r0PowN * cPowE0Inv) % nSquared;
-
-            // Generate total challenge from commitments
-            const totalChallenge = this.generateChallenge(ciphertext, a0, a1);
-
-            // Complete real proof for 1
-            let e1 = (totalChallenge - e0) % n;
-            if (e1 < 0n) e1 += n;  // Handle negative modulo
-            const z1 = (s1 + e1 * plaintext) % n; // plaintext = 1, so z1 = s1 + e1
-            const r1 = (rPrime1 * BigIntUtils.modPow(randomness, e1, n)) % n;
+    /**
+     * Ballot indices of each column (one rank's candidates) of an n×n ranking matrix
+     */
+    function rankingColumns(candidateCount) {
+        return Array.from({ length: candidateCount }, (_, r) =>
+            Array.from({ length: candidateCount }, (_, i) => i * candidateCount + r));
+    }
 
-            return {
-                proof0: { a: a0, e: e0, z: z0, rResponse: r0, plaintext: 0n },
-                proof1: { a: a1, e: e1, z: z1, rResponse: r1, plaintext: 1n },
-                ciphertext,
-                type: 'bit-value'
-            };
+    /**
+     * The values minSum, minSum + 1, ..., maxSum
+     */
+    function rangeValues(minSum, maxSum) {
+        const values = [];
+        for (let value = minSum; value <= maxSum; value++) {
+            values.push(value);
         }
+        return values;
     }
 
     /**
-     * Generate cryptographic challenge using Fiat-Shamir heuristic
-     * In practice, this would use a cryptographic hash function
+     * Why the proofs do not cover exactly the encrypted votes, one proof per ciphertext
+     * in order, or null when they do
      */
-    generateChallenge(ciphertext, commitment0, commitment1) {
-        // Simple hash-like function for demonstration
-        // In production, use SHA-256 or similar
-        const combined = ciphertext.toString() + commitment0.toString() + commitment1.toString();
-        const hash = this.simpleHash(combined);
-        const result = BigInt(hash) % this.paillier.publicKey.n;
-        // Ensure positive result
-        return result < 0n ? result + this.paillier.publicKey.n : result;
+    function checkCoverage(proofs, encryptedVotes) {
+        if (!Array.isArray(proofs) || proofs.length !== encryptedVotes.length) {
+            return `Expected ${encryptedVotes.length} proofs, one per encrypted vote`;
+        }
+        const index = proofs.findIndex((proof, i) => !proof || proof.ciphertext !== encryptedVotes[i]);
+        return index === -1 ? null : `Proof ${index} is not about encrypted vote ${index}`;
     }
 
     /**
-     * Simple hash function for demonstration (NOT cryptographically secure)
-     * In production, use proper cryptographic hash functions
+     * Decimal-string form of proof branches
      */
-    simpleHash(input) {
-        let hash = 0;
-        for (let i = 0; i < input.length; i++) {
-            const char = input.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
-        }
-        return Math.abs(hash);
+    function serializeBranches(branches) {
+        return branches.map(branch => ({
+            a: branch.a.toString(),
+            e: branch.e.toString(),
+            z: branch.z.toString()
+        }));
     }
 
     /**
-     * Verify a Zero-Knowledge Proof for bit values
+     * Parse serialized proof branches, naming the offending field on error
      */
-    verifyBitProof(proof) {
-        const { proof0, proof1, ciphertext } = proof;
-        const { n, g, nSquared } = this.paillier.publicKey;
+    function deserializeBranches(branches, path) {
+        if (!Array.isArray(branches)) {
+            throw new Error(`${path} must be an array`);
+        }
 
-        try {
-            // Regenerate the total challenge
-            const totalChallenge = this.generateChallenge(ciphertext, proof0.a, proof1.a);
+        return branches.map((branch, k) => {
+            if (!branch) {
+                throw new Error(`${path}[${k}] is missing`);
+            }
+            return {
+                a: BigIntUtils.fromDecimalString(branch.a, `${path}[${k}].a`),
+                e: BigIntUtils.fromDecimalString(branch.e, `${path}[${k}].e`),
+                z: BigIntUtils.fromDecimalString(branch.z, `${path}[${k}].z`)
+            };
+        });
+    }
 
-            // Check that e0 + e1 = totalChallenge (mod n)
-            const challengeSum = (proof0.e + proof1.e) % n;
-            const challengeValid = challengeSum === totalChallenge;
+    class ZKProofSystem {
+        constructor(paillierSystem) {
+            this.paillier = paillierSystem;
+        }
 
-            // Verify both individual proofs
-            const valid0 = this.verifySingleBitProof(proof0, ciphertext, 0n, n, g, nSquared);
-            const valid1 = this.verifySingleBitProof(proof1, ciphertext, 1n, n, g, nSquared);
+        /**
+         * Generate a Zero-Knowledge Proof that an encrypted value is either 0 or 1
+         * Uses a disjunctive (OR) proof with the Fiat-Shamir heuristic
+         *
+         * @param {bigint} plaintext - The actual plaintext (0 or 1)
+         * @param {bigint} ciphertext - The encrypted value
+         * @param {bigint} randomness - The randomness used in encryption
+         * @returns {object} The ZK proof
+         */
+        proveBitValue(plaintext, ciphertext, randomness) {
+            if (plaintext !== 0n && plaintext !== 1n) {
+                throw new Error('Plaintext must be 0 or 1 for bit proof');
+            }
 
-            return {
-                valid: valid0 && valid1 && challengeValid,
-                details: {
-                    proof0Valid: valid0,
-                    proof1Valid: valid1,
-                    challengeValid,
-                    challengeSum: challengeSum.toString(),
-                    expectedChallenge: totalChallenge.toString()
+            const proof = this.buildMembershipProof(DOMAIN_BIT_VALUE, ciphertext, randomness, BIT_VALUES, Number(plaintext));
+            return { ...proof, type: 'bit-value' };
+        }
+
+        /**
+         * Generate a proof that a ciphertext encrypts a value in [0, maxValue]
+         * (points or a score), disjunctive over the maxValue + 1 allowed values
+         */
+        proveValueInRange(plaintext, ciphertext, randomness, maxValue) {
+            if (maxValue < 1n) {
+                throw new Error('maxValue must be at least 1');
+            }
+            if (plaintext < 0n || plaintext > maxValue) {
+                throw new Error(`Plaintext must be between 0 and ${maxValue} for value proof`);
+            }
+
+            const proof = this.buildMembershipProof(DOMAIN_VALUE_RANGE, ciphertext, randomness,
+                rangeValues(0n, maxValue), Number(plaintext));
+            return { ...proof, maxValue, type: 'value-range' };
+        }
+
+        /**
+         * Build a disjunctive proof that `ciphertext` encrypts one of `values`
+         *
+         * For each allowed value v_k the statement is "u_k = c / g^v_k is an n-th residue",
+         * proved by a Sigma protocol: commitment a = ρ^n, response z = ρ · r^e mod n,
+         * check z^n ≡ a · u_k^e (mod n^2). The branch at `realIndex` is proved with the
+         * encryption randomness r; all other branches are simulated from a chosen (e, z).
+         * The branch challenges must add up (mod 2^256) to the Fiat-Shamir challenge,
+         * so at most one branch can be simulated-free: soundness needs u_k to really be
+         * an n-th residue for some k, i.e. the plaintext to be one of the values.
+         *
+         * `realIndex` is not checked against the plaintext here; callers must do that.
+         */
+        buildMembershipProof(domain, ciphertext, randomness, values, realIndex) {
+            const { n, nSquared } = this.paillier.publicKey;
+            const residues = values.map(value => this.shiftCiphertext(ciphertext, value));
+
+            const branches = [];
+            let rho = null;
+
+            for (let k = 0; k < values.length; k++) {
+                if (k === realIndex) {
+                    // Real branch: commit to a fresh n-th power
+                    rho = BigIntUtils.randomUnit(n);
+                    branches.push({ a: this.paillier.powN(rho), e: null, z: null });
+                } else {
+                    // Simulated branch: pick e, z and solve for a = z^n · u_k^-e in one multi-exponentiation
+                    const e = BigIntUtils.randomBigInt(CHALLENGE_BITS);
+                    const z = BigIntUtils.randomUnit(n);
+                    const a = BigIntUtils.multiPow([[z, n], [residues[k], -e]], nSquared);
+                    branches.push({ a, e, z });
                 }
+            }
+
+            const challenge = this.generateMembershipChallenge(domain, ciphertext, values, branches.map(b => b.a));
+
+            // The real branch takes whatever challenge is left over
+            const simulatedSum = branches.reduce((acc, b, k) => (k === realIndex ? acc : acc + b.e), 0n);
+            const eReal = ((challenge - simulatedSum) % CHALLENGE_MODULUS + CHALLENGE_MODULUS) % CHALLENGE_MODULUS;
+
+            branches[realIndex].e = eReal;
+            branches[realIndex].z = (rho * BigIntUtils.modPow(randomness, eReal, n)) % n;
+
+            return {
+                branches,
+                ciphertext,
+                version: PROOF_VERSION
             };
-        } catch (error) {
+        }
+
+        /**
+         * Compute u = c / g^value (mod n^2), which is an n-th residue iff c encrypts value
+         */
+        shiftCiphertext(ciphertext, value) {
+            const { nSquared } = this.paillier.publicKey;
+            return (ciphertext * this.paillier.powG(-value)) % nSquared;
+        }
+
+        /**
+         * Fiat-Shamir hash: SHA-256 over the length-prefixed transcript
+         * (domain tag, public key, then the statement and commitments)
+         * Returns a challenge in [0, 2^256)
+         */
+        hashToChallenge(domain, elements) {
+            const { n, g } = this.paillier.publicKey;
+            return SHA256.hashTranscript([domain, n, g, ...elements]);
+        }
+
+        /**
+         * Generate the challenge for a disjunctive proof, binding the ciphertext,
+         * the allowed values and every branch commitment
+         */
+        generateMembershipChallenge(domain, ciphertext, values, commitments) {
+            return this.hashToChallenge(domain, [ciphertext, BigInt(values.length), ...values, ...commitments]);
+        }
+
+        /**
+         * Reject proofs produced in an older format
+         * Returns a failed verification result, or null if the version is current
+         */
+        checkProofVersion(proof) {
+            const version = proof.version === undefined ? 1 : proof.version;
+            if (version === PROOF_VERSION) {
+                return null;
+            }
+
             return {
                 valid: false,
-                error: error.message
+                legacy: version < PROOF_VERSION,
+                error: version < PROOF_VERSION
+                    ? `Proof version ${version} is no longer accepted (earlier versions had unsound challenges or proofs)`
+                    : `Unsupported proof version ${version}`
             };
         }
-    }
 
-    /**
-     * Verify a single proof within the disjunctive proof
-     * Correct verification for Paillier encryption: g^z * r^n = a * c^e (mod n^2)
-     */
-    verifySingleBitProof(proof, ciphertext, expectedPlaintext, n, g, nSquared) {
-        const { a, e, z, rResponse } = proof;
-
-        try {
-            // Standard Paillier ZKP verification equation:
-            // g^z * r^n ≡ a * c^e (mod n^2)
-            // This works because:
-            // - For real proof: z = s + e*m, r = r' * R^e
-            // - For simulated proof: we choose z, r to make equation hold
-
-            const leftSide = (BigIntUtils.modPow(g, z, nSquared) * BigIntUtils.modPow(rResponse, n, nSquared)) % nSquared;
-            const rightSide = (a * BigIntUtils.modPow(ciphertext, e, nSquared)) % nSquared;
-
-            const isValid = leftSide === rightSide;
-
-            // Debug logging
-            if (!isValid) {
-                console.log(`Verification failed for plaintext ${expectedPlaintext}:`);
-                console.log(`  Left: ${leftSide.toString().substring(0, 20)}...`);
-                console.log(`  Right: ${rightSide.toString().substring(0, 20)}...`);
-                console.log(`  e: ${e.toString().substring(0, 20)}...`);
-                console.log(`  z: ${z.toString().substring(0, 20)}...`);
-                console.log(`  a: ${a.toString().substring(0, 20)}...`);
-                console.log(`  rResponse: ${rResponse.toString().substring(0, 20)}...`);
-                console.log(`  Ciphertext: ${ciphertext.toString().substring(0, 20)}...`);
-            }
-
-            return isValid;
-        } catch (error) {
-            console.error('Single proof verification error:', error);
-            return false;
-        }
-    }    /**
-     * Generate a proof that a set of encrypted votes sum to exactly 1
-     * This ensures that exactly one candidate is chosen in a valid vote
-     */
-    proveSumEqualsOne(encryptedVotes, plaintextVotes, randomnesses) {
-        if (encryptedVotes.length !== plaintextVotes.length ||
-            encryptedVotes.length !== randomnesses.length) {
-            throw new Error('Array lengths must match');
+        /**
+         * Verify a Zero-Knowledge Proof for bit values
+         */
+        verifyBitProof(proof) {
+            const result = this.verifyMembershipProof(DOMAIN_BIT_VALUE, proof, BIT_VALUES);
+            if (!result.details) return result;
+
+            return {
+                valid: result.valid,
+                details: {
+                    proof0Valid: result.details.branchValid[0],
+                    proof1Valid: result.details.branchValid[1],
+                    challengeValid: result.details.challengeValid,
+                    challengeSum: result.details.challengeSum,
+                    expectedChallenge: result.details.expectedChallenge
+                }
+            };
+        }
+
+        /**
+         * Verify a proof that a ciphertext encrypts a value in [0, maxValue]
+         * maxValue = 1 expects a bit proof
+         */
+        verifyValueProof(proof, maxValue = 1n) {
+            if (maxValue === 1n) {
+                return this.verifyBitProof(proof);
+            }
+            if (proof.type !== 'value-range' || proof.maxValue !== maxValue) {
+                return { valid: false, error: `Proof does not cover the required range 0 to ${maxValue}` };
+            }
+            return this.verifyMembershipProof(DOMAIN_VALUE_RANGE, proof, rangeValues(0n, maxValue));
         }
 
-        // Verify that sum equals 1
-        const sum = plaintextVotes.reduce((acc, vote) => acc + vote, 0n);
-        if (sum !== 1n) {
-            throw new Error('Plaintext votes must sum to exactly 1');
+        /**
+         * Verify a disjunctive proof that proof.ciphertext encrypts one of `values`
+         * The allowed values come from the verifier, never from the proof
+         */
+        verifyMembershipProof(domain, proof, values) {
+            const versionError = this.checkProofVersion(proof);
+            if (versionError) return versionError;
+
+            const { branches, ciphertext } = proof;
+
+            try {
+                if (!Array.isArray(branches) || branches.length !== values.length) {
+                    throw new Error(`Expected ${values.length} proof branches`);
+                }
+                if (!this.paillier.isValidCiphertext(ciphertext)) {
+                    throw new Error('Ciphertext is outside the ciphertext space');
+                }
+
+                const branchValid = branches.map((branch, k) => this.verifyBranch(branch, ciphertext, values[k]));
+
+                const expectedChallenge = this.generateMembershipChallenge(domain, ciphertext, values, branches.map(b => b.a));
+                const challengeSum = branches.reduce((acc, b) => acc + b.e, 0n) % CHALLENGE_MODULUS;
+                const challengeValid = challengeSum === expectedChallenge;
+
+                return {
+                    valid: challengeValid && branchValid.every(Boolean),
+                    details: {
+                        branchValid,
+                        challengeValid,
+                        challengeSum: challengeSum.toString(),
+                        expectedChallenge: expectedChallenge.toString()
+                    }
+                };
+            } catch (error) {
+                return {
+                    valid: false,
+                    error: error.message
+                };
+            }
         }
 
-        const { n, g, nSquared } = this.paillier.publicKey;
+        /**
+         * Verify one branch of a disjunctive proof: z^n ≡ a · (c / g^value)^e (mod n^2),
+         * checked as z^n · u^-e ≡ a with a single multi-exponentiation
+         */
+        verifyBranch(branch, ciphertext, value) {
+            const { n, nSquared } = this.paillier.publicKey;
+            const { a, e, z } = branch;
+
+            // Responses must live in the right groups: e in the challenge space,
+            // z in Z_n*, a in Z_{n^2}*
+            if (e < 0n || e >= CHALLENGE_MODULUS) return false;
+            if (z <= 0n || z >= n || !BigIntUtils.areCoprime(z, n)) return false;
+            if (a <= 0n || a >= nSquared || !BigIntUtils.areCoprime(a, n)) return false;
 
-        // Compute homomorphic sum of all encrypted votes
-        const encryptedSum = this.paillier.sumCiphertexts(encryptedVotes);
+            const residue = this.shiftCiphertext(ciphertext, value);
+            if (!BigIntUtils.areCoprime(residue, n)) return false;
 
-        // Compute combined randomness
-        let combinedRandomness = 1n;
-        for (const r of randomnesses) {
-            combinedRandomness = (combinedRandomness * r) % n;
+            return BigIntUtils.multiPow([[z, n], [residue, -e]], nSquared) === a;
         }
 
-        // Generate proof that encrypted sum corresponds to plaintext 1
-        return this.generateSumProof(1n, encryptedSum, combinedRandomness, n, g, nSquared);
-    }
+        /**
+         * Generate a proof that a set of encrypted votes sum to exactly 1
+         * This ensures that exactly one candidate is chosen in a valid vote
+         */
+        proveSumEqualsOne(encryptedVotes, plaintextVotes, randomnesses) {
+            return this.proveSum(encryptedVotes, plaintextVotes, randomnesses, 1n);
+        }
 
-    /**
-     * Generate proof for sum constraint
-     */
-    generateSumProof(expectedSum, encryptedSum, combinedRandomness, n, g, nSquared) {
-        // Generate random values
-        const s = BigIntUtils.randomRange(1n, n);
-        const rPrime = BigIntUtils.randomRange(1n, n);
-
-        // Compute commitment
-        const a = (BigIntUtils.modPow(g, s, nSquared) * BigIntUtils.modPow(rPrime, n, nSquared)) % nSquared;
-
-        // Generate challenge - use simpler approach for sum proof
-        const e = this.generateSumChallenge(encryptedSum, a, expectedSum);
-
-        // Compute responses
-        const z = (s + e * expectedSum) % n;
-        const rResponse = (rPrime * BigIntUtils.modPow(combinedRandomness, e, n)) % n;
-
-        return {
-            encryptedSum,
-            expectedSum,
-            a,
-            e,
-            z,
-            rResponse,
-            type: 'sum-equals-one'
-        };
-    }
+        /**
+         * Generate a proof that the homomorphic sum of `encryptedVotes` encrypts `expectedSum`
+         *
+         * The sum C = ∏ c_i encrypts Σ m_i with randomness R = ∏ r_i, so C / g^expectedSum
+         * is an n-th residue (namely R^n) exactly when the sum is right. This is the
+         * single-branch case of the disjunctive proof.
+         */
+        proveSum(encryptedVotes, plaintextVotes, randomnesses, expectedSum) {
+            if (encryptedVotes.length !== plaintextVotes.length ||
+                encryptedVotes.length !== randomnesses.length) {
+                throw new Error('Array lengths must match');
+            }
 
-    /**
-     * Generate challenge for sum proof
-     */
-    generateSumChallenge(encryptedSum, commitment, expectedSum) {
-        const combined = encryptedSum.toString() + commitment.toString() + expectedSum.toString();
-        const hash = this.simpleHash(combined);
-        return BigInt(hash) % this.paillier.publicKey.n;
-    }
+            const sum = plaintextVotes.reduce((acc, vote) => acc + vote, 0n);
+            if (sum !== expectedSum) {
+                throw new Error(`Plaintext votes must sum to exactly ${expectedSum}`);
+            }
 
-    /**
-     * Verify proof that encrypted votes sum to 1
-     */
-    verifySumProof(proof) {
-        const { encryptedSum, expectedSum, a, e, z, rResponse } = proof;
-        const { n, g, nSquared } = this.paillier.publicKey;
+            const { n } = this.paillier.publicKey;
 
-        try {
-            // Use the same verification equation as bit proofs:
-            // g^z * r^n ≡ a * encryptedSum^e (mod n^2)
-            const leftSide = (BigIntUtils.modPow(g, z, nSquared) * BigIntUtils.modPow(rResponse, n, nSquared)) % nSquared;
-            const rightSide = (a * BigIntUtils.modPow(encryptedSum, e, nSquared)) % nSquared;
+            // Compute homomorphic sum of all encrypted votes
+            const encryptedSum = this.paillier.sumCiphertexts(encryptedVotes);
+
+            // Compute combined randomness
+            let combinedRandomness = 1n;
+            for (const r of randomnesses) {
+                combinedRandomness = (combinedRandomness * r) % n;
+            }
 
-            const isValid = leftSide === rightSide;
+            const { branches } = this.buildMembershipProof(DOMAIN_SUM, encryptedSum, combinedRandomness, [expectedSum], 0);
+
+            // The verifier recomputes the sum from the ballot, so it is not part of the proof
+            return {
+                expectedSum,
+                branches,
+                type: 'sum',
+                version: PROOF_VERSION
+            };
+        }
 
-            if (!isValid) {
-                console.log('Sum proof verification failed:');
-                console.log(`  Expected sum: ${expectedSum}`);
-                console.log(`  Left side: ${leftSide.toString().substring(0, 20)}...`);
-                console.log(`  Right side: ${rightSide.toString().substring(0, 20)}...`);
+        /**
+         * Generate a proof that the homomorphic sum of `encryptedVotes` lies in [minSum, maxSum]
+         *
+         * A disjunctive proof over the values minSum..maxSum: C / g^v is an n-th residue
+         * for exactly one v in the range, and the verifier cannot tell which. With
+         * minSum = 0 an abstention (all zeros) is a valid ballot.
+         */
+        proveSumInRange(encryptedVotes, plaintextVotes, randomnesses, minSum, maxSum) {
+            if (encryptedVotes.length !== plaintextVotes.length ||
+                encryptedVotes.length !== randomnesses.length) {
+                throw new Error('Array lengths must match');
             }
+            if (minSum < 0n || minSum > maxSum) {
+                throw new Error('Sum range needs 0 ≤ minSum ≤ maxSum');
+            }
+
+            const sum = plaintextVotes.reduce((acc, vote) => acc + vote, 0n);
+            if (sum < minSum || sum > maxSum) {
+                throw new Error(`Plaintext votes must sum to between ${minSum} and ${maxSum}`);
+            }
+
+            const { n } = this.paillier.publicKey;
+            const encryptedSum = this.paillier.sumCiphertexts(encryptedVotes);
+            const combinedRandomness = randomnesses.reduce((acc, r) => (acc * r) % n, 1n);
+
+            const values = rangeValues(minSum, maxSum);
+            const { branches } = this.buildMembershipProof(DOMAIN_SUM_RANGE, encryptedSum, combinedRandomness,
+                values, Number(sum - minSum));
 
             return {
-                valid: isValid,
-                details: {
-                    expectedSum: expectedSum.toString(),
-                    leftSide: leftSide.toString(),
-                    rightSide: rightSide.toString()
+                minSum,
+                maxSum,
+                branches,
+                type: 'sum-range',
+                version: PROOF_VERSION
+            };
+        }
+
+        /**
+         * Verify a sum proof against the ballot's own ciphertexts
+         * A range rule (minSum < maxSum) needs a sum-range proof for exactly that range
+         * @param {object} proof - The sum proof
+         * @param {bigint[]} encryptedVotes - The ciphertexts whose homomorphic sum is checked
+         * @param {bigint} minSum - The smallest sum the ballot rules allow
+         * @param {bigint} maxSum - The largest sum the ballot rules allow
+         */
+        verifySumProof(proof, encryptedVotes, minSum = 1n, maxSum = minSum) {
+            const versionError = this.checkProofVersion(proof);
+            if (versionError) return versionError;
+
+            if (proof.type === 'sum-range' || minSum !== maxSum) {
+                return this.verifySumRangeProof(proof, encryptedVotes, minSum, maxSum);
+            }
+            const expectedSum = minSum;
+
+            try {
+                if (proof.expectedSum !== expectedSum) {
+                    throw new Error(`Proof is for sum ${proof.expectedSum}, ballot rules require ${expectedSum}`);
+                }
+                if (!Array.isArray(encryptedVotes) || encryptedVotes.length === 0) {
+                    throw new Error('Sum proof needs the ballot ciphertexts');
+                }
+
+                const encryptedSum = this.paillier.sumCiphertexts(encryptedVotes);
+                const result = this.verifyMembershipProof(DOMAIN_SUM, { ...proof, ciphertext: encryptedSum }, [expectedSum]);
+
+                return {
+                    valid: result.valid,
+                    error: result.error,
+                    details: {
+                        expectedSum: expectedSum.toString(),
+                        encryptedSum: encryptedSum.toString(),
+                        challengeValid: result.details ? result.details.challengeValid : false
+                    }
+                };
+            } catch (error) {
+                return {
+                    valid: false,
+                    error: error.message
+                };
+            }
+        }
+
+        /**
+         * Verify a sum-range proof: the ballot's homomorphic sum lies in [minSum, maxSum]
+         */
+        verifySumRangeProof(proof, encryptedVotes, minSum, maxSum) {
+            try {
+                if (proof.type !== 'sum-range' || proof.minSum !== minSum || proof.maxSum !== maxSum) {
+                    throw new Error(`Proof does not cover the required range ${minSum} to ${maxSum}`);
+                }
+                if (!Array.isArray(encryptedVotes) || encryptedVotes.length === 0) {
+                    throw new Error('Sum proof needs the ballot ciphertexts');
                 }
+
+                const encryptedSum = this.paillier.sumCiphertexts(encryptedVotes);
+                const result = this.verifyMembershipProof(DOMAIN_SUM_RANGE, { ...proof, ciphertext: encryptedSum },
+                    rangeValues(minSum, maxSum));
+
+                return {
+                    valid: result.valid,
+                    error: result.error,
+                    details: {
+                        minSum: minSum.toString(),
+                        maxSum: maxSum.toString(),
+                        encryptedSum: encryptedSum.toString(),
+                        challengeValid: result.details ? result.details.challengeValid : false
+                    }
+                };
+            } catch (error) {
+                return {
+                    valid: false,
+                    error: error.message
+                };
+            }
+        }
+
+        /**
+         * Generate comprehensive ZKP for a complete vote
+         * The sum proof is exact when minSum = maxSum, otherwise a range proof; it is
+         * left out (null) when the value proofs already imply the sum rule
+         * @param {bigint} minSum - Smallest total the ballot rules allow
+         * @param {bigint} maxSum - Largest total the ballot rules allow
+         * @param {bigint} maxValue - Largest value per candidate: 1 for bit proofs, more for points or scores
+         */
+        generateVoteProof(encryptedVotes, plaintextVotes, randomnesses, minSum = 1n, maxSum = minSum, maxValue = 1n) {
+            // Generate a bit or value proof for each vote
+            const bitProofs = encryptedVotes.map((ciphertext, i) =>
+                this.proveVoteEntry(plaintextVotes[i], ciphertext, randomnesses[i], maxValue));
+
+            const sumProof = this.proveVoteSum(encryptedVotes, plaintextVotes, randomnesses, minSum, maxSum, maxValue);
+            return this.completeVoteProof(bitProofs, sumProof);
+        }
+
+        /**
+         * The bit proof (maxValue 1) or value proof for one candidate's vote; the parts
+         * of a vote proof are independent, so workers can build them in parallel
+         */
+        proveVoteEntry(plaintext, ciphertext, randomness, maxValue = 1n) {
+            return maxValue === 1n
+                ? this.proveBitValue(plaintext, ciphertext, randomness)
+                : this.proveValueInRange(plaintext, ciphertext, randomness, maxValue);
+        }
+
+        /**
+         * The sum proof of a vote, or null when the value proofs already imply the sum rule
+         */
+        proveVoteSum(encryptedVotes, plaintextVotes, randomnesses, minSum = 1n, maxSum = minSum, maxValue = 1n) {
+            if (sumRuleImplied(encryptedVotes.length, minSum, maxSum, maxValue)) {
+                return null;
+            }
+            if (minSum === maxSum) {
+                return this.proveSum(encryptedVotes, plaintextVotes, randomnesses, minSum);
+            }
+            return this.proveSumInRange(encryptedVotes, plaintextVotes, randomnesses, minSum, maxSum);
+        }
+
+        /**
+         * Wrap per-candidate proofs and the sum proof into a complete vote proof
+         */
+        completeVoteProof(bitProofs, sumProof) {
+            return {
+                bitProofs,
+                sumProof,
+                timestamp: Date.now(),
+                type: 'complete-vote-proof',
+                version: PROOF_VERSION
             };
-        } catch (error) {
+        }
+
+        /**
+         * Verify a complete vote proof over a ballot's encrypted votes
+         * There must be one bit proof per encrypted vote, about that ciphertext; every
+         * candidate value must lie in [0, maxValue], and the sum is recomputed from the
+         * ciphertexts and must lie in [minSum, maxSum]
+         */
+        verifyVoteProof(voteProof, encryptedVotes, minSum = 1n, maxSum = minSum, maxValue = 1n) {
+            const { bitProofs, sumProof } = voteProof;
+            const results = {
+                bitProofsValid: true,
+                bitProofResults: [],
+                sumProofValid: false,
+                overallValid: false
+            };
+
+            const versionError = this.checkProofVersion(voteProof);
+            if (versionError) {
+                results.bitProofsValid = false;
+                results.error = versionError.error;
+                return results;
+            }
+
+            // A ciphertext without a proof could hold any value
+            const coverageError = checkCoverage(bitProofs, encryptedVotes);
+            if (coverageError) {
+                results.bitProofsValid = false;
+                results.error = coverageError;
+                return results;
+            }
+
+            // Verify all bit or value proofs
+            for (let i = 0; i < bitProofs.length; i++) {
+                const result = this.verifyValueProof(bitProofs[i], maxValue);
+                results.bitProofResults.push({
+                    candidateIndex: i,
+                    valid: result.valid,
+                    details: result.details,
+                    error: result.error
+                });
+
+                if (!result.valid) {
+                    results.bitProofsValid = false;
+                }
+            }
+
+            // Verify sum proof, unless the value proofs already bound the sum
+            let sumResult;
+            if (sumProof) {
+                sumResult = this.verifySumProof(sumProof, encryptedVotes, minSum, maxSum);
+            } else if (sumProof === null && sumRuleImplied(encryptedVotes.length, minSum, maxSum, maxValue)) {
+                sumResult = { valid: true, details: { implied: true } };
+            } else {
+                sumResult = { valid: false, error: 'Sum proof is missing' };
+            }
+            results.sumProofValid = sumResult.valid;
+            results.sumProofDetails = sumResult.details;
+            results.sumProofError = sumResult.error;
+
+            // Overall validity
+            results.overallValid = results.bitProofsValid && results.sumProofValid;
+
+            return results;
+        }
+
+        /**
+         * Generate the proof for a ranked ballot: an n×n permutation matrix, stored
+         * candidate by candidate (entry i·n + r is 1 when candidate i has rank r + 1)
+         *
+         * Bit proofs show every entry is 0 or 1, and exact sum proofs show every row
+         * (candidate) and every column (rank) holds a single 1, so the matrix is a
+         * full ranking without revealing it.
+         */
+        generateRankingProof(encryptedVotes, plaintextVotes, randomnesses, candidateCount) {
+            const size = candidateCount * candidateCount;
+            if (encryptedVotes.length !== size || plaintextVotes.length !== size || randomnesses.length !== size) {
+                throw new Error(`A ranking of ${candidateCount} candidates needs ${size} entries`);
+            }
+
+            const bitProofs = encryptedVotes.map((ciphertext, i) =>
+                this.proveBitValue(plaintextVotes[i], ciphertext, randomnesses[i]));
+
+            const proveLine = indices => this.proveSum(
+                indices.map(i => encryptedVotes[i]),
+                indices.map(i => plaintextVotes[i]),
+                indices.map(i => randomnesses[i]),
+                1n);
+
             return {
-                valid: false,
-                error: error.message
+                bitProofs,
+                rowProofs: rankingRows(candidateCount).map(proveLine),
+                columnProofs: rankingColumns(candidateCount).map(proveLine),
+                timestamp: Date.now(),
+                type: 'ranked-vote-proof',
+                version: PROOF_VERSION
             };
         }
-    }
 
-    /**
-     * Generate comprehensive ZKP for a complete vote
-     */
-    generateVoteProof(encryptedVotes, plaintextVotes, randomnesses) {
-        const bitProofs = [];
-
-        // Generate bit proofs for each vote
-        for (let i = 0; i < encryptedVotes.length; i++) {
-            const bitProof = this.proveBitValue(
-                plaintextVotes[i],
-                encryptedVotes[i],
-                randomnesses[i]
-            );
-            bitProofs.push(bitProof);
-        }
-
-        // Generate sum proof
-        const sumProof = this.proveSumEqualsOne(encryptedVotes, plaintextVotes, randomnesses);
-
-        return {
-            bitProofs,
-            sumProof,
-            timestamp: Date.now(),
-            type: 'complete-vote-proof'
-        };
-    }
+        /**
+         * Verify a ranked ballot's proof; the result has the same shape as verifyVoteProof,
+         * with sumProofValid covering every row and column proof
+         */
+        verifyRankingProof(voteProof, candidateCount) {
+            const results = {
+                bitProofsValid: false,
+                bitProofResults: [],
+                sumProofValid: false,
+                overallValid: false
+            };
 
-    /**
-     * Verify a complete vote proof
-     */
-    verifyVoteProof(voteProof) {
-        const { bitProofs, sumProof } = voteProof;
-        const results = {
-            bitProofsValid: true,
-            bitProofResults: [],
-            sumProofValid: false,
-            overallValid: false
-        };
-
-        // Verify all bit proofs
-        for (let i = 0; i < bitProofs.length; i++) {
-            const result = this.verifyBitProof(bitProofs[i]);
-            results.bitProofResults.push({
-                candidateIndex: i,
-                valid: result.valid,
-                details: result.details,
-                error: result.error
+            const versionError = this.checkProofVersion(voteProof);
+            if (versionError) {
+                results.error = versionError.error;
+                return results;
+            }
+
+            const { bitProofs, rowProofs, columnProofs } = voteProof;
+            if (voteProof.type !== 'ranked-vote-proof' || !Array.isArray(bitProofs) ||
+                bitProofs.length !== candidateCount * candidateCount ||
+                !Array.isArray(rowProofs) || rowProofs.length !== candidateCount ||
+                !Array.isArray(columnProofs) || columnProofs.length !== candidateCount) {
+                results.error = `Expected a ranking proof over ${candidateCount} candidates`;
+                return results;
+            }
+
+            results.bitProofResults = bitProofs.map((proof, i) => {
+                const result = this.verifyBitProof(proof);
+                return { candidateIndex: i, valid: result.valid, details: result.details, error: result.error };
             });
+            results.bitProofsValid = results.bitProofResults.every(result => result.valid);
 
-            if (!result.valid) {
-                results.bitProofsValid = false;
+            // Every line sum is recomputed from the ciphertexts covered by the bit proofs
+            const ciphertexts = bitProofs.map(proof => proof.ciphertext);
+            const checkLines = (proofs, lines) => lines.map((indices, k) =>
+                this.verifySumProof(proofs[k], indices.map(i => ciphertexts[i]), 1n));
+            const rowResults = checkLines(rowProofs, rankingRows(candidateCount));
+            const columnResults = checkLines(columnProofs, rankingColumns(candidateCount));
+
+            const failed = [...rowResults, ...columnResults].find(result => !result.valid);
+            results.sumProofValid = !failed;
+            results.sumProofError = failed ? failed.error || 'A row or column sum proof is invalid' : undefined;
+            results.sumProofDetails = {
+                expectedSum: `1 in each of ${candidateCount} rows and ${candidateCount} columns`,
+                rowsValid: rowResults.filter(result => result.valid).length,
+                columnsValid: columnResults.filter(result => result.valid).length
+            };
+
+            results.overallValid = results.bitProofsValid && results.sumProofValid;
+            return results;
+        }
+
+        /**
+         * Generate the proof for a packed ballot: one ciphertext holding every candidate's
+         * value in its own radix slot (Σ v_i · base^i)
+         *
+         * Every slot value is encrypted again on its own and proved like an individual ballot:
+         * a value proof per slot and a sum (or sum range) proof over the slots. A packing proof
+         * then shows that the packed ciphertext divided by Π slot_i^(base^i) encrypts 0, so the
+         * packed value is exactly those slots; values of at most maxValue cannot carry into the
+         * next slot. The proof grows linearly with the candidate count.
+         *
+         * @param {object} rules - From ElectionManifest#proofRules, with packing {base, slots}
+         */
+        generatePackedProof(encryptedVotes, plaintextVotes, randomnesses, rules) {
+            const { packing, minSum, maxSum, maxValue } = rules;
+            if (encryptedVotes.length !== 1 || plaintextVotes.length !== 1 || randomnesses.length !== 1) {
+                throw new Error('A packed ballot is a single ciphertext');
+            }
+            if (packing.base ** BigInt(packing.slots) >= this.paillier.publicKey.n) {
+                throw new Error(`${packing.slots} slots of base ${packing.base} do not fit in the key's plaintext space`);
+            }
+
+            const values = BigIntUtils.unpackSlots(plaintextVotes[0], packing.base, packing.slots);
+            if (BigIntUtils.packSlots(values, packing.base) !== plaintextVotes[0] || values.some(value => value > maxValue)) {
+                throw new Error('Packed plaintext is not a valid ballot for this contest');
+            }
+
+            const slots = values.map(value => this.paillier.encrypt(value));
+            const slotCiphertexts = slots.map(slot => slot.ciphertext);
+            const slotProof = this.generateVoteProof(slotCiphertexts, values, slots.map(slot => slot.randomness),
+                minSum, maxSum, maxValue);
+
+            // The residue's randomness is r / Π r_i^(base^i)
+            const { n } = this.paillier.publicKey;
+            const residueRandomness = BigIntUtils.multiPow([[randomnesses[0], 1n],
+                ...slots.map((slot, i) => [slot.randomness, -(packing.base ** BigInt(i))])], n);
+            const residue = this.packingResidue(encryptedVotes[0], slotCiphertexts, packing.base);
+            const packingProof = this.buildMembershipProof(DOMAIN_PACKED, residue, residueRandomness, [0n], 0);
+
+            return {
+                bitProofs: [{ ...packingProof, ciphertext: encryptedVotes[0], type: 'packed' }],
+                slotProofs: slotProof.bitProofs,
+                sumProof: slotProof.sumProof,
+                timestamp: Date.now(),
+                type: 'packed-vote-proof',
+                version: PROOF_VERSION
+            };
+        }
+
+        /**
+         * c / Π slot_i^(base^i) (mod n²), which encrypts 0 iff c packs exactly the slots' values
+         */
+        packingResidue(ciphertext, slotCiphertexts, base) {
+            const { nSquared } = this.paillier.publicKey;
+            return BigIntUtils.multiPow([[ciphertext, 1n],
+                ...slotCiphertexts.map((slot, i) => [slot, -(base ** BigInt(i))])], nSquared);
+        }
+
+        /**
+         * Verify a packed ballot's proof; the result has the same shape as verifyVoteProof,
+         * with one entry in bitProofResults for the packing proof and the slots' value proofs
+         * in slotProofResults
+         */
+        verifyPackedProof(voteProof, rules) {
+            const { packing, minSum, maxSum, maxValue } = rules;
+            const results = {
+                bitProofsValid: false,
+                bitProofResults: [],
+                sumProofValid: false,
+                overallValid: false
+            };
+
+            const versionError = this.checkProofVersion(voteProof);
+            if (versionError) {
+                results.error = versionError.error;
+                return results;
+            }
+
+            const { bitProofs, slotProofs } = voteProof;
+            if (voteProof.type !== 'packed-vote-proof' || !Array.isArray(bitProofs) || bitProofs.length !== 1 ||
+                !bitProofs[0] || !Array.isArray(slotProofs) || slotProofs.length !== packing.slots) {
+                results.error = `Expected a packed proof over a single ciphertext with ${packing.slots} slot proofs`;
+                return results;
+            }
+
+            // Slots that overflow n would wrap around and could hide any tally
+            if (packing.base ** BigInt(packing.slots) >= this.paillier.publicKey.n) {
+                results.error = `${packing.slots} slots of base ${packing.base} do not fit in the key's plaintext space`;
+                return results;
+            }
+
+            const slotCiphertexts = slotProofs.map(proof => proof.ciphertext);
+            const slotResults = this.verifyVoteProof({ bitProofs: slotProofs, sumProof: voteProof.sumProof, version: voteProof.version },
+                slotCiphertexts, minSum, maxSum, maxValue);
+            const packed = bitProofs[0];
+            const packingResult = this.paillier.isValidCiphertext(packed.ciphertext) &&
+                slotCiphertexts.every(ciphertext => this.paillier.isValidCiphertext(ciphertext))
+                ? this.verifyMembershipProof(DOMAIN_PACKED,
+                    { ...packed, ciphertext: this.packingResidue(packed.ciphertext, slotCiphertexts, packing.base) }, [0n])
+                : { valid: false, error: 'Ciphertext is outside the ciphertext space' };
+
+            results.bitProofResults = [{
+                candidateIndex: 0,
+                valid: packingResult.valid && slotResults.bitProofsValid,
+                error: packingResult.error || (slotResults.bitProofsValid ? undefined : 'A slot value proof is invalid')
+            }];
+            results.slotProofResults = slotResults.bitProofResults;
+            results.bitProofsValid = results.bitProofResults[0].valid;
+            results.sumProofValid = slotResults.sumProofValid;
+            results.sumProofError = slotResults.sumProofError;
+            results.sumProofDetails = slotResults.sumProofDetails;
+            results.overallValid = results.bitProofsValid && results.sumProofValid;
+            return results;
+        }
+
+        /**
+         * Generate the vote proof a contest's rules call for
+         * @param {object} rules - From ElectionManifest#proofRules
+         */
+        generateContestProof(encryptedVotes, plaintextVotes, randomnesses, rules) {
+            if (rules.ranked) {
+                return this.generateRankingProof(encryptedVotes, plaintextVotes, randomnesses, rules.candidateCount);
+            }
+            if (rules.packing) {
+                return this.generatePackedProof(encryptedVotes, plaintextVotes, randomnesses, rules);
+            }
+            return this.generateVoteProof(encryptedVotes, plaintextVotes, randomnesses, rules.minSum, rules.maxSum, rules.maxValue);
+        }
+
+        /**
+         * Verify a vote proof over a contest's encrypted votes against the contest's rules
+         * @param {object} rules - From ElectionManifest#proofRules
+         */
+        verifyContestProof(voteProof, encryptedVotes, rules) {
+            if (!rules.ranked && !rules.packing) {
+                return this.verifyVoteProof(voteProof, encryptedVotes, rules.minSum, rules.maxSum, rules.maxValue);
+            }
+
+            const coverageError = checkCoverage(voteProof.bitProofs, encryptedVotes);
+            if (coverageError) {
+                return { bitProofsValid: false, bitProofResults: [], sumProofValid: false, overallValid: false, error: coverageError };
+            }
+            return rules.ranked
+                ? this.verifyRankingProof(voteProof, rules.candidateCount)
+                : this.verifyPackedProof(voteProof, rules);
+        }
+
+        /**
+         * Prove that `product` encrypts x times the plaintext of `multiplicand`, where
+         * `blinding` encrypts x: blinding = g^x · s^n and product = multiplicand^x · t^n (mod n²)
+         *
+         * Sigma protocol over the integers: commit a1 = g^y · u^n and a2 = multiplicand^y · v^n
+         * with y wide enough to hide e·x, then answer z = y + e·x, w1 = u · s^e and
+         * w2 = v · t^e (mod n). Used by the blinded multiplications of private IRV rounds.
+         * @param {bigint} value - x, in [0, n)
+         * @param {bigint} blindingRandomness - s
+         * @param {bigint} productRandomness - t
+         */
+        proveMultiplication(multiplicand, blinding, product, value, blindingRandomness, productRandomness) {
+            const { n, nSquared } = this.paillier.publicKey;
+            const y = BigIntUtils.randomBigInt(BigIntUtils.bitLength(n) + CHALLENGE_BITS + STATISTICAL_BITS);
+            const u = BigIntUtils.randomUnit(n);
+            const v = BigIntUtils.randomUnit(n);
+
+            // g ≡ 1 (mod n) has order n modulo n², so its exponents reduce mod n
+            const a1 = (this.paillier.powG(y % n) * this.paillier.powN(u)) % nSquared;
+            const a2 = BigIntUtils.multiPow([[multiplicand, y], [v, n]], nSquared);
+            const e = this.hashToChallenge(DOMAIN_MULTIPLICATION, [multiplicand, blinding, product, a1, a2]);
+
+            return {
+                a1,
+                a2,
+                z: y + e * value,
+                w1: (u * BigIntUtils.modPow(blindingRandomness, e, n)) % n,
+                w2: (v * BigIntUtils.modPow(productRandomness, e, n)) % n,
+                version: PROOF_VERSION
+            };
+        }
+
+        /**
+         * Verify a multiplication proof: g^z · w1^n ≡ a1 · blinding^e and
+         * multiplicand^z · w2^n ≡ a2 · product^e (mod n²)
+         * @returns {boolean}
+         */
+        verifyMultiplicationProof(proof, multiplicand, blinding, product) {
+            const { n, nSquared } = this.paillier.publicKey;
+            if (!proof || proof.version !== PROOF_VERSION) return false;
+
+            const { a1, a2, z, w1, w2 } = proof;
+            if (![a1, a2, z, w1, w2].every(value => typeof value === 'bigint')) return false;
+            if (z < 0n || [a1, a2].some(value => value <= 0n || value >= nSquared)) return false;
+            if ([w1, w2].some(value => value <= 0n || value >= n || !BigIntUtils.areCoprime(value, n))) return false;
+
+            const e = this.hashToChallenge(DOMAIN_MULTIPLICATION, [multiplicand, blinding, product, a1, a2]);
+            const blindingValid = (this.paillier.powG(z % n) * this.paillier.powN(w1)) % nSquared ===
+                (a1 * BigIntUtils.modPow(blinding, e, nSquared)) % nSquared;
+            const productValid = BigIntUtils.multiPow([[multiplicand, z], [w2, n]], nSquared) ===
+                (a2 * BigIntUtils.modPow(product, e, nSquared)) % nSquared;
+            return blindingValid && productValid;
+        }
+
+        /**
+         * Quick smoke check of the proof system against the keys of the attached Paillier
+         * system: honest proofs verify and a tampered one does not. The forged-proof
+         * tests are in test/zkp.test.js (npm test)
+         */
+        selfTest() {
+            console.log('Running ZKP self-test...');
+
+            if (!this.paillier.publicKey) {
+                throw new Error('ZKP self-test needs a generated key pair');
+            }
+
+            // Honest bit proofs must verify
+            for (const bit of BIT_VALUES) {
+                const { ciphertext, randomness } = this.paillier.encrypt(bit);
+                const proof = this.proveBitValue(bit, ciphertext, randomness);
+                if (!this.verifyBitProof(proof).valid) {
+                    throw new Error(`Self-test failed: honest bit proof for ${bit} was rejected`);
+                }
+                console.log(`✓ Bit proof accepted for encryption of ${bit}`);
+            }
+
+            // An honest one-of-three ballot must verify
+            const votes = [0n, 1n, 0n];
+            const encrypted = votes.map(vote => this.paillier.encrypt(vote));
+            const ciphertexts = encrypted.map(e => e.ciphertext);
+            const voteProof = this.generateVoteProof(ciphertexts, votes, encrypted.map(e => e.randomness));
+            if (!this.verifyVoteProof(voteProof, ciphertexts).overallValid) {
+                throw new Error('Self-test failed: honest vote proof was rejected');
+            }
+            console.log('✓ Vote proof accepted for a ballot with one selection');
+
+            // Tampering with an honest proof must be detected
+            const { ciphertext, randomness } = this.paillier.encrypt(1n);
+            const tampered = this.proveBitValue(1n, ciphertext, randomness);
+            tampered.branches[1].z = (tampered.branches[1].z * 2n) % this.paillier.publicKey.n;
+            if (this.verifyBitProof(tampered).valid) {
+                throw new Error('Self-test failed: tampered bit proof was accepted');
+            }
+            console.log('✓ Tampered bit proof rejected');
+
+            console.log('All ZKP self-tests passed!');
+            return true;
+        }
+
+        /**
+         * Convert a complete vote proof into the JSON-safe form sent over the network
+         * (BigInts become decimal strings, prover-side fields are dropped)
+         */
+        static serializeVoteProof(voteProof) {
+            if (voteProof.type === 'ranked-vote-proof') {
+                return {
+                    version: voteProof.version,
+                    type: 'ranked',
+                    bitProofs: voteProof.bitProofs.map(proof => ZKProofSystem.serializeMembershipProof(proof)),
+                    rowProofs: voteProof.rowProofs.map(proof => ZKProofSystem.serializeSumProof(proof)),
+                    columnProofs: voteProof.columnProofs.map(proof => ZKProofSystem.serializeSumProof(proof))
+                };
+            }
+
+            return {
+                version: voteProof.version,
+                ...(voteProof.type === 'packed-vote-proof' ? {
+                    type: 'packed',
+                    slotProofs: voteProof.slotProofs.map(proof => ZKProofSystem.serializeMembershipProof(proof))
+                } : {}),
+                bitProofs: voteProof.bitProofs.map((proof, index) => ({
+                    candidateId: index,
+                    ...ZKProofSystem.serializeMembershipProof(proof)
+                })),
+                sumProof: voteProof.sumProof === null ? null : ZKProofSystem.serializeSumProof(voteProof.sumProof)
+            };
+        }
+
+        /**
+         * Convert a disjunctive proof into its JSON-safe form
+         */
+        static serializeMembershipProof(proof) {
+            if (proof.type === 'packed') {
+                return {
+                    type: 'packed',
+                    ciphertext: proof.ciphertext.toString(),
+                    branches: serializeBranches(proof.branches)
+                };
+            }
+            if (proof.type === 'value-range') {
+                return {
+                    type: 'value-range',
+                    maxValue: proof.maxValue.toString(),
+                    ciphertext: proof.ciphertext.toString(),
+                    branches: serializeBranches(proof.branches)
+                };
+            }
+
+            return {
+                ciphertext: proof.ciphertext.toString(),
+                branches: serializeBranches(proof.branches)
+            };
+        }
+
+        /**
+         * Convert a sum proof into its JSON-safe form
+         */
+        static serializeSumProof(proof) {
+            if (proof.type === 'sum-range') {
+                return {
+                    type: 'sum-range',
+                    minSum: proof.minSum.toString(),
+                    maxSum: proof.maxSum.toString(),
+                    branches: serializeBranches(proof.branches)
+                };
+            }
+
+            return {
+                expectedSum: proof.expectedSum.toString(),
+                branches: serializeBranches(proof.branches)
+            };
+        }
+
+        /**
+         * Rebuild a disjunctive proof from its serialized form
+         */
+        static deserializeMembershipProof(serialized, path, type, version) {
+            if (!serialized) {
+                throw new Error(`${path} is missing`);
+            }
+
+            if (serialized.type === 'value-range') {
+                return {
+                    ciphertext: BigIntUtils.fromDecimalString(serialized.ciphertext, `${path}.ciphertext`),
+                    maxValue: BigIntUtils.fromDecimalString(serialized.maxValue, `${path}.maxValue`),
+                    branches: deserializeBranches(serialized.branches, `${path}.branches`),
+                    type: 'value-range',
+                    version
+                };
+            }
+
+            return {
+                ciphertext: BigIntUtils.fromDecimalString(serialized.ciphertext, `${path}.ciphertext`),
+                branches: deserializeBranches(serialized.branches, `${path}.branches`),
+                type: serialized.type === 'packed' ? 'packed' : type,
+                version
+            };
+        }
+
+        /**
+         * Rebuild a sum proof from its serialized form
+         */
+        static deserializeSumProof(serialized, path, version) {
+            if (!serialized) {
+                throw new Error(`${path} is missing`);
             }
+
+            if (serialized.type === 'sum-range') {
+                return {
+                    minSum: BigIntUtils.fromDecimalString(serialized.minSum, `${path}.minSum`),
+                    maxSum: BigIntUtils.fromDecimalString(serialized.maxSum, `${path}.maxSum`),
+                    branches: deserializeBranches(serialized.branches, `${path}.branches`),
+                    type: 'sum-range',
+                    version
+                };
+            }
+
+            return {
+                expectedSum: BigIntUtils.fromDecimalString(serialized.expectedSum, `${path}.expectedSum`),
+                branches: deserializeBranches(serialized.branches, `${path}.branches`),
+                type: 'sum',
+                version
+            };
         }
 
-        // Verify sum proof
-        const sumResult = this.verifySumProof(sumProof);
-        results.sumProofValid = sumResult.valid;
-        results.sumProofDetails = sumResult.details;
-        results.sumProofError = sumResult.error;
+        /**
+         * Rebuild a complete vote proof from its serialized form
+         * Throws if any field is missing or not a decimal integer
+         */
+        static deserializeVoteProof(serialized) {
+            if (serialized && serialized.type === 'ranked') {
+                return ZKProofSystem.deserializeRankingProof(serialized);
+            }
 
-        // Overall validity
-        results.overallValid = results.bitProofsValid && results.sumProofValid;
+            // sumProof is null when the value proofs imply the sum rule, but never absent
+            if (!serialized || !Array.isArray(serialized.bitProofs) || serialized.sumProof === undefined) {
+                throw new Error('Vote proof must contain bitProofs and sumProof');
+            }
 
-        return results;
+            // Payloads without a version field predate SHA-256 challenges
+            const version = serialized.version === undefined ? 1 : serialized.version;
+            const type = serialized.type === 'packed' ? 'packed-vote-proof' : 'complete-vote-proof';
+            if (!Number.isInteger(version)) {
+                throw new Error('Vote proof version must be an integer');
+            }
+            if (version !== PROOF_VERSION) {
+                // Older layouts cannot be parsed into the current proof shape
+                return { bitProofs: [], sumProof: null, type, version };
+            }
+
+            if (type === 'packed-vote-proof' && !Array.isArray(serialized.slotProofs)) {
+                throw new Error('Packed vote proof must contain slotProofs');
+            }
+
+            return {
+                bitProofs: serialized.bitProofs.map((proof, index) =>
+                    ZKProofSystem.deserializeMembershipProof(proof, `bitProofs[${index}]`, 'bit-value', version)),
+                ...(type === 'packed-vote-proof' ? {
+                    slotProofs: serialized.slotProofs.map((proof, index) =>
+                        ZKProofSystem.deserializeMembershipProof(proof, `slotProofs[${index}]`, 'bit-value', version))
+                } : {}),
+                sumProof: serialized.sumProof === null
+                    ? null
+                    : ZKProofSystem.deserializeSumProof(serialized.sumProof, 'sumProof', version),
+                type,
+                version
+            };
+        }
+
+        /**
+         * Rebuild a ranked ballot's proof from its serialized form
+         */
+        static deserializeRankingProof(serialized) {
+            const version = serialized.version === undefined ? 1 : serialized.version;
+            if (!Number.isInteger(version)) {
+                throw new Error('Vote proof version must be an integer');
+            }
+            if (version !== PROOF_VERSION) {
+                return { bitProofs: [], rowProofs: [], columnProofs: [], type: 'ranked-vote-proof', version };
+            }
+            if (!Array.isArray(serialized.bitProofs) || !Array.isArray(serialized.rowProofs) ||
+                !Array.isArray(serialized.columnProofs)) {
+                throw new Error('Ranking proof must contain bitProofs, rowProofs and columnProofs');
+            }
+
+            return {
+                bitProofs: serialized.bitProofs.map((proof, index) =>
+                    ZKProofSystem.deserializeMembershipProof(proof, `bitProofs[${index}]`, 'bit-value', version)),
+                rowProofs: serialized.rowProofs.map((proof, index) =>
+                    ZKProofSystem.deserializeSumProof(proof, `rowProofs[${index}]`, version)),
+                columnProofs: serialized.columnProofs.map((proof, index) =>
+                    ZKProofSystem.deserializeSumProof(proof, `columnProofs[${index}]`, version)),
+                type: 'ranked-vote-proof',
+                version
+            };
+        }
     }
-}
 
-// Export for use in other modules
-window.ZKProofSystem = ZKProofSystem;
+    ZKProofSystem.PROOF_VERSION = PROOF_VERSION;
+    ZKProofSystem.CHALLENGE_BITS = CHALLENGE_BITS;
+    ZKProofSystem.DOMAINS = Object.freeze({
+        BIT_VALUE: DOMAIN_BIT_VALUE,
+        VALUE_RANGE: DOMAIN_VALUE_RANGE,
+        SUM: DOMAIN_SUM,
+        SUM_RANGE: DOMAIN_SUM_RANGE,
+        PACKED: DOMAIN_PACKED,
+        MULTIPLICATION: DOMAIN_MULTIPLICATION
+    });
+
+    return { ZKProofSystem };
+});